@@ -0,0 +1,365 @@
+const { generateIssue } = require('../utils/issues')
+const { addIssueLocation } = require('./issues')
+const { getSidecarKey } = require('./sidecar')
+const { isNotApplicable } = require('./tsv')
+const {
+  BidsAssembledRow,
+  getRowNumber,
+  hedColumn,
+  onsetColumn,
+} = require('./types')
+
+const placeholderCharacter = '#'
+const hedStringDelimiter = ', '
+const columnReferencePattern = /\{([^{}]+)\}/g
+const emptyTagPatterns = [
+  [/\(\s*\)/g, ''],
+  [/,(\s*,)+/g, ','],
+  [/\(\s*,\s*/g, '('],
+  [/\s*,\s*\)/g, ')'],
+  [/^\s*,\s*/, ''],
+  [/\s*,\s*$/, ''],
+]
+
+/**
+ * Get the HED string contributed by a single cell of an events file.
+ *
+ * @param {string} column The column name.
+ * @param {string} value The cell value.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @return {string|null} The cell's HED string, or null if the cell is not annotated.
+ */
+const getCellHedString = function (column, value, sidecar) {
+  if (isNotApplicable(value)) {
+    return null
+  }
+  if (column === hedColumn) {
+    return value
+  }
+  if (sidecar === null) {
+    return null
+  }
+  if (column in sidecar.categoricalColumns) {
+    const hedString = sidecar.categoricalColumns[column][value]
+    return typeof hedString === 'string' ? hedString : null
+  } else if (column in sidecar.valueColumns) {
+    return sidecar.valueColumns[column].replace(placeholderCharacter, () => {
+      return value
+    })
+  }
+  return null
+}
+
+/**
+ * Get the names of the columns referenced by a HED string.
+ *
+ * @param {string} hedString The HED string.
+ * @return {string[]} The referenced column names, in order.
+ */
+const getColumnReferences = function (hedString) {
+  return Array.from(hedString.matchAll(columnReferencePattern), (match) => {
+    return match[1].trim()
+  })
+}
+
+/**
+ * Get the columns referenced by a sidecar's annotations of columns present in an events file.
+ *
+ * @param {BidsSidecar|null} sidecar The sidecar.
+ * @param {string[]} headers The column names of the events file.
+ * @return {object<string, string[]>} The referenced column names, keyed by referencing column.
+ */
+const getSidecarColumnReferences = function (sidecar, headers) {
+  const columnReferences = {}
+  if (sidecar === null) {
+    return columnReferences
+  }
+  for (const column of headers) {
+    let hedStrings = []
+    if (column in sidecar.valueColumns) {
+      hedStrings = [sidecar.valueColumns[column]]
+    } else if (column in sidecar.categoricalColumns) {
+      hedStrings = Object.values(sidecar.categoricalColumns[column])
+    }
+    const references = new Set()
+    for (const hedString of hedStrings) {
+      if (typeof hedString === 'string') {
+        getColumnReferences(hedString).forEach((reference) => {
+          references.add(reference)
+        })
+      }
+    }
+    if (references.size > 0) {
+      columnReferences[column] = Array.from(references)
+    }
+  }
+  return columnReferences
+}
+
+/**
+ * Remove the empty tags and groups left behind by removed column references.
+ *
+ * @param {string} hedString The HED string.
+ * @return {string} The HED string without empty tags.
+ */
+const removeEmptyTags = function (hedString) {
+  let previousString
+  do {
+    previousString = hedString
+    for (const [pattern, replacement] of emptyTagPatterns) {
+      hedString = hedString.replace(pattern, replacement)
+    }
+  } while (hedString !== previousString)
+  return hedString
+}
+
+/**
+ * Expand the column references in a cell's HED string with the referenced cells' HED strings.
+ *
+ * References to unannotated or "n/a" cells, and circular references, are removed.
+ *
+ * @param {string} hedString The cell's HED string.
+ * @param {object<string, string>} row The row, as a mapping from column names to cell values.
+ * @param {BidsSidecar} sidecar The events file's sidecar.
+ * @param {string[]} expandingColumns The columns whose references are being expanded.
+ * @return {[string, string[]]} The expanded HED string and the referenced columns contributing to it.
+ */
+const expandColumnReferences = function (
+  hedString,
+  row,
+  sidecar,
+  expandingColumns,
+) {
+  const referencedColumns = []
+  let removedReference = false
+  const expandedString = hedString.replace(
+    columnReferencePattern,
+    (match, reference) => {
+      const column = reference.trim()
+      const cellString = expandingColumns.includes(column)
+        ? null
+        : getCellHedString(column, row[column], sidecar)
+      if (cellString === null) {
+        removedReference = true
+        return ''
+      }
+      const [expandedCellString, nestedColumns] = expandColumnReferences(
+        cellString,
+        row,
+        sidecar,
+        expandingColumns.concat([column]),
+      )
+      referencedColumns.push(column, ...nestedColumns)
+      return expandedCellString
+    },
+  )
+  if (removedReference) {
+    return [removeEmptyTags(expandedString), referencedColumns]
+  }
+  return [expandedString, referencedColumns]
+}
+
+/**
+ * Assemble the HED string for a row of an events file.
+ *
+ * Sidecar annotations are added in column order, followed by the row's HED column.
+ * Column references are expanded in place, and columns whose references were expanded in the row are
+ * not added again on their own.
+ *
+ * @param {object<string, string>} row The row, as a mapping from column names to cell values.
+ * @param {string[]} headers The column names of the events file.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @return {[string, string[], object<string, string>]} The assembled HED string, the columns contributing to it, and the sidecar files the sidecar-annotated columns' strings came from.
+ */
+const assembleRow = function (row, headers, sidecar) {
+  const hedStrings = []
+  const columns = []
+  const sidecarFiles = {}
+  const columnReferences = getSidecarColumnReferences(sidecar, headers)
+  const orderedHeaders = headers
+    .filter((column) => {
+      return column !== hedColumn
+    })
+    .concat(headers.includes(hedColumn) ? [hedColumn] : [])
+  const expandedCells = {}
+  const expandedColumns = new Set()
+  for (const column of orderedHeaders) {
+    if (!(column in columnReferences) || expandedColumns.has(column)) {
+      continue
+    }
+    const cellString = getCellHedString(column, row[column], sidecar)
+    if (cellString === null) {
+      continue
+    }
+    expandedCells[column] = expandColumnReferences(cellString, row, sidecar, [
+      column,
+    ])
+    for (const referencedColumn of expandedCells[column][1]) {
+      expandedColumns.add(referencedColumn)
+    }
+  }
+  for (const column of orderedHeaders) {
+    if (expandedColumns.has(column)) {
+      continue
+    }
+    const [hedString, cellColumns] =
+      column in expandedCells
+        ? expandedCells[column]
+        : [getCellHedString(column, row[column], sidecar), []]
+    if (hedString === null || hedString === '') {
+      continue
+    }
+    hedStrings.push(hedString)
+    for (const cellColumn of [column].concat(cellColumns)) {
+      columns.push(cellColumn)
+      if (cellColumn !== hedColumn) {
+        sidecarFiles[cellColumn] = sidecar.columnFiles[cellColumn]
+      }
+    }
+  }
+  return [hedStrings.join(hedStringDelimiter), columns, sidecarFiles]
+}
+
+/**
+ * Get the onset of an events file row.
+ *
+ * @param {object<string, string>} row The row, as a mapping from column names to cell values.
+ * @return {number|null} The onset in seconds, or null if the row has no numeric onset.
+ */
+const getRowOnset = function (row) {
+  const onset = parseFloat(row[onsetColumn])
+  return Number.isNaN(onset) ? null : onset
+}
+
+/**
+ * Assemble the HED strings for each row of an events file.
+ *
+ * Rows without any HED annotation are omitted.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @return {BidsAssembledRow[]} The assembled rows, in file order.
+ */
+const assembleEventFile = function (eventFile, sidecar = null) {
+  const assembledRows = []
+  eventFile.rows.forEach((row, rowIndex) => {
+    const [hedString, columns, sidecarFiles] = assembleRow(
+      row,
+      eventFile.headers,
+      sidecar,
+    )
+    if (columns.length > 0) {
+      assembledRows.push(
+        new BidsAssembledRow(
+          getRowNumber(rowIndex),
+          hedString,
+          columns,
+          sidecarFiles,
+          getRowOnset(row),
+        ),
+      )
+    }
+  })
+  return assembledRows
+}
+
+/**
+ * Get the HED strings of a sidecar's categorical columns.
+ *
+ * These are the strings that may hold the dataset's definitions. Each string is keyed by the file and
+ * key path of the sidecar entry it comes from, so that the strings in effect for several events files
+ * can be collected without counting a shared sidecar entry more than once.
+ *
+ * @param {BidsSidecar|null} sidecar The (merged) sidecar.
+ * @param {object<string, {hedString: string, location: object}>} [definitionStrings] The strings collected so far, to which this sidecar's strings are added.
+ * @return {object<string, {hedString: string, location: object}>} The categorical HED strings and their sidecar locations, keyed by sidecar entry.
+ */
+const getSidecarCategoricalStrings = function (
+  sidecar,
+  definitionStrings = {},
+) {
+  if (sidecar === null) {
+    return definitionStrings
+  }
+  for (const column of Object.keys(sidecar.categoricalColumns)) {
+    const categoricalData = sidecar.categoricalColumns[column]
+    for (const level of Object.keys(categoricalData)) {
+      if (typeof categoricalData[level] !== 'string') {
+        continue
+      }
+      const file = sidecar.columnFiles[column]
+      const sidecarKey = getSidecarKey(column, level)
+      definitionStrings[file + ':' + sidecarKey] = {
+        hedString: categoricalData[level],
+        location: { file: file, sidecarKey: sidecarKey },
+      }
+    }
+  }
+  return definitionStrings
+}
+
+/**
+ * Get the HED strings of an events file's HED column.
+ *
+ * Like the sidecar's categorical strings, these are the strings that may hold the dataset's definitions.
+ * Each string is keyed by the events file and row it comes from.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {object<string, {hedString: string, location: object}>} [definitionStrings] The strings collected so far, to which this file's strings are added.
+ * @return {object<string, {hedString: string, location: object}>} The HED column strings and their row locations, keyed by row.
+ */
+const getHedColumnStrings = function (eventFile, definitionStrings = {}) {
+  eventFile.rows.forEach((row, rowIndex) => {
+    const hedString = getCellHedString(hedColumn, row[hedColumn], null)
+    if (hedString === null) {
+      return
+    }
+    const rowNumber = getRowNumber(rowIndex)
+    definitionStrings[eventFile.file + ':' + rowNumber] = {
+      hedString: hedString,
+      location: { file: eventFile.file, row: rowNumber, column: hedColumn },
+    }
+  })
+  return definitionStrings
+}
+
+/**
+ * Check that the columns referenced by a sidecar's annotations are present in an events file.
+ *
+ * Issues are annotated with the events file path and the referencing column name.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @return {Issue[]} Any issues found.
+ */
+const checkReferencedColumns = function (eventFile, sidecar) {
+  const columnReferences = getSidecarColumnReferences(
+    sidecar,
+    eventFile.headers,
+  )
+  let issues = []
+  for (const column of Object.keys(columnReferences)) {
+    const columnIssues = columnReferences[column]
+      .filter((reference) => {
+        return !eventFile.headers.includes(reference)
+      })
+      .map((reference) => {
+        return generateIssue('missingReferencedColumn', {
+          column: column,
+          reference: reference,
+        })
+      })
+    issues = issues.concat(
+      addIssueLocation(columnIssues, { file: eventFile.file, column: column }),
+    )
+  }
+  return issues
+}
+
+module.exports = {
+  assembleRow: assembleRow,
+  assembleEventFile: assembleEventFile,
+  checkReferencedColumns: checkReferencedColumns,
+  getHedColumnStrings: getHedColumnStrings,
+  getSidecarCategoricalStrings: getSidecarCategoricalStrings,
+}
@@ -0,0 +1,175 @@
+const { generateIssue } = require('../utils/issues')
+const { addIssueLocation } = require('./issues')
+const { getSidecarKey } = require('./sidecar')
+const { isNotApplicable } = require('./tsv')
+const { BidsSidecar, hedColumn } = require('./types')
+
+const unannotatedColumns = ['onset', 'duration', 'sample', hedColumn]
+
+/**
+ * Count the occurrences of each value in each column of an events file.
+ *
+ * "n/a" values are not counted.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @return {object<string, Map<string, number>>} The value counts, keyed by column name.
+ */
+const countColumnValues = function (eventFile) {
+  const valueCounts = {}
+  for (const column of eventFile.headers) {
+    valueCounts[column] = new Map()
+  }
+  for (const row of eventFile.rows) {
+    for (const column of eventFile.headers) {
+      const value = row[column]
+      if (isNotApplicable(value)) {
+        continue
+      }
+      const columnCounts = valueCounts[column]
+      columnCounts.set(value, (columnCounts.get(value) || 0) + 1)
+    }
+  }
+  return valueCounts
+}
+
+/**
+ * Get the sidecar to check an events file's coverage against.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @return {BidsSidecar} The sidecar, or an empty sidecar if the events file has none.
+ */
+const getCoverageSidecar = function (eventFile, sidecar) {
+  if (sidecar === null) {
+    return new BidsSidecar(eventFile.file, {})
+  }
+  return sidecar
+}
+
+/**
+ * Check an events file for columns and categorical values without HED annotations.
+ *
+ * Issues are annotated with the events file path and the column name. An events file without
+ * a sidecar is checked against an empty sidecar, so all of its annotatable columns are reported.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} eventsSidecar The events file's sidecar, if any.
+ * @return {Issue[]} Any issues found.
+ */
+const checkEventFileCoverage = function (eventFile, eventsSidecar) {
+  const sidecar = getCoverageSidecar(eventFile, eventsSidecar)
+  const valueCounts = countColumnValues(eventFile)
+  let issues = []
+  for (const column of eventFile.headers) {
+    if (unannotatedColumns.includes(column) || column in sidecar.valueColumns) {
+      continue
+    }
+    const columnCounts = valueCounts[column]
+    const columnIssues = []
+    if (column in sidecar.categoricalColumns) {
+      const categoricalData = sidecar.categoricalColumns[column]
+      for (const [value, count] of columnCounts) {
+        if (!Object.prototype.hasOwnProperty.call(categoricalData, value)) {
+          columnIssues.push(
+            generateIssue('unmatchedCategoricalValue', {
+              column: column,
+              value: value,
+              count: count,
+            }),
+          )
+        }
+      }
+    } else if (columnCounts.size > 0) {
+      let count = 0
+      for (const valueCount of columnCounts.values()) {
+        count += valueCount
+      }
+      columnIssues.push(
+        generateIssue('unannotatedColumn', { column: column, count: count }),
+      )
+    }
+    issues = issues.concat(
+      addIssueLocation(columnIssues, { file: eventFile.file, column: column }),
+    )
+  }
+  return issues
+}
+
+/**
+ * Record which categorical sidecar levels an events file uses.
+ *
+ * Only sidecar columns present in the events file are recorded, so sidecar entries used solely
+ * to hold definitions are never reported as unused.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} eventsSidecar The events file's sidecar, if any.
+ * @param {object<string, object<string, {levels: string[], used: Set<string>, rowCount: number}>>} levelUsage The level usage so far, keyed by sidecar file and column name.
+ * @return {object<string, object<string, {levels: string[], used: Set<string>, rowCount: number}>>} The updated level usage.
+ */
+const collectLevelUsage = function (eventFile, eventsSidecar, levelUsage = {}) {
+  const sidecar = getCoverageSidecar(eventFile, eventsSidecar)
+  for (const column of Object.keys(sidecar.categoricalColumns)) {
+    if (!eventFile.headers.includes(column)) {
+      continue
+    }
+    const sidecarFile = sidecar.columnFiles[column]
+    if (!(sidecarFile in levelUsage)) {
+      levelUsage[sidecarFile] = {}
+    }
+    if (!(column in levelUsage[sidecarFile])) {
+      levelUsage[sidecarFile][column] = {
+        levels: Object.keys(sidecar.categoricalColumns[column]),
+        used: new Set(),
+        rowCount: 0,
+      }
+    }
+    const columnUsage = levelUsage[sidecarFile][column]
+    for (const row of eventFile.rows) {
+      columnUsage.used.add(row[column])
+    }
+    columnUsage.rowCount += eventFile.rows.length
+  }
+  return levelUsage
+}
+
+/**
+ * Check for categorical sidecar levels that never occur in the events files using the sidecar.
+ *
+ * Issues are annotated with the sidecar file path and the key path of the unused level.
+ *
+ * @param {object<string, object<string, {levels: string[], used: Set<string>, rowCount: number}>>} levelUsage The level usage, as built by {@link collectLevelUsage}.
+ * @return {Issue[]} Any issues found.
+ */
+const checkUnusedSidecarLevels = function (levelUsage) {
+  let issues = []
+  for (const sidecarFile of Object.keys(levelUsage)) {
+    for (const column of Object.keys(levelUsage[sidecarFile])) {
+      const columnUsage = levelUsage[sidecarFile][column]
+      for (const level of columnUsage.levels) {
+        if (columnUsage.used.has(level)) {
+          continue
+        }
+        const levelIssues = [
+          generateIssue('unusedSidecarLevel', {
+            column: column,
+            level: level,
+            count: columnUsage.rowCount,
+          }),
+        ]
+        issues = issues.concat(
+          addIssueLocation(levelIssues, {
+            file: sidecarFile,
+            sidecarKey: getSidecarKey(column, level),
+          }),
+        )
+      }
+    }
+  }
+  return issues
+}
+
+module.exports = {
+  checkEventFileCoverage: checkEventFileCoverage,
+  collectLevelUsage: collectLevelUsage,
+  checkUnusedSidecarLevels: checkUnusedSidecarLevels,
+}
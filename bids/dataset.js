@@ -0,0 +1,296 @@
+const path = require('path')
+
+const files = require('../utils/files')
+const { generateIssue } = require('../utils/issues')
+const {
+  assembleEventFile,
+  checkReferencedColumns,
+  getHedColumnStrings,
+  getSidecarCategoricalStrings,
+} = require('./assembler')
+const { validateAssembledDataset, validateAssembledRows } = require('./events')
+const {
+  checkEventFileCoverage,
+  checkUnusedSidecarLevels,
+  collectLevelUsage,
+} = require('./coverage')
+const { findEventsSidecars, mergeSidecars } = require('./inheritance')
+const { addIssueLocation } = require('./issues')
+const { buildBidsSchemas } = require('./schemas')
+const { loadSidecar, validateSidecar } = require('./sidecar')
+const { parseTsv } = require('./tsv')
+const { BidsDatasetResult } = require('./types')
+
+const eventsFileSuffix = '_events.tsv'
+const derivativesDirectory = 'derivatives'
+const sourcedataDirectory = 'sourcedata'
+
+/**
+ * Determine whether a directory should be searched for events files.
+ *
+ * @param {string} name The directory name.
+ * @param {object} options The dataset validation options.
+ * @return {boolean} Whether the directory should be searched.
+ */
+const isSearchedDirectory = function (name, options) {
+  if (name.startsWith('.')) {
+    return false
+  } else if (name === derivativesDirectory) {
+    return Boolean(options.includeDerivatives)
+  } else if (name === sourcedataDirectory) {
+    return Boolean(options.includeSourcedata)
+  }
+  return true
+}
+
+/**
+ * Find the events files in a directory tree.
+ *
+ * @param {string} directory The directory to search.
+ * @param {object} options The dataset validation options.
+ * @return {Promise<string[]>} The paths to the events files, sorted.
+ */
+const findEventsFiles = function (directory, options = {}) {
+  return files.readDirectory(directory).then((entries) => {
+    const eventsFiles = []
+    const subdirectoryPromises = []
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name)
+      if (entry.isDirectory() && isSearchedDirectory(entry.name, options)) {
+        subdirectoryPromises.push(findEventsFiles(entryPath, options))
+      } else if (entry.isFile() && entry.name.endsWith(eventsFileSuffix)) {
+        eventsFiles.push(entryPath)
+      }
+    }
+    return Promise.all(subdirectoryPromises).then((subdirectoryFiles) => {
+      return eventsFiles.concat(...subdirectoryFiles).sort()
+    })
+  })
+}
+
+/**
+ * Load every sidecar applying to any of the events files, each exactly once.
+ *
+ * @param {string} rootPath The path to the BIDS dataset root.
+ * @param {string[]} eventsFiles The paths to the events files.
+ * @return {Promise<[object<string, string[]>, object<string, [BidsSidecar|null, Issue[]]>]>} The sidecar paths applying to each events file, and the loaded sidecars keyed by path.
+ */
+const loadDatasetSidecars = function (rootPath, eventsFiles) {
+  return Promise.all(
+    eventsFiles.map((eventsFile) => {
+      return findEventsSidecars(rootPath, eventsFile)
+    }),
+  ).then((eventsSidecarFiles) => {
+    const sidecarPaths = {}
+    eventsFiles.forEach((eventsFile, index) => {
+      sidecarPaths[eventsFile] = eventsSidecarFiles[index]
+    })
+    const uniqueSidecarFiles = Array.from(
+      new Set([].concat(...eventsSidecarFiles)),
+    )
+    return Promise.all(uniqueSidecarFiles.map(loadSidecar)).then(
+      (loadedSidecars) => {
+        const sidecars = {}
+        uniqueSidecarFiles.forEach((sidecarFile, index) => {
+          sidecars[sidecarFile] = loadedSidecars[index]
+        })
+        return [sidecarPaths, sidecars]
+      },
+    )
+  })
+}
+
+/**
+ * Read, assemble and validate the rows of an events file.
+ *
+ * The events file's HED column strings are added to the definition strings, and when checking for
+ * warnings, the sidecar levels used by the events file are added to the level usage.
+ *
+ * @param {string} eventsFile The path to the events file.
+ * @param {BidsSidecar|null} sidecar The events file's merged sidecar.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @param {object} levelUsage The sidecar level usage across the dataset's events files.
+ * @param {object<string, {hedString: string, location: object}>} definitionStrings The strings that may hold the dataset's definitions.
+ * @return {Promise<[BidsAssembledRow[], Issue[]]>} The assembled rows and any issues found.
+ */
+const validateDatasetEventsFile = function (
+  eventsFile,
+  sidecar,
+  hedSchemas,
+  checkForWarnings,
+  levelUsage,
+  definitionStrings,
+) {
+  return files.readFile(eventsFile).then((contents) => {
+    if (contents === undefined) {
+      const issues = [generateIssue('fileReadError', { file: eventsFile })]
+      return [[], addIssueLocation(issues, { file: eventsFile })]
+    }
+    const [eventFile, parseIssues] = parseTsv(contents, eventsFile)
+    const assembledRows = assembleEventFile(eventFile, sidecar)
+    getHedColumnStrings(eventFile, definitionStrings)
+    const rowIssues = validateAssembledRows(
+      assembledRows,
+      eventsFile,
+      hedSchemas,
+      checkForWarnings,
+    )
+    let coverageIssues = []
+    if (checkForWarnings) {
+      coverageIssues = checkEventFileCoverage(eventFile, sidecar)
+      collectLevelUsage(eventFile, sidecar, levelUsage)
+    }
+    return [
+      assembledRows,
+      parseIssues.concat(
+        checkReferencedColumns(eventFile, sidecar),
+        rowIssues,
+        coverageIssues,
+      ),
+    ]
+  })
+}
+
+/**
+ * Group issues by the file they were found in.
+ *
+ * @param {object<string, Issue[]>} fileIssues The issues found in each file, keyed by file path.
+ * @param {Issue[]} issues The issues to add, each annotated with a file path.
+ */
+const addFileIssues = function (fileIssues, issues) {
+  for (const issue of issues) {
+    if (!(issue.file in fileIssues)) {
+      fileIssues[issue.file] = []
+    }
+    fileIssues[issue.file].push(issue)
+  }
+}
+
+/**
+ * Validate the events files and sidecars of a BIDS dataset.
+ *
+ * @param {string} rootPath The path to the BIDS dataset root.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {object<string, Issue[]>} fileIssues The issues found so far, keyed by file path.
+ * @param {object} options The dataset validation options.
+ * @return {Promise<BidsDatasetResult>} The validation result.
+ */
+const validateDatasetFiles = function (
+  rootPath,
+  hedSchemas,
+  fileIssues,
+  options,
+) {
+  const checkForWarnings = Boolean(options.checkForWarnings)
+  const levelUsage = {}
+  const definitionStrings = {}
+  let eventsFiles
+  return findEventsFiles(rootPath, options)
+    .then((foundEventsFiles) => {
+      eventsFiles = foundEventsFiles
+      return loadDatasetSidecars(rootPath, eventsFiles)
+    })
+    .then(([sidecarPaths, sidecars]) => {
+      for (const sidecarFile of Object.keys(sidecars)) {
+        const [sidecar, loadIssues] = sidecars[sidecarFile]
+        fileIssues[sidecarFile] = []
+        addFileIssues(fileIssues, loadIssues)
+        if (sidecar !== null) {
+          const [, sidecarIssues] = validateSidecar(
+            sidecar,
+            hedSchemas,
+            checkForWarnings,
+          )
+          addFileIssues(fileIssues, sidecarIssues)
+        }
+      }
+      return Promise.all(
+        eventsFiles.map((eventsFile) => {
+          const eventsSidecars = sidecarPaths[eventsFile]
+            .map((sidecarFile) => {
+              return sidecars[sidecarFile][0]
+            })
+            .filter((sidecar) => {
+              return sidecar !== null
+            })
+          const mergedSidecar = mergeSidecars(eventsSidecars)
+          getSidecarCategoricalStrings(mergedSidecar, definitionStrings)
+          return validateDatasetEventsFile(
+            eventsFile,
+            mergedSidecar,
+            hedSchemas,
+            checkForWarnings,
+            levelUsage,
+            definitionStrings,
+          )
+        }),
+      )
+    })
+    .then((eventsResults) => {
+      const fileRows = {}
+      eventsFiles.forEach((eventsFile, index) => {
+        const [assembledRows, eventsIssues] = eventsResults[index]
+        fileIssues[eventsFile] = []
+        addFileIssues(fileIssues, eventsIssues)
+        fileRows[eventsFile] = assembledRows
+      })
+      addFileIssues(fileIssues, checkUnusedSidecarLevels(levelUsage))
+      const hasErrors = Object.keys(fileIssues).some((file) => {
+        return fileIssues[file].some((issue) => {
+          return issue.level === 'error'
+        })
+      })
+      if (hasErrors) {
+        return new BidsDatasetResult(fileIssues, [], eventsFiles.length)
+      }
+      const datasetIssues = validateAssembledDataset(
+        definitionStrings,
+        fileRows,
+        hedSchemas,
+        checkForWarnings,
+      )
+      return new BidsDatasetResult(
+        fileIssues,
+        datasetIssues,
+        eventsFiles.length,
+      )
+    })
+}
+
+/**
+ * Validate the HED annotations of a whole BIDS dataset.
+ *
+ * Every events file is validated with its inherited sidecars, and each sidecar is validated once.
+ * Definitions are shared across the whole dataset, and are collected from the sidecar entries that
+ * take effect for some events file after inheritance and from the events files' HED columns. Onset
+ * and Offset tags are paired within each events file. These dataset-level checks are skipped if any file has errors.
+ *
+ * @param {string} rootPath The path to the BIDS dataset root.
+ * @param {object} options The validation options.
+ * @param {Schemas} [options.hedSchemas] The HED schemas to use instead of those named in the dataset description.
+ * @param {string} [options.schemaDirectory] The local directory to load the dataset description's schemas from.
+ * @param {boolean} [options.checkForWarnings=false] Whether to check for warnings or only errors.
+ * @param {boolean} [options.includeDerivatives=false] Whether to validate the "derivatives" directory.
+ * @param {boolean} [options.includeSourcedata=false] Whether to validate the "sourcedata" directory.
+ * @return {Promise<BidsDatasetResult>} The validation result.
+ */
+const validateBidsDataset = function (rootPath, options = {}) {
+  const schemaPromise =
+    options.hedSchemas !== undefined
+      ? Promise.resolve([options.hedSchemas, []])
+      : buildBidsSchemas(rootPath, options)
+  return schemaPromise.then(([hedSchemas, schemaIssues]) => {
+    const fileIssues = {}
+    addFileIssues(fileIssues, schemaIssues)
+    if (hedSchemas === null) {
+      return new BidsDatasetResult(fileIssues, [], 0)
+    }
+    return validateDatasetFiles(rootPath, hedSchemas, fileIssues, options)
+  })
+}
+
+module.exports = {
+  findEventsFiles: findEventsFiles,
+  validateBidsDataset: validateBidsDataset,
+}
@@ -0,0 +1,241 @@
+const files = require('../utils/files')
+const { generateIssue } = require('../utils/issues')
+const {
+  checkUnusedDefinitions,
+  parseDefinitions,
+  validateDatasetPart,
+} = require('../validator/dataset')
+const { validateHedEvent } = require('../validator/event')
+const {
+  assembleEventFile,
+  checkReferencedColumns,
+  getHedColumnStrings,
+  getSidecarCategoricalStrings,
+} = require('./assembler')
+const {
+  checkEventFileCoverage,
+  checkUnusedSidecarLevels,
+  collectLevelUsage,
+} = require('./coverage')
+const { addIssueLocation } = require('./issues')
+const { parseTsv } = require('./tsv')
+
+/**
+ * Validate the assembled HED strings of an events file's rows.
+ *
+ * Issues are annotated with the file path and the row number. The column name is added
+ * when the row's HED string comes from a single column, and the sidecar files are added
+ * when any of its strings come from a sidecar.
+ *
+ * @param {BidsAssembledRow[]} assembledRows The assembled rows.
+ * @param {string} file The path to the events file.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Issue[]} Any issues found.
+ */
+const validateAssembledRows = function (
+  assembledRows,
+  file,
+  hedSchemas,
+  checkForWarnings,
+) {
+  let issues = []
+  for (const assembledRow of assembledRows) {
+    const [, rowIssues] = validateHedEvent(
+      assembledRow.hedString,
+      hedSchemas,
+      checkForWarnings,
+    )
+    const location = { file: file, row: assembledRow.rowNumber }
+    if (assembledRow.columns.length === 1) {
+      location.column = assembledRow.columns[0]
+    }
+    if (Object.keys(assembledRow.sidecarFiles).length > 0) {
+      location.sidecarFiles = assembledRow.sidecarFiles
+    }
+    issues = issues.concat(addIssueLocation(rowIssues, location))
+  }
+  return issues
+}
+
+/**
+ * Run the dataset-level checks over the assembled rows of one or more events files.
+ *
+ * Definitions are collected once from each sidecar categorical entry and each HED column cell, rather
+ * than from the assembled rows, so that a definition shared by several rows is only declared once.
+ * The Def tags of every events file are checked against them. Onset and Offset tags are only paired
+ * within each events file. Issues are annotated with the location of the sidecar entry, row or events
+ * file they were found in, and unused definitions with the location of the definition.
+ *
+ * @param {object<string, {hedString: string, location: object}>} definitionStrings The strings that may hold definitions, as built by {@link getSidecarCategoricalStrings} and {@link getHedColumnStrings}.
+ * @param {object<string, BidsAssembledRow[]>} fileRows The assembled rows of each events file, in temporal order, keyed by file path.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Issue[]} Any issues found.
+ */
+const validateAssembledDataset = function (
+  definitionStrings,
+  fileRows,
+  hedSchemas,
+  checkForWarnings,
+) {
+  const definitions = {}
+  const definitionLocations = {}
+  let issues = []
+  for (const definitionString of Object.values(definitionStrings)) {
+    const [, , definitionIssues] = parseDefinitions(
+      [definitionString.hedString],
+      hedSchemas,
+      definitions,
+    )
+    for (const definitionKey of Object.keys(definitions)) {
+      if (!(definitionKey in definitionLocations)) {
+        definitionLocations[definitionKey] = definitionString.location
+      }
+    }
+    issues = issues.concat(
+      addIssueLocation(definitionIssues, definitionString.location),
+    )
+  }
+  const usedDefinitions = {}
+  for (const file of Object.keys(fileRows)) {
+    const [, fileIssues] = validateDatasetPart(
+      definitions,
+      fileRows[file].map((assembledRow) => {
+        return assembledRow.hedString
+      }),
+      hedSchemas,
+      checkForWarnings,
+      usedDefinitions,
+    )
+    issues = issues.concat(addIssueLocation(fileIssues, { file: file }))
+  }
+  if (checkForWarnings) {
+    for (const definitionKey of Object.keys(definitions)) {
+      const unusedIssues = checkUnusedDefinitions(
+        { [definitionKey]: definitions[definitionKey] },
+        usedDefinitions,
+      )
+      issues = issues.concat(
+        addIssueLocation(unusedIssues, definitionLocations[definitionKey]),
+      )
+    }
+  }
+  return issues
+}
+
+/**
+ * Validate the HED annotations in a parsed BIDS events file.
+ *
+ * Each row's HED string is assembled from the sidecar and the row's HED column, validated
+ * on its own, and then checked against the other rows with the dataset-level checks.
+ * The dataset-level checks are skipped if any row has errors. When checking for warnings,
+ * columns and values without annotations and unused sidecar values are also reported.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Issue[]} Any issues found.
+ */
+const validateEventFile = function (
+  eventFile,
+  sidecar,
+  hedSchemas,
+  checkForWarnings,
+) {
+  const assembledRows = assembleEventFile(eventFile, sidecar)
+  const rowIssues = checkReferencedColumns(eventFile, sidecar).concat(
+    validateAssembledRows(
+      assembledRows,
+      eventFile.file,
+      hedSchemas,
+      checkForWarnings,
+    ),
+  )
+  let coverageIssues = []
+  if (checkForWarnings) {
+    coverageIssues = checkEventFileCoverage(eventFile, sidecar).concat(
+      checkUnusedSidecarLevels(collectLevelUsage(eventFile, sidecar)),
+    )
+  }
+  if (
+    rowIssues.some((issue) => {
+      return issue.level === 'error'
+    })
+  ) {
+    return rowIssues.concat(coverageIssues)
+  }
+  const datasetIssues = validateAssembledDataset(
+    getHedColumnStrings(eventFile, getSidecarCategoricalStrings(sidecar)),
+    { [eventFile.file]: assembledRows },
+    hedSchemas,
+    checkForWarnings,
+  )
+  return rowIssues.concat(coverageIssues, datasetIssues)
+}
+
+/**
+ * Validate the contents of a BIDS events file.
+ *
+ * Issues are annotated with the file path, the 1-based row number (counting the header as row 1)
+ * and the column name.
+ *
+ * @param {string} contents The contents of the events file.
+ * @param {string} file The path to the events file.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @return {[boolean, Issue[]]} Whether the events file is valid and any issues found.
+ */
+const validateEventsTsvContents = function (
+  contents,
+  file,
+  hedSchemas,
+  checkForWarnings = false,
+  sidecar = null,
+) {
+  const [eventFile, parseIssues] = parseTsv(contents, file)
+  const issues = parseIssues.concat(
+    validateEventFile(eventFile, sidecar, hedSchemas, checkForWarnings),
+  )
+  return [issues.length === 0, issues]
+}
+
+/**
+ * Validate a BIDS events file.
+ *
+ * @param {string} file The path to the events file.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @param {BidsSidecar|null} sidecar The events file's sidecar, if any.
+ * @return {Promise<[boolean, Issue[]]>} Whether the events file is valid and any issues found.
+ */
+const validateEventsTsv = function (
+  file,
+  hedSchemas,
+  checkForWarnings = false,
+  sidecar = null,
+) {
+  return files.readFile(file).then((contents) => {
+    if (contents === undefined) {
+      const issues = [generateIssue('fileReadError', { file: file })]
+      return [false, addIssueLocation(issues, { file: file })]
+    }
+    return validateEventsTsvContents(
+      contents,
+      file,
+      hedSchemas,
+      checkForWarnings,
+      sidecar,
+    )
+  })
+}
+
+module.exports = {
+  validateAssembledRows: validateAssembledRows,
+  validateAssembledDataset: validateAssembledDataset,
+  validateEventFile: validateEventFile,
+  validateEventsTsvContents: validateEventsTsvContents,
+  validateEventsTsv: validateEventsTsv,
+}
@@ -0,0 +1,139 @@
+const files = require('../utils/files')
+const { generateIssue } = require('../utils/issues')
+const { parseQuery, searchHedString } = require('../query/query')
+const { parseHedString } = require('../validator/stringParser')
+const { assembleEventFile } = require('./assembler')
+const { addIssueLocation } = require('./issues')
+const { formatTsv, notApplicable } = require('./tsv')
+const { BidsTsvFile, getRowNumber } = require('./types')
+
+const timingColumns = ['onset', 'duration']
+
+/**
+ * Parse a named list of HED queries.
+ *
+ * @param {object<string, string>} queries The query strings, keyed by factor column name.
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @return {[object<string, Query>, Issue[]]} The parsed queries, keyed by factor column name, and any issues found.
+ */
+const parseFactorQueries = function (queries, hedSchemas) {
+  const parsedQueries = {}
+  let issues = []
+  for (const name of Object.keys(queries)) {
+    if (timingColumns.includes(name)) {
+      issues.push(generateIssue('invalidFactorName', { name: name }))
+      continue
+    }
+    const [query, queryIssues] = parseQuery(queries[name], hedSchemas)
+    parsedQueries[name] = query
+    issues = issues.concat(queryIssues)
+  }
+  return [parsedQueries, issues]
+}
+
+/**
+ * Build the factor columns of an events file from a named list of HED queries.
+ *
+ * The result has the events file's onset and duration columns, followed by one column per query
+ * holding 1 for the rows whose assembled HED string matches the query and 0 otherwise. Rows whose
+ * HED string cannot be parsed get "n/a".
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} sidecar The sidecar annotating the events file.
+ * @param {object<string, string>} queries The query strings, keyed by factor column name.
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @return {[BidsTsvFile|null, Issue[]]} The factor columns (or null if any query is invalid) and any issues found.
+ */
+const getEventFactors = function (eventFile, sidecar, queries, hedSchemas) {
+  const [parsedQueries, queryIssues] = parseFactorQueries(queries, hedSchemas)
+  if (queryIssues.length > 0) {
+    return [null, queryIssues]
+  }
+  const names = Object.keys(parsedQueries)
+  const factorRows = eventFile.rows.map((row) => {
+    const factorRow = {}
+    for (const column of timingColumns) {
+      factorRow[column] = row[column]
+    }
+    for (const name of names) {
+      factorRow[name] = '0'
+    }
+    return factorRow
+  })
+  let issues = []
+  for (const assembledRow of assembleEventFile(eventFile, sidecar)) {
+    const factorRow = factorRows[assembledRow.rowNumber - getRowNumber(0)]
+    const [parsedString, parseIssues] = parseHedString(
+      assembledRow.hedString,
+      hedSchemas,
+    )
+    if (parseIssues.length > 0) {
+      for (const name of names) {
+        factorRow[name] = notApplicable
+      }
+      issues = issues.concat(
+        addIssueLocation(parseIssues, {
+          file: eventFile.file,
+          row: assembledRow.rowNumber,
+        }),
+      )
+      continue
+    }
+    for (const name of names) {
+      const [result] = searchHedString(
+        parsedQueries[name],
+        parsedString,
+        hedSchemas,
+      )
+      factorRow[name] = result.matched ? '1' : '0'
+    }
+  }
+  return [
+    new BidsTsvFile(eventFile.file, timingColumns.concat(names), factorRows),
+    issues,
+  ]
+}
+
+/**
+ * Build the factor columns of an events file and write them to a TSV file.
+ *
+ * @param {BidsTsvFile} eventFile The parsed events file.
+ * @param {BidsSidecar|null} sidecar The sidecar annotating the events file.
+ * @param {object<string, string>} queries The query strings, keyed by factor column name.
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @param {string} outputFile The path to write the factor TSV file to.
+ * @return {Promise<[BidsTsvFile|null, Issue[]]>} The factor columns (or null if they could not be built) and any issues found.
+ */
+const writeEventFactors = function (
+  eventFile,
+  sidecar,
+  queries,
+  hedSchemas,
+  outputFile,
+) {
+  const [factorFile, issues] = getEventFactors(
+    eventFile,
+    sidecar,
+    queries,
+    hedSchemas,
+  )
+  if (factorFile === null) {
+    return Promise.resolve([null, issues])
+  }
+  factorFile.file = outputFile
+  return files.writeFile(outputFile, formatTsv(factorFile)).then((written) => {
+    if (written) {
+      return [factorFile, issues]
+    }
+    const writeIssues = addIssueLocation(
+      [generateIssue('fileWriteError', { file: outputFile })],
+      { file: outputFile },
+    )
+    return [factorFile, issues.concat(writeIssues)]
+  })
+}
+
+module.exports = {
+  getEventFactors: getEventFactors,
+  writeEventFactors: writeEventFactors,
+}
@@ -0,0 +1,31 @@
+const assembler = require('./assembler')
+const dataset = require('./dataset')
+const events = require('./events')
+const factors = require('./factors')
+const inheritance = require('./inheritance')
+const schemas = require('./schemas')
+const sidecar = require('./sidecar')
+const timeline = require('./timeline')
+const tsv = require('./tsv')
+const types = require('./types')
+
+module.exports = {
+  assembleEventFile: assembler.assembleEventFile,
+  BidsSidecar: types.BidsSidecar,
+  buildBidsSchemas: schemas.buildBidsSchemas,
+  buildSchemasFromHedVersion: schemas.buildSchemasFromHedVersion,
+  formatTsv: tsv.formatTsv,
+  getEventFactors: factors.getEventFactors,
+  getEventIntervals: timeline.getEventIntervals,
+  loadEventsSidecar: inheritance.loadEventsSidecar,
+  loadSidecar: sidecar.loadSidecar,
+  mergeSidecars: inheritance.mergeSidecars,
+  parseHedVersion: schemas.parseHedVersion,
+  parseTsv: tsv.parseTsv,
+  validateBidsDataset: dataset.validateBidsDataset,
+  validateSidecar: sidecar.validateSidecar,
+  validateSidecarFile: sidecar.validateSidecarFile,
+  validateEventsTsv: events.validateEventsTsv,
+  validateEventsTsvContents: events.validateEventsTsvContents,
+  writeEventFactors: factors.writeEventFactors,
+}
@@ -0,0 +1,185 @@
+const path = require('path')
+
+const files = require('../utils/files')
+const { loadSidecar } = require('./sidecar')
+const { BidsSidecar } = require('./types')
+
+const entityDelimiter = '_'
+const entityValueDelimiter = '-'
+const eventsSuffix = 'events'
+const sidecarExtension = '.json'
+
+/**
+ * Parse the entities, suffix and extension of a BIDS file name.
+ *
+ * For example, "sub-01_task-test_events.tsv" has the entities sub=01 and task=test,
+ * the suffix "events" and the extension ".tsv".
+ *
+ * @param {string} file The file name or path.
+ * @return {{entities: object<string, string>, suffix: string, extension: string}} The parsed file name.
+ */
+const parseBidsFilename = function (file) {
+  const basename = path.basename(file)
+  const extensionIndex = basename.indexOf('.')
+  const stem =
+    extensionIndex === -1 ? basename : basename.slice(0, extensionIndex)
+  const extension = extensionIndex === -1 ? '' : basename.slice(extensionIndex)
+  const stemParts = stem.split(entityDelimiter)
+  const suffix = stemParts.pop()
+  const entities = {}
+  for (const entity of stemParts) {
+    const valueIndex = entity.indexOf(entityValueDelimiter)
+    if (valueIndex === -1) {
+      entities[entity] = ''
+    } else {
+      entities[entity.slice(0, valueIndex)] = entity.slice(valueIndex + 1)
+    }
+  }
+  return { entities: entities, suffix: suffix, extension: extension }
+}
+
+/**
+ * Determine whether a sidecar file applies to an events file under the BIDS inheritance principle.
+ *
+ * @param {string} sidecarFile The sidecar file name.
+ * @param {string} eventsFile The events file name.
+ * @return {boolean} Whether the sidecar's entities are a subset of the events file's entities.
+ */
+const isApplicableSidecar = function (sidecarFile, eventsFile) {
+  const sidecarName = parseBidsFilename(sidecarFile)
+  const eventsName = parseBidsFilename(eventsFile)
+  if (
+    sidecarName.suffix !== eventsSuffix ||
+    sidecarName.extension !== sidecarExtension
+  ) {
+    return false
+  }
+  return Object.keys(sidecarName.entities).every((entity) => {
+    return eventsName.entities[entity] === sidecarName.entities[entity]
+  })
+}
+
+/**
+ * Get the directories searched for an events file's sidecars, from the dataset root down to the events file's directory.
+ *
+ * @param {string} rootPath The path to the BIDS dataset root.
+ * @param {string} eventsFile The path to the events file.
+ * @return {string[]} The directories, farthest first.
+ */
+const getSidecarDirectories = function (rootPath, eventsFile) {
+  const eventsDirectory = path.dirname(eventsFile)
+  const relativePath = path.relative(rootPath, eventsDirectory)
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return [eventsDirectory]
+  }
+  const directories = [rootPath]
+  let directory = rootPath
+  for (const pathPart of relativePath.split(path.sep)) {
+    if (pathPart === '') {
+      continue
+    }
+    directory = path.join(directory, pathPart)
+    directories.push(directory)
+  }
+  return directories
+}
+
+/**
+ * Find the sidecar files applying to an events file.
+ *
+ * Within a directory, sidecars with fewer entities are considered farther from the events file.
+ *
+ * @param {string} rootPath The path to the BIDS dataset root.
+ * @param {string} eventsFile The path to the events file.
+ * @return {Promise<string[]>} The paths to the applicable sidecar files, farthest first.
+ */
+const findEventsSidecars = function (rootPath, eventsFile) {
+  const directories = getSidecarDirectories(rootPath, eventsFile)
+  return Promise.all(directories.map(files.readDirectory)).then(
+    (directoryEntries) => {
+      const sidecarFiles = []
+      directoryEntries.forEach((entries, directoryIndex) => {
+        const directorySidecars = entries
+          .filter((entry) => {
+            return entry.isFile() && isApplicableSidecar(entry.name, eventsFile)
+          })
+          .map((entry) => {
+            return entry.name
+          })
+          .sort((first, second) => {
+            const entityDifference =
+              Object.keys(parseBidsFilename(first).entities).length -
+              Object.keys(parseBidsFilename(second).entities).length
+            return entityDifference !== 0
+              ? entityDifference
+              : first.localeCompare(second)
+          })
+        for (const sidecarName of directorySidecars) {
+          sidecarFiles.push(path.join(directories[directoryIndex], sidecarName))
+        }
+      })
+      return sidecarFiles
+    },
+  )
+}
+
+/**
+ * Merge sidecars under the BIDS inheritance principle.
+ *
+ * Top-level keys from nearer sidecars override those from farther ones.
+ *
+ * @param {BidsSidecar[]} sidecars The sidecars, farthest first.
+ * @return {BidsSidecar|null} The merged sidecar, or null if there are no sidecars.
+ */
+const mergeSidecars = function (sidecars) {
+  if (sidecars.length === 0) {
+    return null
+  }
+  const mergedData = {}
+  const columnFiles = {}
+  for (const sidecar of sidecars) {
+    for (const column of Object.keys(sidecar.sidecarData)) {
+      mergedData[column] = sidecar.sidecarData[column]
+      columnFiles[column] = sidecar.columnFiles[column]
+    }
+  }
+  const mergedSidecar = new BidsSidecar(
+    sidecars[sidecars.length - 1].file,
+    mergedData,
+  )
+  mergedSidecar.columnFiles = columnFiles
+  return mergedSidecar
+}
+
+/**
+ * Load and merge the sidecars applying to an events file.
+ *
+ * @param {string} rootPath The path to the BIDS dataset root.
+ * @param {string} eventsFile The path to the events file.
+ * @return {Promise<[BidsSidecar|null, Issue[]]>} The merged sidecar (or null if none apply) and any issues found while loading.
+ */
+const loadEventsSidecar = function (rootPath, eventsFile) {
+  return findEventsSidecars(rootPath, eventsFile)
+    .then((sidecarFiles) => {
+      return Promise.all(sidecarFiles.map(loadSidecar))
+    })
+    .then((loadedSidecars) => {
+      const sidecars = []
+      let issues = []
+      for (const [sidecar, loadIssues] of loadedSidecars) {
+        if (sidecar !== null) {
+          sidecars.push(sidecar)
+        }
+        issues = issues.concat(loadIssues)
+      }
+      return [mergeSidecars(sidecars), issues]
+    })
+}
+
+module.exports = {
+  parseBidsFilename: parseBidsFilename,
+  isApplicableSidecar: isApplicableSidecar,
+  findEventsSidecars: findEventsSidecars,
+  mergeSidecars: mergeSidecars,
+  loadEventsSidecar: loadEventsSidecar,
+}
@@ -0,0 +1,19 @@
+/**
+ * Attach a location within a BIDS dataset to a list of issues.
+ *
+ * The location's fields (e.g. file, row, column) are copied onto each issue.
+ *
+ * @param {Issue[]} issues The issues to annotate.
+ * @param {object<string, (string|number)>} location The location of the issues.
+ * @return {Issue[]} The annotated issues.
+ */
+const addIssueLocation = function (issues, location) {
+  for (const issue of issues) {
+    Object.assign(issue, location)
+  }
+  return issues
+}
+
+module.exports = {
+  addIssueLocation: addIssueLocation,
+}
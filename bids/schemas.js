@@ -0,0 +1,195 @@
+const path = require('path')
+const semver = require('semver')
+
+const files = require('../utils/files')
+const { generateIssue } = require('../utils/issues')
+const { getSchemaFileName } = require('../utils/schemaStore')
+const { buildSchemas } = require('../validator/schema')
+const { addIssueLocation } = require('./issues')
+const { SchemaSpec } = require('./types')
+
+const datasetDescriptionFile = 'dataset_description.json'
+const hedVersionKey = 'HEDVersion'
+const prefixDelimiter = ':'
+const libraryDelimiter = '_'
+
+/**
+ * Parse a single HEDVersion entry (e.g. "8.0.0" or "sc:score_1.0.0").
+ *
+ * @param {string} versionString The HEDVersion entry.
+ * @return {SchemaSpec|null} The parsed schema specification, or null if the entry is invalid.
+ */
+const parseVersionString = function (versionString) {
+  if (typeof versionString !== 'string') {
+    return null
+  }
+  let prefix = ''
+  let libraryVersion = versionString
+  const prefixIndex = versionString.indexOf(prefixDelimiter)
+  if (prefixIndex !== -1) {
+    prefix = versionString.slice(0, prefixIndex)
+    libraryVersion = versionString.slice(prefixIndex + 1)
+    if (prefix === '') {
+      return null
+    }
+  }
+  let library = ''
+  let version = libraryVersion
+  const libraryIndex = libraryVersion.lastIndexOf(libraryDelimiter)
+  if (libraryIndex !== -1) {
+    library = libraryVersion.slice(0, libraryIndex)
+    version = libraryVersion.slice(libraryIndex + 1)
+    if (library === '') {
+      return null
+    }
+  }
+  if (semver.valid(version) === null) {
+    return null
+  }
+  return new SchemaSpec(prefix, library, version)
+}
+
+/**
+ * Parse a dataset's HEDVersion.
+ *
+ * The HEDVersion is either a single version string or a non-empty list of them, at most one of which is
+ * unprefixed. A list of only library-prefixed versions has no base schema.
+ *
+ * @param {string|string[]|undefined} hedVersion The HEDVersion value.
+ * @return {[SchemaSpec[], Issue[]]} The parsed schema specifications and any issues found.
+ */
+const parseHedVersion = function (hedVersion) {
+  if (
+    hedVersion === undefined ||
+    hedVersion === null ||
+    (Array.isArray(hedVersion) && hedVersion.length === 0)
+  ) {
+    return [[], [generateIssue('missingHedVersion', {})]]
+  }
+  const versionStrings = Array.isArray(hedVersion) ? hedVersion : [hedVersion]
+  const schemaSpecs = []
+  const issues = []
+  const prefixes = new Set()
+  for (const versionString of versionStrings) {
+    const schemaSpec = parseVersionString(versionString)
+    if (schemaSpec === null || prefixes.has(schemaSpec.prefix)) {
+      issues.push(
+        generateIssue('invalidHedVersion', {
+          version: JSON.stringify(versionString),
+        }),
+      )
+      continue
+    }
+    prefixes.add(schemaSpec.prefix)
+    schemaSpecs.push(schemaSpec)
+  }
+  return [schemaSpecs, issues]
+}
+
+/**
+ * Get the schema description for a schema specification, as passed to {@link buildSchemas}.
+ *
+ * Schemas are loaded from the local schema directory if one is given. Otherwise, they are
+ * loaded from the default schema store.
+ *
+ * @param {SchemaSpec} schemaSpec The schema specification.
+ * @param {string|undefined} schemaDirectory The local schema directory.
+ * @return {{path: string?, library: string?, version: string?, prefix: string}} The schema description.
+ */
+const getSchemaDef = function (schemaSpec, schemaDirectory) {
+  if (schemaDirectory !== undefined) {
+    return {
+      path: path.join(
+        schemaDirectory,
+        getSchemaFileName(schemaSpec.version, schemaSpec.library),
+      ),
+      prefix: schemaSpec.prefix,
+    }
+  }
+  return {
+    library: schemaSpec.library,
+    version: schemaSpec.version,
+    prefix: schemaSpec.prefix,
+  }
+}
+
+/**
+ * Build a schema container object from a dataset's HEDVersion.
+ *
+ * @param {string|string[]|undefined} hedVersion The HEDVersion value.
+ * @param {{schemaDirectory: string?}} options The schema loading options.
+ * @return {Promise<[Schemas|null, Issue[]]>} The schema container object (or null if any schema could not be loaded) and any issues found.
+ */
+const buildSchemasFromHedVersion = function (hedVersion, options = {}) {
+  const [schemaSpecs, parseIssues] = parseHedVersion(hedVersion)
+  if (parseIssues.length > 0) {
+    return Promise.resolve([null, parseIssues])
+  }
+  const schemaDefs = schemaSpecs.map((schemaSpec) => {
+    return getSchemaDef(schemaSpec, options.schemaDirectory)
+  })
+  return buildSchemas(schemaDefs)
+    .then((hedSchemas) => {
+      return [hedSchemas, []]
+    })
+    .catch((error) => {
+      const schemaNames = schemaSpecs.map((schemaSpec) => {
+        return getSchemaFileName(schemaSpec.version, schemaSpec.library)
+      })
+      return [
+        null,
+        [
+          generateIssue('schemaLoadFailed', {
+            version: schemaNames.join(', '),
+            error: error.message,
+          }),
+        ],
+      ]
+    })
+}
+
+/**
+ * Build a schema container object from the HEDVersion in a BIDS dataset's description.
+ *
+ * A dataset description that is not a JSON object is treated as having no HEDVersion. Issues are
+ * annotated with the path to the dataset description file.
+ *
+ * @param {string} rootPath The path to the BIDS dataset root.
+ * @param {{schemaDirectory: string?}} options The schema loading options.
+ * @return {Promise<[Schemas|null, Issue[]]>} The schema container object (or null if it could not be built) and any issues found.
+ */
+const buildBidsSchemas = function (rootPath, options = {}) {
+  const file = path.join(rootPath, datasetDescriptionFile)
+  return files
+    .readFile(file)
+    .then((contents) => {
+      if (contents === undefined) {
+        return [null, [generateIssue('fileReadError', { file: file })]]
+      }
+      let datasetDescription
+      try {
+        datasetDescription = JSON.parse(contents)
+      } catch (error) {
+        return [
+          null,
+          [generateIssue('invalidJson', { file: file, error: error.message })],
+        ]
+      }
+      const hedVersion =
+        datasetDescription !== null &&
+        typeof datasetDescription === 'object' &&
+        !Array.isArray(datasetDescription)
+          ? datasetDescription[hedVersionKey]
+          : undefined
+      return buildSchemasFromHedVersion(hedVersion, options)
+    })
+    .then(([hedSchemas, issues]) => {
+      return [hedSchemas, addIssueLocation(issues, { file: file })]
+    })
+}
+
+module.exports = {
+  parseHedVersion: parseHedVersion,
+  buildSchemasFromHedVersion: buildSchemasFromHedVersion,
+  buildBidsSchemas: buildBidsSchemas,
+}
@@ -0,0 +1,330 @@
+const files = require('../utils/files')
+const { getCharacterCount } = require('../utils/string')
+const { generateIssue } = require('../utils/issues')
+const { validateHedString } = require('../validator/event')
+const { parseHedString } = require('../validator/stringParser')
+const { addIssueLocation } = require('./issues')
+const { BidsSidecar, sidecarHedKey } = require('./types')
+
+const placeholderCharacter = '#'
+
+/**
+ * Build the key path of a sidecar entry (e.g. "trial_type.HED.go").
+ *
+ * @param {string} column The column name.
+ * @param {string} [level] The categorical column value, if any.
+ * @return {string} The key path.
+ */
+const getSidecarKey = function (column, level) {
+  const keyParts = [column, sidecarHedKey]
+  if (level !== undefined) {
+    keyParts.push(level)
+  }
+  return keyParts.join('.')
+}
+
+/**
+ * Validate a single sidecar HED string.
+ *
+ * @param {string} hedString The sidecar HED string.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Issue[]} Any issues found.
+ */
+const validateSidecarString = function (
+  hedString,
+  hedSchemas,
+  checkForWarnings,
+) {
+  const [, issues] = validateHedString(
+    hedString,
+    hedSchemas,
+    checkForWarnings,
+    true,
+  )
+  return issues
+}
+
+/**
+ * Validate the HED annotation of a value column.
+ *
+ * @param {string} column The column name.
+ * @param {string} hedString The column's HED string.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Issue[]} Any issues found.
+ */
+const validateValueColumn = function (
+  column,
+  hedString,
+  hedSchemas,
+  checkForWarnings,
+) {
+  const issues = []
+  const placeholderCount = getCharacterCount(hedString, placeholderCharacter)
+  if (placeholderCount !== 1) {
+    issues.push(
+      generateIssue('invalidSidecarPlaceholderCount', {
+        column: column,
+        count: placeholderCount,
+      }),
+    )
+  }
+  return issues.concat(
+    validateSidecarString(hedString, hedSchemas, checkForWarnings),
+  )
+}
+
+/**
+ * Validate the HED annotation of a categorical column value.
+ *
+ * @param {string} column The column name.
+ * @param {string} level The column value.
+ * @param {string} hedString The column value's HED string.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Issue[]} Any issues found.
+ */
+const validateCategoricalValue = function (
+  column,
+  level,
+  hedString,
+  hedSchemas,
+  checkForWarnings,
+) {
+  if (typeof hedString !== 'string') {
+    return [generateIssue('invalidSidecarHedType', { column: column })]
+  }
+  const issues = []
+  if (hedString.includes(placeholderCharacter)) {
+    issues.push(
+      generateIssue('invalidSidecarPlaceholder', {
+        column: column,
+        level: level,
+      }),
+    )
+  }
+  return issues.concat(
+    validateSidecarString(hedString, hedSchemas, checkForWarnings),
+  )
+}
+
+/**
+ * Get the columns referenced by each annotated column of a sidecar.
+ *
+ * @param {BidsSidecar} sidecar The parsed sidecar.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @return {object<string, string[]>} The referenced column names, keyed by referencing column.
+ */
+const getColumnReferenceGraph = function (sidecar, hedSchemas) {
+  const referenceGraph = {}
+  const addReferences = function (column, hedString) {
+    if (typeof hedString !== 'string') {
+      return
+    }
+    const [parsedString] = parseHedString(hedString, hedSchemas)
+    for (const columnReference of parsedString.columnReferences) {
+      if (!referenceGraph[column].includes(columnReference.columnName)) {
+        referenceGraph[column].push(columnReference.columnName)
+      }
+    }
+  }
+  for (const column of Object.keys(sidecar.valueColumns)) {
+    referenceGraph[column] = []
+    addReferences(column, sidecar.valueColumns[column])
+  }
+  for (const column of Object.keys(sidecar.categoricalColumns)) {
+    referenceGraph[column] = []
+    for (const hedString of Object.values(sidecar.categoricalColumns[column])) {
+      addReferences(column, hedString)
+    }
+  }
+  return referenceGraph
+}
+
+/**
+ * Determine whether a column can reach itself by following column references.
+ *
+ * @param {string} column The column name.
+ * @param {object<string, string[]>} referenceGraph The referenced column names, keyed by referencing column.
+ * @return {boolean} Whether the column is part of a circular chain of references.
+ */
+const isCircularReference = function (column, referenceGraph) {
+  const visitedColumns = new Set()
+  const pendingColumns = [...referenceGraph[column]]
+  while (pendingColumns.length > 0) {
+    const referencedColumn = pendingColumns.pop()
+    if (referencedColumn === column) {
+      return true
+    }
+    if (
+      visitedColumns.has(referencedColumn) ||
+      !(referencedColumn in referenceGraph)
+    ) {
+      continue
+    }
+    visitedColumns.add(referencedColumn)
+    pendingColumns.push(...referenceGraph[referencedColumn])
+  }
+  return false
+}
+
+/**
+ * Check that a sidecar's column references refer to annotated columns and are not circular.
+ *
+ * @param {BidsSidecar} sidecar The parsed sidecar.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @return {Issue[]} Any issues found.
+ */
+const checkColumnReferences = function (sidecar, hedSchemas) {
+  const referenceGraph = getColumnReferenceGraph(sidecar, hedSchemas)
+  let issues = []
+  for (const column of Object.keys(referenceGraph)) {
+    const columnIssues = referenceGraph[column]
+      .filter((reference) => {
+        return !(reference in referenceGraph)
+      })
+      .map((reference) => {
+        return generateIssue('unannotatedColumnReference', {
+          column: column,
+          reference: reference,
+        })
+      })
+    if (isCircularReference(column, referenceGraph)) {
+      columnIssues.push(
+        generateIssue('circularColumnReference', { column: column }),
+      )
+    }
+    issues = issues.concat(
+      addIssueLocation(columnIssues, {
+        file: sidecar.columnFiles[column],
+        sidecarKey: getSidecarKey(column),
+      }),
+    )
+  }
+  return issues
+}
+
+/**
+ * Validate the HED annotations in a parsed BIDS sidecar.
+ *
+ * Issues are annotated with the path of the sidecar file the offending entry came from and its key path.
+ *
+ * @param {BidsSidecar} sidecar The parsed sidecar.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {[boolean, Issue[]]} Whether the sidecar is valid and any issues found.
+ */
+const validateSidecar = function (
+  sidecar,
+  hedSchemas,
+  checkForWarnings = false,
+) {
+  let issues = []
+  for (const column of Object.keys(sidecar.sidecarData)) {
+    const columnData = sidecar.sidecarData[column]
+    if (
+      columnData === null ||
+      typeof columnData !== 'object' ||
+      !(sidecarHedKey in columnData)
+    ) {
+      continue
+    }
+    if (column in sidecar.valueColumns) {
+      const columnIssues = validateValueColumn(
+        column,
+        sidecar.valueColumns[column],
+        hedSchemas,
+        checkForWarnings,
+      )
+      issues = issues.concat(
+        addIssueLocation(columnIssues, {
+          file: sidecar.columnFiles[column],
+          sidecarKey: getSidecarKey(column),
+        }),
+      )
+    } else if (column in sidecar.categoricalColumns) {
+      const categoricalData = sidecar.categoricalColumns[column]
+      for (const level of Object.keys(categoricalData)) {
+        const levelIssues = validateCategoricalValue(
+          column,
+          level,
+          categoricalData[level],
+          hedSchemas,
+          checkForWarnings,
+        )
+        issues = issues.concat(
+          addIssueLocation(levelIssues, {
+            file: sidecar.columnFiles[column],
+            sidecarKey: getSidecarKey(column, level),
+          }),
+        )
+      }
+    } else {
+      issues = issues.concat(
+        addIssueLocation(
+          [generateIssue('invalidSidecarHedType', { column: column })],
+          {
+            file: sidecar.columnFiles[column],
+            sidecarKey: getSidecarKey(column),
+          },
+        ),
+      )
+    }
+  }
+  issues = issues.concat(checkColumnReferences(sidecar, hedSchemas))
+  return [issues.length === 0, issues]
+}
+
+/**
+ * Load a BIDS sidecar file.
+ *
+ * @param {string} file The path to the sidecar file.
+ * @return {Promise<[BidsSidecar|null, Issue[]]>} The parsed sidecar (or null if it could not be loaded) and any issues found.
+ */
+const loadSidecar = function (file) {
+  return files.readFile(file).then((contents) => {
+    if (contents === undefined) {
+      const issues = [generateIssue('fileReadError', { file: file })]
+      return [null, addIssueLocation(issues, { file: file })]
+    }
+    let sidecarData
+    try {
+      sidecarData = JSON.parse(contents)
+    } catch (error) {
+      const issues = [
+        generateIssue('invalidJson', { file: file, error: error.message }),
+      ]
+      return [null, addIssueLocation(issues, { file: file })]
+    }
+    return [new BidsSidecar(file, sidecarData), []]
+  })
+}
+
+/**
+ * Validate a BIDS sidecar file.
+ *
+ * @param {string} file The path to the sidecar file.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Promise<[boolean, Issue[]]>} Whether the sidecar is valid and any issues found.
+ */
+const validateSidecarFile = function (
+  file,
+  hedSchemas,
+  checkForWarnings = false,
+) {
+  return loadSidecar(file).then(([sidecar, loadIssues]) => {
+    if (sidecar === null) {
+      return [false, loadIssues]
+    }
+    return validateSidecar(sidecar, hedSchemas, checkForWarnings)
+  })
+}
+
+module.exports = {
+  getSidecarKey: getSidecarKey,
+  loadSidecar: loadSidecar,
+  validateSidecar: validateSidecar,
+  validateSidecarFile: validateSidecarFile,
+}
@@ -0,0 +1,283 @@
+const pluralize = require('pluralize')
+
+const { generateIssue } = require('../utils/issues')
+const {
+  findTemporalGroupDefinition,
+  getFormattedSpecialTag,
+  isSpecialTag,
+} = require('../validator/dataset')
+const { parseHedString } = require('../validator/stringParser')
+const { addIssueLocation } = require('./issues')
+const { BidsEventInterval } = require('./types')
+
+const defShortTag = 'def'
+const defExpandShortTag = 'def-expand'
+const durationShortTag = 'duration'
+const offsetShortTag = 'offset'
+const onsetShortTag = 'onset'
+const secondSymbol = 's'
+const secondName = 'second'
+// The number of seconds in each of the other units of the HED time unit class.
+const timeUnitSeconds = { minute: 60, hour: 3600, day: 86400 }
+// The powers of ten of the SI unit modifiers, keyed by name and by symbol.
+const unitModifierExponents = {
+  deca: 1,
+  hecto: 2,
+  kilo: 3,
+  mega: 6,
+  giga: 9,
+  tera: 12,
+  peta: 15,
+  exa: 18,
+  zetta: 21,
+  yotta: 24,
+  deci: -1,
+  centi: -2,
+  milli: -3,
+  micro: -6,
+  nano: -9,
+  pico: -12,
+  femto: -15,
+  atto: -18,
+  zepto: -21,
+  yocto: -24,
+}
+const unitSymbolModifierExponents = {
+  da: 1,
+  h: 2,
+  k: 3,
+  M: 6,
+  G: 9,
+  T: 12,
+  P: 15,
+  E: 18,
+  Z: 21,
+  Y: 24,
+  d: -1,
+  c: -2,
+  m: -3,
+  u: -6,
+  n: -9,
+  p: -12,
+  f: -15,
+  a: -18,
+  z: -21,
+  y: -24,
+}
+const timeUnits = [secondSymbol, secondName]
+  .concat(Object.keys(timeUnitSeconds))
+  .sort()
+
+/**
+ * Convert a duration to seconds.
+ *
+ * Seconds may carry SI unit modifiers (e.g. "ms" or "milliseconds"). Unit names, unlike unit symbols,
+ * may be plural and are matched case-insensitively.
+ *
+ * @param {number} duration The duration in the given unit.
+ * @param {string} unit The unit of the duration.
+ * @return {number|null} The duration in seconds, or null if the unit is not a time unit.
+ */
+const convertToSeconds = function (duration, unit) {
+  const scaleDuration = function (exponent) {
+    return exponent < 0
+      ? duration / Math.pow(10, -exponent)
+      : duration * Math.pow(10, exponent)
+  }
+  if (unit.endsWith(secondSymbol)) {
+    const modifier = unit.slice(0, -secondSymbol.length)
+    if (modifier === '') {
+      return duration
+    } else if (modifier in unitSymbolModifierExponents) {
+      return scaleDuration(unitSymbolModifierExponents[modifier])
+    }
+  }
+  const unitName = pluralize.singular(unit.toLowerCase())
+  if (unitName in timeUnitSeconds) {
+    return duration * timeUnitSeconds[unitName]
+  } else if (unitName.endsWith(secondName)) {
+    const modifier = unitName.slice(0, -secondName.length)
+    if (modifier === '') {
+      return duration
+    } else if (modifier in unitModifierExponents) {
+      return scaleDuration(unitModifierExponents[modifier])
+    }
+  }
+  return null
+}
+
+/**
+ * Get the value of a Duration tag in seconds.
+ *
+ * A value without a unit is in seconds, the default unit of the time unit class.
+ *
+ * @param {ParsedHedTag} durationTag The Duration tag.
+ * @param {string} formattedDurationTag The long, formatted form of the Duration tag.
+ * @return {[number|null, Issue[]]} The duration in seconds (or null if the value is not numeric or its unit is not a time unit) and any issues found.
+ */
+const getDurationSeconds = function (durationTag, formattedDurationTag) {
+  const [magnitude, unit] = durationTag.canonicalTag
+    .slice(formattedDurationTag.length + 1)
+    .trim()
+    .split(/\s+/)
+  const duration = Number(magnitude)
+  if (magnitude === '' || Number.isNaN(duration)) {
+    return [null, []]
+  }
+  if (unit === undefined) {
+    return [duration, []]
+  }
+  const seconds = convertToSeconds(duration, unit)
+  if (seconds === null) {
+    return [
+      null,
+      [
+        generateIssue('unitClassInvalidUnit', {
+          tag: durationTag.originalTag,
+          unitClassUnits: timeUnits.join(','),
+        }),
+      ],
+    ]
+  }
+  return [seconds, []]
+}
+
+/**
+ * Close an open interval at a row.
+ *
+ * @param {BidsEventInterval} interval The open interval.
+ * @param {BidsAssembledRow} row The row closing the interval.
+ */
+const closeInterval = function (interval, row) {
+  interval.endOnset = row.onset
+  interval.endRow = row.rowNumber
+}
+
+/**
+ * Expand the Onset, Offset and Duration tag groups of an events file into temporal intervals.
+ *
+ * Onset groups open an interval for their definition, which the next Onset or Offset group for the
+ * same definition closes. Duration groups are self-closing. Intervals still open at the end of the
+ * rows are closed at the last row and flagged as unclosed.
+ *
+ * @param {BidsAssembledRow[]} assembledRows The assembled rows of the events file, in temporal order.
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @return {[BidsEventInterval[], Issue[]]} The intervals, in order of their start, and any issues found.
+ */
+const getEventIntervals = function (assembledRows, hedSchemas) {
+  const formattedDefTag = getFormattedSpecialTag(defShortTag, hedSchemas)
+  const formattedDefExpandTag = getFormattedSpecialTag(
+    defExpandShortTag,
+    hedSchemas,
+  )
+  const formattedDurationTag = getFormattedSpecialTag(
+    durationShortTag,
+    hedSchemas,
+  )
+  const formattedOffsetTag = getFormattedSpecialTag(offsetShortTag, hedSchemas)
+  const formattedOnsetTag = getFormattedSpecialTag(onsetShortTag, hedSchemas)
+  const intervals = []
+  // Maps lowercase definition names to their open intervals and original names.
+  const openIntervals = {}
+  let issues = []
+  for (const row of assembledRows) {
+    const [parsedString, parseIssues] = parseHedString(
+      row.hedString,
+      hedSchemas,
+    )
+    if (parseIssues.length > 0) {
+      issues = issues.concat(
+        addIssueLocation(parseIssues, { row: row.rowNumber }),
+      )
+      continue
+    }
+    for (const tagGroup of parsedString.topLevelTagGroups) {
+      const temporalTag = tagGroup.find((tag) => {
+        return (
+          tag.formattedTag === formattedOnsetTag ||
+          tag.formattedTag === formattedOffsetTag
+        )
+      })
+      const durationTag = tagGroup.find((tag) => {
+        return isSpecialTag(tag, formattedDurationTag)
+      })
+      if (temporalTag === undefined && durationTag === undefined) {
+        continue
+      }
+      const [name, value, otherGroups] = findTemporalGroupDefinition(
+        tagGroup,
+        parsedString,
+        formattedDefTag,
+        formattedDefExpandTag,
+      )
+      if (name === null) {
+        continue
+      }
+      const definitionValue = value === undefined ? null : value
+      if (temporalTag === undefined) {
+        const interval = new BidsEventInterval(
+          name,
+          definitionValue,
+          row.onset,
+          row.rowNumber,
+          otherGroups,
+        )
+        const [duration, durationIssues] = getDurationSeconds(
+          durationTag,
+          formattedDurationTag,
+        )
+        issues.push(...addIssueLocation(durationIssues, { row: row.rowNumber }))
+        interval.endOnset =
+          row.onset === null || duration === null ? null : row.onset + duration
+        interval.endRow = row.rowNumber
+        intervals.push(interval)
+        continue
+      }
+      const definitionName = value === undefined ? name : name + '/' + value
+      const definitionKey = definitionName.toLowerCase()
+      if (definitionKey in openIntervals) {
+        closeInterval(openIntervals[definitionKey][0], row)
+        delete openIntervals[definitionKey]
+      } else if (temporalTag.formattedTag === formattedOffsetTag) {
+        issues.push(
+          ...addIssueLocation(
+            [
+              generateIssue('unmatchedOffset', {
+                definition: definitionName,
+              }),
+            ],
+            { row: row.rowNumber },
+          ),
+        )
+      }
+      if (temporalTag.formattedTag === formattedOnsetTag) {
+        const interval = new BidsEventInterval(
+          name,
+          definitionValue,
+          row.onset,
+          row.rowNumber,
+          otherGroups,
+        )
+        openIntervals[definitionKey] = [interval, definitionName]
+        intervals.push(interval)
+      }
+    }
+  }
+  const lastRow = assembledRows[assembledRows.length - 1]
+  for (const definitionKey of Object.keys(openIntervals)) {
+    const [interval, definitionName] = openIntervals[definitionKey]
+    closeInterval(interval, lastRow)
+    interval.unclosed = true
+    issues.push(
+      ...addIssueLocation(
+        [generateIssue('unclosedOnset', { definition: definitionName })],
+        { row: interval.startRow },
+      ),
+    )
+  }
+  return [intervals, issues]
+}
+
+module.exports = {
+  getEventIntervals: getEventIntervals,
+}
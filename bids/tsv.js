@@ -0,0 +1,99 @@
+const { generateIssue } = require('../utils/issues')
+const { addIssueLocation } = require('./issues')
+const { BidsTsvFile, getRowNumber } = require('./types')
+
+const columnDelimiter = '\t'
+const lineDelimiter = /\r?\n/
+const notApplicable = 'n/a'
+
+/**
+ * Determine whether a BIDS cell value is missing.
+ *
+ * @param {string|undefined} value The cell value.
+ * @return {boolean} Whether the value is "n/a", empty, or absent.
+ */
+const isNotApplicable = function (value) {
+  return value === undefined || value.trim() === '' || value === notApplicable
+}
+
+/**
+ * Parse the contents of a BIDS TSV file.
+ *
+ * The first line is treated as the header. Trailing blank lines are ignored.
+ *
+ * @param {string} contents The contents of the TSV file.
+ * @param {string} file The path to the TSV file (for issue locations).
+ * @return {[BidsTsvFile, Issue[]]} The parsed file and any issues found.
+ */
+const parseTsv = function (contents, file) {
+  const lines = contents.split(lineDelimiter)
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop()
+  }
+  if (lines.length === 0) {
+    return [
+      new BidsTsvFile(file, [], []),
+      addIssueLocation([generateIssue('emptyTsvFile', {})], { file: file }),
+    ]
+  }
+  let issues = []
+  const headers = lines[0].split(columnDelimiter).map((header) => {
+    return header.trim()
+  })
+  const rows = lines.slice(1).map((line, rowIndex) => {
+    const cells = line.split(columnDelimiter)
+    if (cells.length !== headers.length) {
+      const rowNumber = getRowNumber(rowIndex)
+      issues = issues.concat(
+        addIssueLocation(
+          [
+            generateIssue('tsvColumnCount', {
+              row: rowNumber,
+              expected: headers.length,
+              found: cells.length,
+            }),
+          ],
+          { row: rowNumber },
+        ),
+      )
+    }
+    const row = {}
+    headers.forEach((header, columnIndex) => {
+      row[header] = cells[columnIndex]
+    })
+    return row
+  })
+  return [
+    new BidsTsvFile(file, headers, rows),
+    addIssueLocation(issues, { file: file }),
+  ]
+}
+
+/**
+ * Format a BIDS TSV file's contents.
+ *
+ * Missing cell values are written as "n/a".
+ *
+ * @param {BidsTsvFile} tsvFile The TSV file.
+ * @return {string} The contents of the TSV file.
+ */
+const formatTsv = function (tsvFile) {
+  const lines = [tsvFile.headers.join(columnDelimiter)]
+  for (const row of tsvFile.rows) {
+    lines.push(
+      tsvFile.headers
+        .map((header) => {
+          return isNotApplicable(row[header]) ? notApplicable : row[header]
+        })
+        .join(columnDelimiter),
+    )
+  }
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  notApplicable: notApplicable,
+  isNotApplicable: isNotApplicable,
+  parseTsv: parseTsv,
+  formatTsv: formatTsv,
+}
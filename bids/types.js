@@ -0,0 +1,277 @@
+const hedColumn = 'HED'
+const onsetColumn = 'onset'
+const sidecarHedKey = 'HED'
+
+/**
+ * A parsed BIDS TSV file.
+ *
+ * @param {string} file The path to the TSV file.
+ * @param {string[]} headers The column names.
+ * @param {object<string, string>[]} rows The data rows, as mappings from column names to cell values.
+ * @constructor
+ */
+const BidsTsvFile = function (file, headers, rows) {
+  /**
+   * The path to the TSV file.
+   * @type {string}
+   */
+  this.file = file
+  /**
+   * The column names.
+   * @type {string[]}
+   */
+  this.headers = headers
+  /**
+   * The data rows, as mappings from column names to cell values.
+   * @type {object<string, string>[]}
+   */
+  this.rows = rows
+}
+
+/**
+ * A parsed BIDS JSON sidecar.
+ *
+ * @param {string} file The path to the sidecar file.
+ * @param {object} sidecarData The parsed JSON data of the sidecar.
+ * @constructor
+ */
+const BidsSidecar = function (file, sidecarData) {
+  /**
+   * The path to the sidecar file.
+   * @type {string}
+   */
+  this.file = file
+  /**
+   * The parsed JSON data of the sidecar.
+   * @type {object}
+   */
+  this.sidecarData = sidecarData
+  /**
+   * The HED annotations of categorical columns, as mappings from column values to HED strings.
+   * @type {object<string, object<string, string>>}
+   */
+  this.categoricalColumns = {}
+  /**
+   * The HED annotations of value columns, each containing a single placeholder.
+   * @type {object<string, string>}
+   */
+  this.valueColumns = {}
+  /**
+   * The file each column's annotation came from, which differs from {@link file} for merged sidecars.
+   * @type {object<string, string>}
+   */
+  this.columnFiles = {}
+  for (const column of Object.keys(sidecarData)) {
+    this.columnFiles[column] = file
+    const columnData = sidecarData[column]
+    if (
+      columnData === null ||
+      typeof columnData !== 'object' ||
+      !(sidecarHedKey in columnData)
+    ) {
+      continue
+    }
+    const hedData = columnData[sidecarHedKey]
+    if (typeof hedData === 'string') {
+      this.valueColumns[column] = hedData
+    } else if (hedData !== null && typeof hedData === 'object') {
+      this.categoricalColumns[column] = hedData
+    }
+  }
+}
+
+/**
+ * The assembled HED annotation of a row of a BIDS events file.
+ *
+ * @param {number} rowNumber The 1-based line number of the row.
+ * @param {string} hedString The assembled HED string.
+ * @param {string[]} columns The columns contributing to the assembled HED string.
+ * @param {object<string, string>} sidecarFiles The sidecar file each sidecar-annotated column's string came from.
+ * @param {number|null} onset The row's onset in seconds, or null if it has none.
+ * @constructor
+ */
+const BidsAssembledRow = function (
+  rowNumber,
+  hedString,
+  columns,
+  sidecarFiles,
+  onset = null,
+) {
+  /**
+   * The 1-based line number of the row, counting the header as line 1.
+   * @type {number}
+   */
+  this.rowNumber = rowNumber
+  /**
+   * The assembled HED string.
+   * @type {string}
+   */
+  this.hedString = hedString
+  /**
+   * The columns contributing to the assembled HED string.
+   * @type {string[]}
+   */
+  this.columns = columns
+  /**
+   * The sidecar file each sidecar-annotated column's string came from.
+   * @type {object<string, string>}
+   */
+  this.sidecarFiles = sidecarFiles
+  /**
+   * The row's onset in seconds, or null if it has none.
+   * @type {number|null}
+   */
+  this.onset = onset
+}
+
+/**
+ * A temporal interval during which a definition is active, as marked by Onset, Offset and Duration tags.
+ *
+ * @param {string} def The name of the definition.
+ * @param {string|null} value The value of the definition, if it takes one.
+ * @param {number|null} startOnset The onset of the interval's start, in seconds.
+ * @param {number} startRow The line number of the row starting the interval.
+ * @param {ParsedHedTag[]} tags The tag groups annotating the interval's start, other than its definition.
+ * @constructor
+ */
+const BidsEventInterval = function (def, value, startOnset, startRow, tags) {
+  /**
+   * The name of the definition.
+   * @type {string}
+   */
+  this.def = def
+  /**
+   * The value of the definition, if it takes one.
+   * @type {string|null}
+   */
+  this.value = value
+  /**
+   * The onset of the interval's start, in seconds.
+   * @type {number|null}
+   */
+  this.startOnset = startOnset
+  /**
+   * The onset of the interval's end, in seconds.
+   * @type {number|null}
+   */
+  this.endOnset = null
+  /**
+   * The line number of the row starting the interval.
+   * @type {number}
+   */
+  this.startRow = startRow
+  /**
+   * The line number of the row ending the interval.
+   * @type {number|null}
+   */
+  this.endRow = null
+  /**
+   * The tag groups annotating the interval's start, other than its definition.
+   * @type {ParsedHedTag[]}
+   */
+  this.tags = tags
+  /**
+   * Whether the interval was never closed, and was instead closed at the end of the file.
+   * @type {boolean}
+   */
+  this.unclosed = false
+}
+
+/**
+ * A schema version specification from a dataset's HEDVersion.
+ *
+ * @param {string} prefix The tag prefix of the schema, or the empty string for an unprefixed schema.
+ * @param {string} library The library name, or the empty string for the base schema.
+ * @param {string} version The schema version.
+ * @constructor
+ */
+const SchemaSpec = function (prefix, library, version) {
+  /**
+   * The tag prefix of the schema, or the empty string for an unprefixed schema.
+   * @type {string}
+   */
+  this.prefix = prefix
+  /**
+   * The library name, or the empty string for the base schema.
+   * @type {string}
+   */
+  this.library = library
+  /**
+   * The schema version.
+   * @type {string}
+   */
+  this.version = version
+}
+
+/**
+ * The result of validating a BIDS dataset.
+ *
+ * @param {object<string, Issue[]>} fileIssues The issues found in each file, keyed by file path.
+ * @param {Issue[]} datasetIssues The issues found by the dataset-level checks.
+ * @param {number} eventFileCount The number of events files validated.
+ * @constructor
+ */
+const BidsDatasetResult = function (fileIssues, datasetIssues, eventFileCount) {
+  /**
+   * The issues found in each file, keyed by file path.
+   * @type {object<string, Issue[]>}
+   */
+  this.fileIssues = fileIssues
+  /**
+   * The issues found by the dataset-level checks, which are not tied to a single file.
+   * @type {Issue[]}
+   */
+  this.datasetIssues = datasetIssues
+  /**
+   * The number of events files validated.
+   * @type {number}
+   */
+  this.eventFileCount = eventFileCount
+  const allIssues = Object.keys(fileIssues).reduce((issues, file) => {
+    return issues.concat(fileIssues[file])
+  }, datasetIssues)
+  /**
+   * The total number of errors found.
+   * @type {number}
+   */
+  this.errorCount = allIssues.filter((issue) => {
+    return issue.level === 'error'
+  }).length
+  /**
+   * The total number of warnings found.
+   * @type {number}
+   */
+  this.warningCount = allIssues.filter((issue) => {
+    return issue.level === 'warning'
+  }).length
+  /**
+   * Whether the dataset is valid, i.e. has no errors.
+   * @type {boolean}
+   */
+  this.valid = this.errorCount === 0
+}
+
+/**
+ * Get the 1-based line number of a data row, counting the header as line 1.
+ *
+ * This is the row number shown by spreadsheet programs.
+ *
+ * @param {number} rowIndex The 0-based index of the data row.
+ * @return {number} The line number of the row.
+ */
+const getRowNumber = function (rowIndex) {
+  return rowIndex + 2
+}
+
+module.exports = {
+  hedColumn: hedColumn,
+  onsetColumn: onsetColumn,
+  sidecarHedKey: sidecarHedKey,
+  BidsAssembledRow: BidsAssembledRow,
+  BidsEventInterval: BidsEventInterval,
+  BidsDatasetResult: BidsDatasetResult,
+  SchemaSpec: SchemaSpec,
+  BidsSidecar: BidsSidecar,
+  BidsTsvFile: BidsTsvFile,
+  getRowNumber: getRowNumber,
+}
@@ -124,7 +124,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.singleLevel,
-              { parentTag: 'Event' },
+              {
+                parentTag: 'Event',
+                suggestions: ['Event'],
+              },
               [31, 36],
             ),
           ],
@@ -132,7 +135,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.multiLevel,
-              { parentTag: 'Event/Sensory-event' },
+              {
+                parentTag: 'Event/Sensory-event',
+                suggestions: ['Event/Sensory-event'],
+              },
               [37, 50],
             ),
           ],
@@ -140,7 +146,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.mixed,
-              { parentTag: 'Item/Sound/Environmental-sound' },
+              {
+                parentTag: 'Item/Sound/Environmental-sound',
+                suggestions: ['Item/Sound/Environmental-sound'],
+              },
               [31, 50],
             ),
           ],
@@ -189,7 +198,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.validThenInvalid,
-              { parentTag: 'Event' },
+              {
+                parentTag: 'Event',
+                suggestions: ['Event'],
+              },
               [61, 66],
             ),
           ],
@@ -197,7 +209,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.singleLevel,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [25, 34],
             ),
           ],
@@ -205,7 +220,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.singleLevelAlreadyShort,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [19, 28],
             ),
           ],
@@ -213,7 +231,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.twoLevels,
-              { parentTag: 'Event' },
+              {
+                parentTag: 'Event',
+                suggestions: ['Event'],
+              },
               [35, 40],
             ),
           ],
@@ -221,7 +242,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.duplicate,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [34, 43],
             ),
           ],
@@ -251,7 +275,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.invalidParentWithExistingGrandchild,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [32, 41],
             ),
           ],
@@ -259,7 +286,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.invalidChildWithExistingGrandchild,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [19, 28],
             ),
           ],
@@ -267,7 +297,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.invalidParentWithExistingChild,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [13, 22],
             ),
           ],
@@ -318,7 +351,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.leadingSpace,
-              { parentTag: 'Item/Sound/Environmental-sound' },
+              {
+                parentTag: 'Item/Sound/Environmental-sound',
+                suggestions: ['Item/Sound/Environmental-sound'],
+              },
               [12, 31],
             ),
           ],
@@ -477,7 +513,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.validThenInvalid,
-              { parentTag: 'Event' },
+              {
+                parentTag: 'Event',
+                suggestions: ['Event'],
+              },
               [55, 60],
             ),
           ],
@@ -485,7 +524,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.singleLevel,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [19, 28],
             ),
           ],
@@ -493,7 +535,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.singleLevelAlreadyLong,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [25, 34],
             ),
           ],
@@ -501,7 +546,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.twoLevels,
-              { parentTag: 'Item/Object/Geometric' },
+              {
+                parentTag: 'Item/Object/Geometric',
+                suggestions: ['Item/Object/Geometric'],
+              },
               [19, 28],
             ),
           ],
@@ -509,7 +557,10 @@ describe('HED string conversion', () => {
             generateIssue(
               'invalidParentNode',
               testStrings.partialDuplicate,
-              { parentTag: 'Item' },
+              {
+                parentTag: 'Item',
+                suggestions: ['Item'],
+              },
               [10, 14],
             ),
           ],
@@ -542,6 +593,51 @@ describe('HED string conversion', () => {
         return validator(testStrings, expectedResults, expectedIssues)
       })
 
+      it('should suggest close short tags for invalid nodes', () => {
+        const testStrings = {
+          misspelled: 'Squar',
+          plural: 'Trains/Maglev',
+          capitalized: 'SENSORY-EVNT',
+          distant: 'Nonsense',
+        }
+        const expectedResults = {
+          misspelled: 'Squar',
+          plural: 'Trains/Maglev',
+          capitalized: 'SENSORY-EVNT',
+          distant: 'Nonsense',
+        }
+        const expectedIssues = {
+          misspelled: [
+            generateIssue(
+              'invalidTag',
+              testStrings.misspelled,
+              { suggestions: ['Square'] },
+              [0, 5],
+            ),
+          ],
+          plural: [
+            generateIssue(
+              'invalidTag',
+              testStrings.plural,
+              { suggestions: ['Train'] },
+              [0, 6],
+            ),
+          ],
+          capitalized: [
+            generateIssue(
+              'invalidTag',
+              testStrings.capitalized,
+              { suggestions: ['Sensory-event'] },
+              [0, 12],
+            ),
+          ],
+          distant: [
+            generateIssue('invalidTag', testStrings.distant, {}, [0, 8]),
+          ],
+        }
+        return validator(testStrings, expectedResults, expectedIssues)
+      })
+
       it('should not validate whether a node actually allows extensions', () => {
         const testStrings = {
           validTakesValue: 'Age/15',
@@ -573,7 +669,12 @@ describe('HED string conversion', () => {
         }
         const expectedIssues = {
           leadingSpace: [
-            generateIssue('invalidTag', testStrings.leadingSpace, {}, [0, 20]),
+            generateIssue(
+              'invalidTag',
+              testStrings.leadingSpace,
+              { suggestions: ['Environmental-sound'] },
+              [0, 20],
+            ),
           ],
           trailingSpace: [],
         }
@@ -1126,3 +1227,119 @@ describe('HED string conversion', () => {
     })
   })
 })
+
+describe('HED 3 library schema conversion', () => {
+  const hedSchemaFile = 'data/HED8.0.0-alpha.3.xml'
+  const librarySchemaFile = 'tests/data/HED_testlib_1.0.0.xml'
+  let schemaPromise
+
+  beforeAll(() => {
+    schemaPromise = schema.buildSchemas([
+      { path: hedSchemaFile },
+      { path: librarySchemaFile, prefix: 'tl' },
+    ])
+  })
+
+  const validatorBase = function (
+    testStrings,
+    expectedResults,
+    expectedIssues,
+    testFunction,
+  ) {
+    return schemaPromise.then((schemas) => {
+      for (const testStringKey of Object.keys(testStrings)) {
+        const [testResult, issues] = testFunction(
+          schemas,
+          testStrings[testStringKey],
+        )
+        assert.strictEqual(
+          testResult,
+          expectedResults[testStringKey],
+          testStrings[testStringKey],
+        )
+        assert.sameDeepMembers(
+          issues,
+          expectedIssues[testStringKey],
+          testStrings[testStringKey],
+        )
+      }
+    })
+  }
+
+  it('should convert prefixed tags through their library schema', () => {
+    const testStrings = {
+      library: 'tl:Seizure-onset',
+      mixed: 'Square, (tl:Seizure, Red)',
+      extension: 'tl:Seizure/Absence',
+      value: 'tl:Spike-rate/5 Hz',
+    }
+    const expectedResults = {
+      library: 'tl:Clinical-finding/Seizure/Seizure-onset',
+      mixed:
+        'Item/Object/Geometric-object/2D-shape/Rectangle/Square, (tl:Clinical-finding/Seizure, Attribute/Sensory/Visual/Color/CSS-color/Red-color/Red)',
+      extension: 'tl:Clinical-finding/Seizure/Absence',
+      value: 'tl:Clinical-finding/Spike-rate/5 Hz',
+    }
+    const expectedIssues = {
+      library: [],
+      mixed: [],
+      extension: [],
+      value: [],
+    }
+    return validatorBase(
+      testStrings,
+      expectedResults,
+      expectedIssues,
+      converter.convertHedStringToLong,
+    ).then(() => {
+      const shortResults = {
+        library: 'tl:Seizure-onset',
+        mixed: 'Square, (tl:Seizure, Red)',
+        extension: 'tl:Seizure/Absence',
+        value: 'tl:Spike-rate/5 Hz',
+      }
+      return validatorBase(
+        expectedResults,
+        shortResults,
+        expectedIssues,
+        converter.convertHedStringToShort,
+      )
+    })
+  })
+
+  it('should not resolve tags outside of their schema', () => {
+    const testStrings = {
+      baseInLibrary: 'tl:Square',
+      libraryInBase: 'Seizure',
+      unknownPrefix: 'Red, xy:Seizure',
+    }
+    const expectedResults = {
+      baseInLibrary: 'tl:Square',
+      libraryInBase: 'Seizure',
+      unknownPrefix:
+        'Attribute/Sensory/Visual/Color/CSS-color/Red-color/Red, xy:Seizure',
+    }
+    const expectedIssues = {
+      baseInLibrary: [
+        generateIssue('invalidTag', testStrings.baseInLibrary, {}, [3, 9]),
+      ],
+      libraryInBase: [
+        generateIssue('invalidTag', testStrings.libraryInBase, {}, [0, 7]),
+      ],
+      unknownPrefix: [
+        generateIssue(
+          'unknownPrefix',
+          testStrings.unknownPrefix,
+          { prefix: 'xy' },
+          [5, 15],
+        ),
+      ],
+    }
+    return validatorBase(
+      testStrings,
+      expectedResults,
+      expectedIssues,
+      converter.convertHedStringToLong,
+    )
+  })
+})
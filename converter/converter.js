@@ -1,3 +1,9 @@
+const {
+  getAllSchemas,
+  getSchemaForPrefix,
+  splitTagPrefix,
+} = require('../utils/schema')
+const { getClosestNames } = require('../utils/suggestions')
 const types = require('./types')
 const TagEntry = types.TagEntry
 
@@ -5,6 +11,9 @@ const generateIssue = require('./issues')
 const splitHedString = require('./splitHedString')
 
 const doubleSlashPattern = /[\s/]*\/+[\s/]*/g
+const defShortTag = 'Def'
+const defExpandShortTag = 'Def-expand'
+const placeholderCharacter = '#'
 
 /**
  * Remove extra slashes and spaces from a HED string.
@@ -16,22 +25,143 @@ const removeSlashesAndSpaces = function (hedString) {
   return hedString.replace(doubleSlashPattern, '/')
 }
 
+/**
+ * Determine whether any schema in a collection has duplicate tags.
+ *
+ * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @return {boolean} Whether any schema has duplicate tags.
+ */
+const schemasHaveDuplicates = function (schemas) {
+  return getAllSchemas(schemas).some((schema) => {
+    return !schema.mapping.hasNoDuplicates
+  })
+}
+
+/**
+ * Get the short tags of a schema closest to an unknown tag level.
+ *
+ * @param {Mapping} mapping The short-to-long mapping of the tag's schema.
+ * @param {string} tagLevel The unknown tag level.
+ * @return {string[]} The closest short tags.
+ */
+const getTagSuggestions = function (mapping, tagLevel) {
+  const shortTags = []
+  for (const key of Object.keys(mapping.mappingData)) {
+    for (const tagEntry of [].concat(mapping.mappingData[key])) {
+      if (tagEntry.shortTag !== placeholderCharacter) {
+        shortTags.push(tagEntry.shortTag)
+      }
+    }
+  }
+  return getClosestNames(tagLevel, shortTags)
+}
+
+/**
+ * Get the long forms of the schema nodes with a given name.
+ *
+ * These are suggested in place of a node used as an extension of the wrong parent. Long forms
+ * matching the tag itself, regardless of case, are left out.
+ *
+ * @param {Mapping} mapping The short-to-long mapping of the tag's schema.
+ * @param {string} tagLevel The lowercase node name.
+ * @param {string} cleanedTag The lowercase tag.
+ * @return {string[]} The long forms of the nodes.
+ */
+const getLongTags = function (mapping, tagLevel, cleanedTag) {
+  return []
+    .concat(mapping.mappingData[tagLevel])
+    .map((tagEntry) => {
+      return tagEntry.longTag
+    })
+    .filter((longTag) => {
+      return longTag.toLowerCase() !== cleanedTag
+    })
+}
+
+/**
+ * Convert a HED tag using the schema its namespace prefix (e.g. "sc:") refers to.
+ *
+ * Tags without a prefix are converted using the base schema. The prefix is kept in the converted tag.
+ *
+ * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @param {string} hedTag The HED tag to convert.
+ * @param {string} hedString The full HED string (for error messages).
+ * @param {number} offset The offset of this tag within the HED string.
+ * @param {function (Mapping, string, string, number): [string, Issue[]]} conversionFn The conversion function for an unprefixed tag.
+ * @return {[string, Issue[]]} The converted tag and any issues.
+ */
+const convertPrefixedTag = function (
+  schemas,
+  hedTag,
+  hedString,
+  offset,
+  conversionFn,
+) {
+  const [prefix, unprefixedTag] = schemas.isHed3
+    ? splitTagPrefix(hedTag)
+    : ['', hedTag]
+  const schema = getSchemaForPrefix(schemas, prefix)
+  if (schema === undefined) {
+    return [
+      hedTag,
+      [
+        generateIssue('unknownPrefix', hedString, { prefix: prefix }, [
+          offset,
+          offset + hedTag.length,
+        ]),
+      ],
+    ]
+  }
+  if (prefix === '') {
+    return conversionFn(schema.mapping, hedTag, hedString, offset)
+  }
+  const [convertedTag, issues] = conversionFn(
+    schema.mapping,
+    unprefixedTag,
+    hedString,
+    offset + prefix.length + 1,
+  )
+  return [prefix + ':' + convertedTag, issues]
+}
+
 /**
  * Convert a HED tag to long form.
  *
+ * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @param {string} hedTag The HED tag to convert.
+ * @param {string} hedString The full HED string (for error messages).
+ * @param {number} offset The offset of this tag within the HED string.
+ * @return {[string, Issue[]]} The long-form tag and any issues.
+ */
+const convertTagToLong = function (schemas, hedTag, hedString, offset) {
+  return convertPrefixedTag(
+    schemas,
+    hedTag,
+    hedString,
+    offset,
+    convertUnprefixedTagToLong,
+  )
+}
+
+/**
+ * Convert an unprefixed HED tag to long form.
+ *
  * The seemingly redundant code for duplicate tag entries (which are errored out
  * on for HED 3 schemas) allow for similar HED 2 validation with minimal code
  * duplication.
  *
- * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @param {Mapping} mapping The short-to-long mapping of the tag's schema.
  * @param {string} hedTag The HED tag to convert.
  * @param {string} hedString The full HED string (for error messages).
  * @param {number} offset The offset of this tag within the HED string.
  * @return {[string, Issue[]]} The long-form tag and any issues.
  */
-const convertTagToLong = function (schemas, hedTag, hedString, offset) {
-  const mapping = schemas.baseSchema.mapping
-
+const convertUnprefixedTagToLong = function (
+  mapping,
+  hedTag,
+  hedString,
+  offset,
+) {
   if (hedTag.startsWith('/')) {
     hedTag = hedTag.slice(1)
   }
@@ -64,10 +194,12 @@ const convertTagToLong = function (schemas, hedTag, hedString, offset) {
           return [
             hedTag,
             [
-              generateIssue('invalidTag', hedString, {}, [
-                startingIndex + offset,
-                endingIndex + offset,
-              ]),
+              generateIssue(
+                'invalidTag',
+                hedString,
+                { suggestions: getTagSuggestions(mapping, tag) },
+                [startingIndex + offset, endingIndex + offset],
+              ),
             ],
           ]
         }
@@ -107,6 +239,7 @@ const convertTagToLong = function (schemas, hedTag, hedString, offset) {
                       return tagEntry.longTag
                     })
                   : mapping.mappingData[tag].longTag,
+                suggestions: getLongTags(mapping, tag, cleanedTag),
               },
               [startingIndex + offset, endingIndex + offset],
             ),
@@ -126,6 +259,7 @@ const convertTagToLong = function (schemas, hedTag, hedString, offset) {
                     return tagEntry.longTag
                   })
                 : mapping.mappingData[tag].longTag,
+              suggestions: getLongTags(mapping, tag, cleanedTag),
             },
             [startingIndex + offset, endingIndex + offset],
           ),
@@ -149,8 +283,30 @@ const convertTagToLong = function (schemas, hedTag, hedString, offset) {
  * @return {[string, Issue[]]} The short-form tag and any issues.
  */
 const convertTagToShort = function (schemas, hedTag, hedString, offset) {
-  const mapping = schemas.baseSchema.mapping
+  return convertPrefixedTag(
+    schemas,
+    hedTag,
+    hedString,
+    offset,
+    convertUnprefixedTagToShort,
+  )
+}
 
+/**
+ * Convert an unprefixed HED tag to short form.
+ *
+ * @param {Mapping} mapping The short-to-long mapping of the tag's schema.
+ * @param {string} hedTag The HED tag to convert.
+ * @param {string} hedString The full HED string (for error messages).
+ * @param {number} offset The offset of this tag within the HED string.
+ * @return {[string, Issue[]]} The short-form tag and any issues.
+ */
+const convertUnprefixedTagToShort = function (
+  mapping,
+  hedTag,
+  hedString,
+  offset,
+) {
   if (hedTag.startsWith('/')) {
     hedTag = hedTag.slice(1)
   }
@@ -189,10 +345,17 @@ const convertTagToShort = function (schemas, hedTag, hedString, offset) {
     return [
       hedTag,
       [
-        generateIssue('invalidTag', hedString, {}, [
-          index + offset,
-          lastFoundIndex + offset,
-        ]),
+        generateIssue(
+          'invalidTag',
+          hedString,
+          {
+            suggestions: getTagSuggestions(
+              mapping,
+              hedTag.slice(index, lastFoundIndex),
+            ),
+          },
+          [index + offset, lastFoundIndex + offset],
+        ),
       ],
     ]
   }
@@ -206,7 +369,10 @@ const convertTagToShort = function (schemas, hedTag, hedString, offset) {
         generateIssue(
           'invalidParentNode',
           hedString,
-          { parentTag: foundTagEntry.longTag },
+          {
+            parentTag: foundTagEntry.longTag,
+            suggestions: [foundTagEntry.longTag],
+          },
           [index + offset, lastFoundIndex + offset],
         ),
       ],
@@ -218,6 +384,18 @@ const convertTagToShort = function (schemas, hedTag, hedString, offset) {
   return [shortTagString, []]
 }
 
+/**
+ * Determine whether a split HED string part is a sidecar column reference (e.g. "{response_time}").
+ *
+ * Column references are not converted.
+ *
+ * @param {string} tag The HED string part.
+ * @return {boolean} Whether the part is a column reference.
+ */
+const isColumnReference = function (tag) {
+  return tag.startsWith('{') && tag.endsWith('}')
+}
+
 /**
  * Convert a partial HED string to long form.
  *
@@ -249,7 +427,7 @@ const convertPartialHedStringToLong = function (
 
   for (const [isHedTag, [startPosition, endPosition]] of hedTags) {
     const tag = hedString.slice(startPosition, endPosition)
-    if (isHedTag) {
+    if (isHedTag && !isColumnReference(tag)) {
       const [shortTagString, singleError] = convertTagToLong(
         schemas,
         tag,
@@ -277,7 +455,7 @@ const convertPartialHedStringToLong = function (
 const convertHedString = function (schemas, hedString, conversionFn) {
   let issues = []
 
-  if (!schemas.baseSchema.mapping.hasNoDuplicates) {
+  if (schemasHaveDuplicates(schemas)) {
     issues.push(generateIssue('duplicateTagsInSchema', ''))
     return [hedString, issues]
   }
@@ -294,7 +472,7 @@ const convertHedString = function (schemas, hedString, conversionFn) {
 
   for (const [isHedTag, [startPosition, endPosition]] of hedTags) {
     const tag = hedString.slice(startPosition, endPosition)
-    if (isHedTag) {
+    if (isHedTag && !isColumnReference(tag)) {
       const [shortTagString, singleError] = conversionFn(
         schemas,
         tag,
@@ -333,10 +511,274 @@ const convertHedStringToShort = function (schemas, hedString) {
   return convertHedString(schemas, hedString, convertTagToShort)
 }
 
+/**
+ * Get the long-form prefix of a HED 3 special tag's children (e.g. "Def").
+ *
+ * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @param {string} shortTag The short form of the special tag.
+ * @return {string} The lowercase long-form prefix, including the trailing slash.
+ */
+const getSpecialTagPrefix = function (schemas, shortTag) {
+  const [longTag] = convertTagToLong(schemas, shortTag, shortTag, 0)
+  return longTag.toLowerCase() + '/'
+}
+
+/**
+ * Split a special tag (e.g. "Def/Name/Value") into its parts.
+ *
+ * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @param {string} hedTag The HED tag to split.
+ * @param {string} specialTagPrefix The long-form prefix of the special tag's children.
+ * @param {string} hedString The full HED string (for error messages).
+ * @param {number} offset The offset of this tag within the HED string.
+ * @return {[{prefix: string, name: string, value: string|undefined}|null, Issue[]]} The tag's parts (or null if the tag is not a child of the special tag) and any issues.
+ */
+const splitSpecialTag = function (
+  schemas,
+  hedTag,
+  specialTagPrefix,
+  hedString,
+  offset,
+) {
+  const [longTag, issues] = convertTagToLong(schemas, hedTag, hedString, offset)
+  if (
+    issues.length > 0 ||
+    !longTag.toLowerCase().startsWith(specialTagPrefix)
+  ) {
+    return [null, issues]
+  }
+  const remainder = longTag.slice(specialTagPrefix.length)
+  const [name, ...valueParts] = remainder.split('/')
+  return [
+    {
+      prefix: hedTag.slice(0, hedTag.length - remainder.length),
+      name: name,
+      value: valueParts.length > 0 ? valueParts.join('/') : undefined,
+    },
+    [],
+  ]
+}
+
+/**
+ * Build a Def-expand group from a Def tag and its definition.
+ *
+ * @param {{prefix: string, name: string, value: string|undefined}} defTag The parts of the Def tag.
+ * @param {Definitions} definitions The parsed definitions.
+ * @param {string} hedString The full HED string (for error messages).
+ * @param {number[]} bounds The bounds of the Def tag within the HED string.
+ * @return {[string|null, Issue[]]} The Def-expand group (or null if the tag cannot be expanded) and any issues.
+ */
+const expandDefTag = function (defTag, definitions, hedString, bounds) {
+  const definition = definitions[defTag.name.toLowerCase()]
+  if (definition === undefined) {
+    return [
+      null,
+      [
+        generateIssue(
+          'missingDefinition',
+          hedString,
+          { definition: defTag.name },
+          bounds,
+        ),
+      ],
+    ]
+  }
+  const hasValue = defTag.value !== undefined
+  if (definition.takesPlaceholder !== hasValue) {
+    return [
+      null,
+      [
+        generateIssue(
+          hasValue ? 'extraPlaceholderValue' : 'missingPlaceholderValue',
+          hedString,
+          { definition: definition.name },
+          bounds,
+        ),
+      ],
+    ]
+  }
+  const defExpandTag =
+    defTag.prefix.slice(0, -(defShortTag.length + 1)) +
+    defExpandShortTag +
+    '/' +
+    hedString.slice(bounds[0] + defTag.prefix.length, bounds[1])
+  if (definition.contentsGroup === null) {
+    return ['(' + defExpandTag + ')', []]
+  }
+  let contents = definition.contentsGroup.originalTag
+  if (hasValue) {
+    contents = contents.replace(placeholderCharacter, defTag.value)
+  }
+  return ['(' + defExpandTag + ', ' + contents + ')', []]
+}
+
+/**
+ * Find the bounds of the innermost tag group enclosing a position in a HED string.
+ *
+ * @param {string} hedString The HED string.
+ * @param {number[]} bounds The bounds of a tag within the HED string.
+ * @return {number[]} The bounds of the enclosing group, or the tag's bounds if it is not in a group.
+ */
+const findEnclosingGroupBounds = function (hedString, bounds) {
+  let depth = 0
+  let groupStart = -1
+  for (let i = bounds[0] - 1; i >= 0; i--) {
+    const character = hedString.charAt(i)
+    if (character === ')') {
+      depth++
+    } else if (character === '(') {
+      if (depth === 0) {
+        groupStart = i
+        break
+      }
+      depth--
+    }
+  }
+  if (groupStart === -1) {
+    return bounds
+  }
+  for (let i = bounds[1]; i < hedString.length; i++) {
+    const character = hedString.charAt(i)
+    if (character === '(') {
+      depth++
+    } else if (character === ')') {
+      if (depth === 0) {
+        return [groupStart, i + 1]
+      }
+      depth--
+    }
+  }
+  return bounds
+}
+
+/**
+ * Replace each Def tag in a HED string with a Def-expand group holding its definition's contents.
+ *
+ * Placeholders in the definition's contents are replaced with the Def tag's value.
+ *
+ * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @param {string} hedString The HED string to expand.
+ * @param {Definitions} definitions The parsed definitions.
+ * @return {[string, Issue[]]} The expanded string and any issues.
+ */
+const expandHedStringDefinitions = function (schemas, hedString, definitions) {
+  let issues = []
+
+  if (schemasHaveDuplicates(schemas)) {
+    issues.push(generateIssue('duplicateTagsInSchema', ''))
+    return [hedString, issues]
+  }
+
+  hedString = removeSlashesAndSpaces(hedString)
+
+  if (hedString === '') {
+    issues.push(generateIssue('emptyTagFound', ''))
+    return [hedString, issues]
+  }
+
+  const defPrefix = getSpecialTagPrefix(schemas, defShortTag)
+  const hedTags = splitHedString(hedString)
+  let finalString = ''
+
+  for (const [isHedTag, [startPosition, endPosition]] of hedTags) {
+    const tag = hedString.slice(startPosition, endPosition)
+    if (!isHedTag) {
+      finalString += tag
+      continue
+    }
+    const [defTag, splitIssues] = splitSpecialTag(
+      schemas,
+      tag,
+      defPrefix,
+      hedString,
+      startPosition,
+    )
+    issues = issues.concat(splitIssues)
+    if (defTag === null) {
+      finalString += tag
+      continue
+    }
+    const [expansion, expansionIssues] = expandDefTag(
+      defTag,
+      definitions,
+      hedString,
+      [startPosition, endPosition],
+    )
+    issues = issues.concat(expansionIssues)
+    finalString += expansion === null ? tag : expansion
+  }
+
+  return [finalString, issues]
+}
+
+/**
+ * Replace each Def-expand group in a HED string with the equivalent Def tag.
+ *
+ * This is the inverse of {@link expandHedStringDefinitions}.
+ *
+ * @param {Schemas} schemas The schema container object containing short-to-long mappings.
+ * @param {string} hedString The HED string to collapse.
+ * @return {[string, Issue[]]} The collapsed string and any issues.
+ */
+const collapseHedStringDefinitions = function (schemas, hedString) {
+  let issues = []
+
+  if (schemasHaveDuplicates(schemas)) {
+    issues.push(generateIssue('duplicateTagsInSchema', ''))
+    return [hedString, issues]
+  }
+
+  hedString = removeSlashesAndSpaces(hedString)
+
+  if (hedString === '') {
+    issues.push(generateIssue('emptyTagFound', ''))
+    return [hedString, issues]
+  }
+
+  const defExpandPrefix = getSpecialTagPrefix(schemas, defExpandShortTag)
+  const hedTags = splitHedString(hedString)
+  let finalString = ''
+  let lastEndPosition = 0
+
+  for (const [isHedTag, [startPosition, endPosition]] of hedTags) {
+    if (!isHedTag || startPosition < lastEndPosition) {
+      continue
+    }
+    const tag = hedString.slice(startPosition, endPosition)
+    const [defExpandTag, splitIssues] = splitSpecialTag(
+      schemas,
+      tag,
+      defExpandPrefix,
+      hedString,
+      startPosition,
+    )
+    issues = issues.concat(splitIssues)
+    if (defExpandTag === null) {
+      continue
+    }
+    const [groupStart, groupEnd] = findEnclosingGroupBounds(hedString, [
+      startPosition,
+      endPosition,
+    ])
+    const defTag =
+      defExpandTag.prefix.slice(0, -(defExpandShortTag.length + 1)) +
+      defShortTag +
+      '/' +
+      tag.slice(defExpandTag.prefix.length)
+    finalString += hedString.slice(lastEndPosition, groupStart) + defTag
+    lastEndPosition = groupEnd
+  }
+  finalString += hedString.slice(lastEndPosition)
+
+  return [finalString, issues]
+}
+
 module.exports = {
   convertHedStringToShort: convertHedStringToShort,
   convertHedStringToLong: convertHedStringToLong,
   convertPartialHedStringToLong: convertPartialHedStringToLong,
+  expandHedStringDefinitions: expandHedStringDefinitions,
+  collapseHedStringDefinitions: collapseHedStringDefinitions,
   convertTagToShort: convertTagToShort,
   convertTagToLong: convertTagToLong,
   removeSlashesAndSpaces: removeSlashesAndSpaces,
@@ -3,6 +3,9 @@ const schema = require('./schema')
 
 module.exports = {
   buildSchema: schema.buildSchema,
+  buildSchemas: schema.buildSchemas,
   convertHedStringToShort: converter.convertHedStringToShort,
   convertHedStringToLong: converter.convertHedStringToLong,
+  expandHedStringDefinitions: converter.expandHedStringDefinitions,
+  collapseHedStringDefinitions: converter.collapseHedStringDefinitions,
 }
@@ -72,7 +72,7 @@ const getParentTagName = function (tagElement) {
 /**
  * Build a schema container object containing a short-long mapping from a base schema version or path description.
  *
- * @param {{path: string?, version: string?}} schemaDef The description of which schema to use.
+ * @param {{path: string?, version: string?, store: SchemaStore?}} schemaDef The description of which schema to use.
  * @return {Promise<never>|Promise<Schemas>} The schema container object or an error.
  */
 const buildSchema = function (schemaDef = {}) {
@@ -83,7 +83,21 @@ const buildSchema = function (schemaDef = {}) {
   })
 }
 
+/**
+ * Build a schema container object containing short-long mappings from an optional base schema and any number of library schemas.
+ *
+ * @param {{path: string?, library: string?, version: string?, prefix: string?, store: SchemaStore?}[]} schemaDefs The descriptions of which schemas to use. At most one may be unprefixed.
+ * @return {Promise<never>|Promise<Schemas>} The schema container object or an error.
+ */
+const buildSchemas = function (schemaDefs) {
+  return schemaUtils.buildSchemas(schemaDefs, (xmlData) => {
+    const mapping = buildMappingObject(xmlData)
+    return new schemaUtils.Schema(xmlData, undefined, mapping)
+  })
+}
+
 module.exports = {
   buildSchema: buildSchema,
+  buildSchemas: buildSchemas,
   buildMappingObject: buildMappingObject,
 }
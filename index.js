@@ -1,7 +1,11 @@
+const bids = require('./bids')
 const converter = require('./converter')
+const query = require('./query')
 const validator = require('./validator')
 
 module.exports = {
+  bids: bids,
   converter: converter,
+  query: query,
   validator: validator,
 }
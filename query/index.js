@@ -0,0 +1,6 @@
+const query = require('./query')
+
+module.exports = {
+  parseQuery: query.parseQuery,
+  searchHedString: query.searchHedString,
+}
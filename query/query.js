@@ -0,0 +1,495 @@
+const { convertHedStringToLong } = require('../converter/converter')
+const { generateIssue } = require('../utils/issues')
+const {
+  hedStringIsAGroup,
+  parseHedString,
+} = require('../validator/stringParser')
+
+const andOperator = '&&'
+const orOperator = '||'
+const notOperator = '~'
+const openingParenthesis = '('
+const closingParenthesis = ')'
+const openingBracket = '['
+const closingBracket = ']'
+const operatorCharacters = ['&', '|', '~', '(', ')', '[', ']']
+
+/**
+ * A single expression in a parsed HED query.
+ *
+ * @param {string} type The expression type ("term", "and", "or", "not", "group", or "exactGroup").
+ * @param {QueryExpression[]} operands The operand expressions.
+ * @param {string} term The lowercase long form of the queried tag, for term expressions.
+ * @constructor
+ */
+const QueryExpression = function (type, operands, term = '') {
+  /**
+   * The expression type.
+   * @type {string}
+   */
+  this.type = type
+  /**
+   * The operand expressions.
+   * @type {QueryExpression[]}
+   */
+  this.operands = operands
+  /**
+   * The lowercase long form of the queried tag, for term expressions.
+   * @type {string}
+   */
+  this.term = term
+}
+
+/**
+ * A parsed HED query.
+ *
+ * @param {string} queryString The original query string.
+ * @param {QueryExpression} expression The root query expression.
+ * @constructor
+ */
+const Query = function (queryString, expression) {
+  /**
+   * The original query string.
+   * @type {string}
+   */
+  this.queryString = queryString
+  /**
+   * The root query expression.
+   * @type {QueryExpression}
+   */
+  this.expression = expression
+}
+
+/**
+ * The result of searching a HED string with a query.
+ *
+ * @param {boolean} matched Whether the HED string matched the query.
+ * @param {ParsedHedTag[]} tags The tags matched by the query's terms.
+ * @param {ParsedHedTag[]} groups The tag groups matched by the query's group expressions.
+ * @constructor
+ */
+const QueryResult = function (matched, tags, groups) {
+  /**
+   * Whether the HED string matched the query.
+   * @type {boolean}
+   */
+  this.matched = matched
+  /**
+   * The tags matched by the query's terms.
+   * @type {ParsedHedTag[]}
+   */
+  this.tags = tags
+  /**
+   * The tag groups matched by the query's group expressions.
+   * @type {ParsedHedTag[]}
+   */
+  this.groups = groups
+}
+
+/**
+ * A tag group in the tree searched by a query.
+ *
+ * @param {ParsedHedTag|null} groupTag The parenthesized group tag, or null for the top level of the string.
+ * @param {ParsedHedTag[]} tags The tags directly in this group.
+ * @param {TagGroupNode[]} groups The tag groups directly in this group.
+ * @constructor
+ */
+const TagGroupNode = function (groupTag, tags, groups) {
+  this.groupTag = groupTag
+  this.tags = tags
+  this.groups = groups
+}
+
+/**
+ * Split a query string into tokens.
+ *
+ * @param {string} queryString The query string.
+ * @return {[{value: string, index: int}[], Issue[]]} The tokens and any issues found.
+ */
+const tokenizeQuery = function (queryString) {
+  const tokens = []
+  const issues = []
+  let index = 0
+  while (index < queryString.length) {
+    const character = queryString.charAt(index)
+    const twoCharacters = queryString.slice(index, index + 2)
+    if (character.trim() === '') {
+      index++
+    } else if (twoCharacters === andOperator || twoCharacters === orOperator) {
+      tokens.push({ value: twoCharacters, index: index })
+      index += 2
+    } else if (character === '&' || character === '|') {
+      issues.push(
+        generateIssue('invalidQuery', {
+          query: queryString,
+          index: index,
+          reason: `"${character}" must be doubled`,
+        }),
+      )
+      index++
+    } else if (operatorCharacters.includes(character)) {
+      tokens.push({ value: character, index: index })
+      index++
+    } else {
+      const startIndex = index
+      while (
+        index < queryString.length &&
+        !operatorCharacters.includes(queryString.charAt(index))
+      ) {
+        index++
+      }
+      tokens.push({
+        value: queryString.slice(startIndex, index).trim(),
+        index: startIndex,
+        isTerm: true,
+      })
+    }
+  }
+  return [tokens, issues]
+}
+
+/**
+ * Parse a query string into a query expression tree.
+ *
+ * The grammar, from lowest to highest precedence, is:
+ *   - "A || B": either expression matches.
+ *   - "A && B": both expressions match.
+ *   - "~A": the expression does not match.
+ *   - "(A)": logical grouping.
+ *   - "[A]": the expression matches within a single tag group, including its nested groups.
+ *   - "[[A]]": the expression matches a single tag group, which contains nothing else.
+ *
+ * @param {string} queryString The query string.
+ * @param {Schemas} hedSchemas The HED schema collection used to convert query terms to long form.
+ * @return {[Query|null, Issue[]]} The parsed query (or null if it is invalid) and any issues found.
+ */
+const parseQuery = function (queryString, hedSchemas) {
+  const [tokens, issues] = tokenizeQuery(queryString)
+  if (issues.length > 0) {
+    return [null, issues]
+  }
+  let position = 0
+
+  const peek = function () {
+    return tokens[position]
+  }
+  const fail = function (reason) {
+    const token = peek()
+    throw generateIssue('invalidQuery', {
+      query: queryString,
+      index: token === undefined ? queryString.length : token.index,
+      reason: reason,
+    })
+  }
+  const expect = function (value) {
+    const token = peek()
+    if (token === undefined || token.isTerm || token.value !== value) {
+      fail(`expected "${value}"`)
+    }
+    position++
+  }
+
+  const parseOr = function () {
+    const operands = [parseAnd()]
+    while (peek() !== undefined && peek().value === orOperator) {
+      position++
+      operands.push(parseAnd())
+    }
+    return operands.length === 1
+      ? operands[0]
+      : new QueryExpression('or', operands)
+  }
+  const parseAnd = function () {
+    const operands = [parseUnary()]
+    while (peek() !== undefined && peek().value === andOperator) {
+      position++
+      operands.push(parseUnary())
+    }
+    return operands.length === 1
+      ? operands[0]
+      : new QueryExpression('and', operands)
+  }
+  const parseUnary = function () {
+    const token = peek()
+    if (token === undefined) {
+      fail('expected a tag or expression')
+    }
+    if (token.isTerm) {
+      const expression = parseTerm(token)
+      position++
+      return expression
+    }
+    switch (token.value) {
+      case notOperator:
+        position++
+        return new QueryExpression('not', [parseUnary()])
+      case openingParenthesis: {
+        position++
+        const expression = parseOr()
+        expect(closingParenthesis)
+        return expression
+      }
+      case openingBracket: {
+        position++
+        const nextToken = peek()
+        if (
+          nextToken !== undefined &&
+          nextToken.value === openingBracket &&
+          nextToken.index === token.index + 1
+        ) {
+          position++
+          const expression = parseOr()
+          expect(closingBracket)
+          expect(closingBracket)
+          return new QueryExpression('exactGroup', [expression])
+        }
+        const expression = parseOr()
+        expect(closingBracket)
+        return new QueryExpression('group', [expression])
+      }
+      default:
+        return fail('expected a tag or expression')
+    }
+  }
+  const parseTerm = function (token) {
+    if (token.value.includes(',')) {
+      fail('tags must be combined with "&&" or "||"')
+    }
+    const [longTerm, conversionIssues] = convertHedStringToLong(
+      hedSchemas,
+      token.value,
+    )
+    issues.push(...conversionIssues)
+    return new QueryExpression('term', [], longTerm.toLowerCase())
+  }
+
+  let expression
+  try {
+    expression = parseOr()
+    if (peek() !== undefined) {
+      fail('unexpected token')
+    }
+  } catch (issue) {
+    issues.push(issue)
+  }
+  if (issues.length > 0) {
+    return [null, issues]
+  }
+  return [new Query(queryString, expression), []]
+}
+
+/**
+ * Build the tree of tag groups in a parsed HED string.
+ *
+ * @param {ParsedHedString} parsedString The parsed HED string.
+ * @param {ParsedHedTag|null} groupTag The group tag, or null for the top level of the string.
+ * @param {ParsedHedTag[]} contents The tags and group tags directly in the group.
+ * @return {TagGroupNode} The tag group node.
+ */
+const buildTagGroupNode = function (parsedString, groupTag, contents) {
+  const tags = []
+  const groups = []
+  for (const tagOrGroup of contents) {
+    if (hedStringIsAGroup(tagOrGroup.originalTag)) {
+      const groupIndex = parsedString.tagGroupStrings.indexOf(tagOrGroup)
+      groups.push(
+        buildTagGroupNode(
+          parsedString,
+          tagOrGroup,
+          parsedString.tagGroups[groupIndex],
+        ),
+      )
+    } else {
+      tags.push(tagOrGroup)
+    }
+  }
+  return new TagGroupNode(groupTag, tags, groups)
+}
+
+/**
+ * Get the tags in a tag group node, optionally including those in its nested groups.
+ *
+ * @param {TagGroupNode} node The tag group node.
+ * @param {boolean} deep Whether to include the tags in nested groups.
+ * @return {ParsedHedTag[]} The tags.
+ */
+const getNodeTags = function (node, deep) {
+  if (!deep) {
+    return node.tags
+  }
+  return node.groups.reduce(
+    (tags, group) => tags.concat(getNodeTags(group, true)),
+    node.tags,
+  )
+}
+
+/**
+ * Get the groups in a tag group node, optionally including their nested groups.
+ *
+ * @param {TagGroupNode} node The tag group node.
+ * @param {boolean} deep Whether to include nested groups.
+ * @return {TagGroupNode[]} The groups.
+ */
+const getNodeGroups = function (node, deep) {
+  if (!deep) {
+    return node.groups
+  }
+  return node.groups.reduce(
+    (groups, group) => groups.concat(group, getNodeGroups(group, true)),
+    [],
+  )
+}
+
+/**
+ * Determine whether a tag is the queried tag or one of its descendants.
+ *
+ * Library schema tags only match terms with the same namespace prefix.
+ *
+ * @param {ParsedHedTag} tag The tag.
+ * @param {string} term The lowercase long form of the queried tag, including any namespace prefix.
+ * @return {boolean} Whether the tag matches the term.
+ */
+const tagMatchesTerm = function (tag, term) {
+  const formattedTag =
+    tag.prefix === ''
+      ? tag.formattedTag
+      : tag.prefix.toLowerCase() + ':' + tag.formattedTag
+  return formattedTag === term || formattedTag.startsWith(term + '/')
+}
+
+/**
+ * Evaluate a query expression against a tag group node.
+ *
+ * @param {QueryExpression} expression The query expression.
+ * @param {TagGroupNode} node The tag group node.
+ * @param {boolean} deep Whether nested groups are searched, or only the node's direct children.
+ * @return {{tags: ParsedHedTag[], groups: ParsedHedTag[]}|null} The matched tags and groups, or null if the expression did not match.
+ */
+const evaluateExpression = function (expression, node, deep) {
+  switch (expression.type) {
+    case 'term': {
+      const tags = getNodeTags(node, deep).filter((tag) =>
+        tagMatchesTerm(tag, expression.term),
+      )
+      return tags.length > 0 ? { tags: tags, groups: [] } : null
+    }
+    case 'and':
+    case 'or': {
+      const matches = expression.operands.map((operand) =>
+        evaluateExpression(operand, node, deep),
+      )
+      const successfulMatches = matches.filter((match) => match !== null)
+      if (
+        successfulMatches.length === 0 ||
+        (expression.type === 'and' && successfulMatches.length < matches.length)
+      ) {
+        return null
+      }
+      return mergeMatches(successfulMatches)
+    }
+    case 'not':
+      return evaluateExpression(expression.operands[0], node, deep) === null
+        ? { tags: [], groups: [] }
+        : null
+    case 'group':
+    case 'exactGroup': {
+      const isExact = expression.type === 'exactGroup'
+      const matches = []
+      for (const group of getNodeGroups(node, deep)) {
+        const match = evaluateExpression(
+          expression.operands[0],
+          group,
+          !isExact,
+        )
+        if (match === null || (isExact && !matchCoversGroup(match, group))) {
+          continue
+        }
+        match.groups.unshift(group.groupTag)
+        matches.push(match)
+      }
+      return matches.length > 0 ? mergeMatches(matches) : null
+    }
+  }
+}
+
+/**
+ * Determine whether a match covers all of the tags and groups directly in a group.
+ *
+ * @param {{tags: ParsedHedTag[], groups: ParsedHedTag[]}} match The match.
+ * @param {TagGroupNode} group The tag group node.
+ * @return {boolean} Whether the group consists exactly of matched tags and groups.
+ */
+const matchCoversGroup = function (match, group) {
+  return (
+    group.tags.every((tag) => match.tags.includes(tag)) &&
+    group.groups.every((subgroup) => match.groups.includes(subgroup.groupTag))
+  )
+}
+
+/**
+ * Merge several matches, removing duplicates.
+ *
+ * @param {{tags: ParsedHedTag[], groups: ParsedHedTag[]}[]} matches The matches.
+ * @return {{tags: ParsedHedTag[], groups: ParsedHedTag[]}} The merged match.
+ */
+const mergeMatches = function (matches) {
+  const tags = new Set()
+  const groups = new Set()
+  for (const match of matches) {
+    match.tags.forEach((tag) => tags.add(tag))
+    match.groups.forEach((group) => groups.add(group))
+  }
+  return { tags: Array.from(tags), groups: Array.from(groups) }
+}
+
+/**
+ * Search a HED string with a query.
+ *
+ * Query terms match the queried tag and all of its descendants in the schema hierarchy, in either short or long form.
+ *
+ * @param {Query|string} query The parsed query, or a query string to parse.
+ * @param {ParsedHedString|string} hedString The parsed HED string, or a HED string to parse.
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @return {[QueryResult|null, Issue[]]} The search result (or null if the query or HED string is invalid) and any issues found.
+ */
+const searchHedString = function (query, hedString, hedSchemas) {
+  let issues = []
+  if (typeof query === 'string') {
+    ;[query, issues] = parseQuery(query, hedSchemas)
+    if (query === null) {
+      return [null, issues]
+    }
+  }
+  let parsedString = hedString
+  if (typeof hedString === 'string') {
+    ;[parsedString, issues] = parseHedString(hedString, hedSchemas)
+    if (issues.length > 0) {
+      return [null, issues]
+    }
+  }
+  const rootNode = buildTagGroupNode(
+    parsedString,
+    null,
+    parsedString.topLevelTags.concat(
+      parsedString.topLevelTagGroups.map(
+        (tagGroup) =>
+          parsedString.tagGroupStrings[
+            parsedString.tagGroups.indexOf(tagGroup)
+          ],
+      ),
+    ),
+  )
+  const match = evaluateExpression(query.expression, rootNode, true)
+  if (match === null) {
+    return [new QueryResult(false, [], []), []]
+  }
+  return [new QueryResult(true, match.tags, match.groups), []]
+}
+
+module.exports = {
+  Query: Query,
+  QueryExpression: QueryExpression,
+  QueryResult: QueryResult,
+  parseQuery: parseQuery,
+  searchHedString: searchHedString,
+}
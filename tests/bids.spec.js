@@ -0,0 +1,1323 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('chai').assert
+const bids = require('../bids')
+const schema = require('../validator/schema')
+const generateValidationIssue = require('../utils/issues').generateIssue
+const generateConverterIssue = require('../converter/issues')
+const { addIssueLocation } = require('../bids/issues')
+
+describe('BIDS datasets', () => {
+  const hedSchemaFile = 'data/HED8.0.0-alpha.3.xml'
+  let hedSchemaPromise
+
+  beforeAll(() => {
+    hedSchemaPromise = schema.buildSchema({ path: hedSchemaFile })
+  })
+
+  describe('Events files', () => {
+    it('should be parsed with headers and n/a values', () => {
+      const contents =
+        'onset\tduration\tHED\n1.0\t0.5\tSquare\n2.0\tn/a\tn/a\n\n'
+      const [eventFile, issues] = bids.parseTsv(contents, 'events.tsv')
+      assert.isEmpty(issues)
+      assert.deepStrictEqual(eventFile.headers, ['onset', 'duration', 'HED'])
+      assert.deepStrictEqual(eventFile.rows, [
+        { onset: '1.0', duration: '0.5', HED: 'Square' },
+        { onset: '2.0', duration: 'n/a', HED: 'n/a' },
+      ])
+    })
+
+    it('should report malformed rows and empty files', () => {
+      const file = 'events.tsv'
+      const testContents = {
+        shortRow: 'onset\tduration\tHED\n1.0\t0.5\n',
+        empty: '',
+      }
+      const expectedIssues = {
+        shortRow: addIssueLocation(
+          [
+            generateValidationIssue('tsvColumnCount', {
+              row: 2,
+              expected: 3,
+              found: 2,
+            }),
+          ],
+          { file: file, row: 2 },
+        ),
+        empty: addIssueLocation([generateValidationIssue('emptyTsvFile', {})], {
+          file: file,
+        }),
+      }
+      for (const testContentsKey of Object.keys(testContents)) {
+        const [, issues] = bids.parseTsv(testContents[testContentsKey], file)
+        assert.sameDeepMembers(
+          issues,
+          expectedIssues[testContentsKey],
+          testContentsKey,
+        )
+      }
+    })
+
+    it('should have HED columns validated with row and column locations', () => {
+      const file =
+        'tests/data/bids/sub-01/func/sub-01_task-test_run-1_events.tsv'
+      return hedSchemaPromise.then((hedSchemas) => {
+        return bids
+          .validateEventsTsv(file, hedSchemas)
+          .then(([valid, issues]) => {
+            assert.isFalse(valid)
+            assert.sameDeepMembers(
+              issues,
+              addIssueLocation(
+                [
+                  generateConverterIssue(
+                    'invalidTag',
+                    'Sensory-event, InvalidTag',
+                    {},
+                    [15, 25],
+                  ),
+                ],
+                { file: file, row: 4, column: 'HED' },
+              ),
+            )
+          })
+      })
+    })
+
+    it('should report unreadable files', () => {
+      const file = 'tests/data/bids/missing_events.tsv'
+      return hedSchemaPromise.then((hedSchemas) => {
+        return bids
+          .validateEventsTsv(file, hedSchemas)
+          .then(([valid, issues]) => {
+            assert.isFalse(valid)
+            assert.sameDeepMembers(
+              issues,
+              addIssueLocation(
+                [generateValidationIssue('fileReadError', { file: file })],
+                { file: file },
+              ),
+            )
+          })
+      })
+    })
+
+    describe('Sidecars', () => {
+      const file = 'task-test_events.json'
+
+      it('should categorize categorical and value columns', () => {
+        const sidecar = new bids.BidsSidecar(file, {
+          trial_type: {
+            Levels: { go: 'A go trial' },
+            HED: { go: 'Sensory-event' },
+          },
+          response_time: { HED: 'Duration/# s' },
+          stim_file: { LongName: 'Stimulus file' },
+        })
+        assert.deepStrictEqual(sidecar.categoricalColumns, {
+          trial_type: { go: 'Sensory-event' },
+        })
+        assert.deepStrictEqual(sidecar.valueColumns, {
+          response_time: 'Duration/# s',
+        })
+      })
+
+      it('should have valid HED annotations', () => {
+        const testSidecars = {
+          valid: {
+            trial_type: { HED: { go: 'Sensory-event, Square' } },
+            response_time: { HED: 'Duration/# s' },
+          },
+          invalidTag: {
+            trial_type: { HED: { go: 'Sensory-event, InvalidTag' } },
+          },
+          placeholderCounts: {
+            no_placeholder: { HED: 'Duration/3 s' },
+            two_placeholders: { HED: 'Duration/# s, Label/#' },
+          },
+          categoricalPlaceholder: {
+            trial_type: { HED: { go: 'Label/#' } },
+          },
+          invalidType: {
+            trial_type: { HED: 5 },
+          },
+        }
+        const expectedIssues = {
+          valid: [],
+          invalidTag: addIssueLocation(
+            [
+              generateConverterIssue(
+                'invalidTag',
+                'Sensory-event, InvalidTag',
+                {},
+                [15, 25],
+              ),
+            ],
+            { file: file, sidecarKey: 'trial_type.HED.go' },
+          ),
+          placeholderCounts: [].concat(
+            addIssueLocation(
+              [
+                generateValidationIssue('invalidSidecarPlaceholderCount', {
+                  column: 'no_placeholder',
+                  count: 0,
+                }),
+              ],
+              { file: file, sidecarKey: 'no_placeholder.HED' },
+            ),
+            addIssueLocation(
+              [
+                generateValidationIssue('invalidSidecarPlaceholderCount', {
+                  column: 'two_placeholders',
+                  count: 2,
+                }),
+              ],
+              { file: file, sidecarKey: 'two_placeholders.HED' },
+            ),
+          ),
+          categoricalPlaceholder: addIssueLocation(
+            [
+              generateValidationIssue('invalidSidecarPlaceholder', {
+                column: 'trial_type',
+                level: 'go',
+              }),
+            ],
+            { file: file, sidecarKey: 'trial_type.HED.go' },
+          ),
+          invalidType: addIssueLocation(
+            [
+              generateValidationIssue('invalidSidecarHedType', {
+                column: 'trial_type',
+              }),
+            ],
+            { file: file, sidecarKey: 'trial_type.HED' },
+          ),
+        }
+        return hedSchemaPromise.then((hedSchemas) => {
+          for (const testSidecarKey of Object.keys(testSidecars)) {
+            const sidecar = new bids.BidsSidecar(
+              file,
+              testSidecars[testSidecarKey],
+            )
+            const [, issues] = bids.validateSidecar(sidecar, hedSchemas)
+            assert.sameDeepMembers(
+              issues,
+              expectedIssues[testSidecarKey],
+              testSidecarKey,
+            )
+          }
+        })
+      })
+
+      it('should be loaded and validated from files', () => {
+        return hedSchemaPromise.then((hedSchemas) => {
+          return bids
+            .validateSidecarFile(
+              'tests/data/bids/task-test_events.json',
+              hedSchemas,
+            )
+            .then(([valid, issues]) => {
+              assert.isTrue(valid)
+              assert.isEmpty(issues)
+            })
+        })
+      })
+    })
+  })
+
+  describe('Assembled events', () => {
+    const sidecarFile = 'task-test_events.json'
+    const eventFile = 'sub-01_task-test_events.tsv'
+    const sidecarData = {
+      trial_type: {
+        HED: { go: 'Sensory-event, Def/Go-condition', stop: 'Sensory-event' },
+      },
+      definitions: {
+        HED: { go: '(Definition/Go-condition, (Square))' },
+      },
+      response_time: { HED: 'Duration/# s' },
+    }
+
+    it('should combine sidecar annotations with the HED column', () => {
+      const sidecar = new bids.BidsSidecar(sidecarFile, sidecarData)
+      const contents =
+        'onset\tduration\tHED\tresponse_time\ttrial_type\n' +
+        '1.0\t0.5\tCircle\t0.3\tgo\n' +
+        '2.0\t0.5\tn/a\tn/a\tstop\n' +
+        '3.0\t0.5\tn/a\tn/a\tn/a\n' +
+        '4.0\t0.5\tCircle\tn/a\tunknown\n'
+      const [parsedEventFile] = bids.parseTsv(contents, eventFile)
+      const assembledRows = bids.assembleEventFile(parsedEventFile, sidecar)
+      assert.deepStrictEqual(
+        assembledRows.map((row) => {
+          return [row.rowNumber, row.hedString, row.columns]
+        }),
+        [
+          [
+            2,
+            'Duration/0.3 s, Sensory-event, Def/Go-condition, Circle',
+            ['response_time', 'trial_type', 'HED'],
+          ],
+          [3, 'Sensory-event', ['trial_type']],
+          [5, 'Circle', ['HED']],
+        ],
+      )
+    })
+
+    it('should be validated after assembly', () => {
+      const header = 'onset\tduration\ttrial_type\tresponse_time\tHED\n'
+      const testContents = {
+        valid: header + '1.0\t0.5\tgo\t0.3\tn/a\n2.0\t0.5\tstop\tn/a\tn/a\n',
+        invalidValue:
+          header + '1.0\t0.5\tgo\tabc\tn/a\n2.0\t0.5\tstop\tn/a\tn/a\n',
+        missingDefinition:
+          header + '1.0\t0.5\tgo\t0.3\tn/a\n2.0\t0.5\tstop\tn/a\tDef/Missing\n',
+      }
+      const expectedIssues = {
+        valid: [],
+        invalidValue: addIssueLocation(
+          [
+            generateValidationIssue('invalidValue', {
+              tag: 'Duration/abc s',
+            }),
+          ],
+          {
+            file: eventFile,
+            row: 2,
+            sidecarFiles: {
+              trial_type: sidecarFile,
+              response_time: sidecarFile,
+            },
+          },
+        ),
+        missingDefinition: addIssueLocation(
+          [
+            generateValidationIssue('missingDefinition', {
+              definition: 'Missing',
+            }),
+          ],
+          { file: eventFile },
+        ),
+      }
+      const sidecar = new bids.BidsSidecar(sidecarFile, sidecarData)
+      return hedSchemaPromise.then((hedSchemas) => {
+        for (const testContentsKey of Object.keys(testContents)) {
+          const [valid, issues] = bids.validateEventsTsvContents(
+            testContents[testContentsKey],
+            eventFile,
+            hedSchemas,
+            true,
+            sidecar,
+          )
+          assert.strictEqual(
+            valid,
+            expectedIssues[testContentsKey].length === 0,
+            testContentsKey,
+          )
+          assert.sameDeepMembers(
+            issues,
+            expectedIssues[testContentsKey],
+            testContentsKey,
+          )
+        }
+      })
+    })
+    it('should collect definitions once per sidecar entry and HED column cell', () => {
+      const definitionSidecar = new bids.BidsSidecar(sidecarFile, {
+        trial_type: {
+          HED: {
+            go: '(Definition/Go, (Square)), Sensory-event',
+            stop: 'Sensory-event, Def/Go',
+          },
+        },
+      })
+      const header = 'onset\tduration\ttrial_type\tHED\n'
+      const testContents = {
+        sharedLevel:
+          header +
+          '1.0\t0.5\tgo\t(Definition/Stop, (Circle))\n' +
+          '2.0\t0.5\tgo\tn/a\n' +
+          '3.0\t0.5\tstop\tDef/Stop\n',
+        duplicateCell:
+          header +
+          '1.0\t0.5\tgo\t(Definition/Stop, (Circle))\n' +
+          '2.0\t0.5\tstop\t(Definition/Stop, (Circle)), Def/Stop\n',
+      }
+      const expectedIssues = {
+        sharedLevel: [],
+        duplicateCell: addIssueLocation(
+          [
+            generateValidationIssue('duplicateDefinition', {
+              definition: 'Stop',
+            }),
+          ],
+          { file: eventFile, row: 3, column: 'HED' },
+        ),
+      }
+      return hedSchemaPromise.then((hedSchemas) => {
+        for (const testContentsKey of Object.keys(testContents)) {
+          const [, issues] = bids.validateEventsTsvContents(
+            testContents[testContentsKey],
+            eventFile,
+            hedSchemas,
+            true,
+            definitionSidecar,
+          )
+          assert.sameDeepMembers(
+            issues,
+            expectedIssues[testContentsKey],
+            testContentsKey,
+          )
+        }
+      })
+    })
+  })
+
+  describe('Annotation coverage', () => {
+    const sidecarFile = 'task-test_events.json'
+    const eventFile = 'sub-01_task-test_events.tsv'
+
+    it('should warn about unannotated columns and values', () => {
+      const sidecar = new bids.BidsSidecar(sidecarFile, {
+        trial_type: {
+          HED: {
+            go: 'Sensory-event, Square',
+            stop: 'Sensory-event, Circle',
+            rest: 'Sensory-event, Triangle',
+          },
+        },
+        response_time: { HED: 'Duration/# s' },
+      })
+      const contents =
+        'onset\tduration\tsample\ttrial_type\tresponse_time\tstim_file\tnotes\n' +
+        '1.0\t0.5\t100\tgo\t0.3\ta.png\tn/a\n' +
+        '2.0\t0.5\t200\tcatch\tn/a\tb.png\tn/a\n' +
+        '3.0\t0.5\t300\tcatch\tn/a\tn/a\tn/a\n' +
+        '4.0\t0.5\t400\tgo\t0.4\tn/a\tn/a\n'
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [valid, issues] = bids.validateEventsTsvContents(
+          contents,
+          eventFile,
+          hedSchemas,
+          true,
+          sidecar,
+        )
+        assert.isFalse(valid)
+        assert.sameDeepMembers(
+          issues,
+          [].concat(
+            addIssueLocation(
+              [
+                generateValidationIssue('unmatchedCategoricalValue', {
+                  column: 'trial_type',
+                  value: 'catch',
+                  count: 2,
+                }),
+              ],
+              { file: eventFile, column: 'trial_type' },
+            ),
+            addIssueLocation(
+              [
+                generateValidationIssue('unannotatedColumn', {
+                  column: 'stim_file',
+                  count: 2,
+                }),
+              ],
+              { file: eventFile, column: 'stim_file' },
+            ),
+            addIssueLocation(
+              [
+                generateValidationIssue('unusedSidecarLevel', {
+                  column: 'trial_type',
+                  level: 'stop',
+                  count: 4,
+                }),
+              ],
+              { file: sidecarFile, sidecarKey: 'trial_type.HED.stop' },
+            ),
+            addIssueLocation(
+              [
+                generateValidationIssue('unusedSidecarLevel', {
+                  column: 'trial_type',
+                  level: 'rest',
+                  count: 4,
+                }),
+              ],
+              { file: sidecarFile, sidecarKey: 'trial_type.HED.rest' },
+            ),
+          ),
+        )
+        const [, errorIssues] = bids.validateEventsTsvContents(
+          contents,
+          eventFile,
+          hedSchemas,
+          false,
+          sidecar,
+        )
+        assert.isEmpty(errorIssues)
+      })
+    })
+
+    it('should check events files without a sidecar', () => {
+      const contents =
+        'onset\tduration\ttrial_type\tHED\n' +
+        '1.0\t0.5\tgo\tSquare\n' +
+        '2.0\t0.5\tstop\tCircle\n'
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [, issues] = bids.validateEventsTsvContents(
+          contents,
+          eventFile,
+          hedSchemas,
+          true,
+        )
+        assert.sameDeepMembers(
+          issues,
+          addIssueLocation(
+            [
+              generateValidationIssue('unannotatedColumn', {
+                column: 'trial_type',
+                count: 2,
+              }),
+            ],
+            { file: eventFile, column: 'trial_type' },
+          ),
+        )
+      })
+    })
+  })
+
+  describe('Column references', () => {
+    const sidecarFile = 'task-test_events.json'
+    const eventFile = 'sub-01_task-test_events.tsv'
+    const sidecarData = {
+      trial_type: {
+        HED: {
+          go: 'Sensory-event, (Square, {response_time}), {stim_type}',
+          stop: 'Sensory-event',
+        },
+      },
+      response_time: { HED: 'Duration/# s' },
+      stim_type: { HED: { a: 'Circle', b: 'Triangle' } },
+    }
+
+    it('should be expanded during assembly', () => {
+      const sidecar = new bids.BidsSidecar(sidecarFile, sidecarData)
+      const contents =
+        'onset\tduration\ttrial_type\tresponse_time\tstim_type\n' +
+        '1.0\t0.5\tgo\t0.3\ta\n' +
+        '2.0\t0.5\tgo\tn/a\tn/a\n' +
+        '3.0\t0.5\tstop\t0.4\tb\n'
+      const [parsedEventFile] = bids.parseTsv(contents, eventFile)
+      const assembledRows = bids.assembleEventFile(parsedEventFile, sidecar)
+      assert.deepStrictEqual(
+        assembledRows.map((row) => {
+          return [row.rowNumber, row.hedString, row.columns]
+        }),
+        [
+          [
+            2,
+            'Sensory-event, (Square, Duration/0.3 s), Circle',
+            ['trial_type', 'response_time', 'stim_type'],
+          ],
+          [3, 'Sensory-event, (Square)', ['trial_type']],
+          [
+            4,
+            'Sensory-event, Duration/0.4 s, Triangle',
+            ['trial_type', 'response_time', 'stim_type'],
+          ],
+        ],
+      )
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [valid, issues] = bids.validateEventsTsvContents(
+          contents,
+          eventFile,
+          hedSchemas,
+          false,
+          sidecar,
+        )
+        assert.isTrue(valid)
+        assert.isEmpty(issues)
+      })
+    })
+
+    it('should keep referenced columns whose references are not expanded', () => {
+      const sidecar = new bids.BidsSidecar(sidecarFile, sidecarData)
+      const contents =
+        'onset\tduration\ttrial_type\tresponse_time\tstim_type\n' +
+        '1.0\t0.5\tn/a\tabc\ta\n'
+      const [parsedEventFile] = bids.parseTsv(contents, eventFile)
+      const assembledRows = bids.assembleEventFile(parsedEventFile, sidecar)
+      assert.deepStrictEqual(
+        assembledRows.map((row) => {
+          return [row.rowNumber, row.hedString, row.columns]
+        }),
+        [[2, 'Duration/abc s, Circle', ['response_time', 'stim_type']]],
+      )
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [, issues] = bids.validateEventsTsvContents(
+          contents,
+          eventFile,
+          hedSchemas,
+          false,
+          sidecar,
+        )
+        assert.sameDeepMembers(
+          issues,
+          addIssueLocation(
+            [
+              generateValidationIssue('invalidValue', {
+                tag: 'Duration/abc s',
+              }),
+            ],
+            {
+              file: eventFile,
+              row: 2,
+              sidecarFiles: {
+                response_time: sidecarFile,
+                stim_type: sidecarFile,
+              },
+            },
+          ),
+        )
+      })
+    })
+
+    it('should refer to annotated columns present in the events file', () => {
+      const contents =
+        'onset\tduration\ttrial_type\tstim_type\n1.0\t0.5\tgo\ta\n'
+      const sidecar = new bids.BidsSidecar(sidecarFile, sidecarData)
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [, issues] = bids.validateEventsTsvContents(
+          contents,
+          eventFile,
+          hedSchemas,
+          false,
+          sidecar,
+        )
+        assert.sameDeepMembers(
+          issues,
+          addIssueLocation(
+            [
+              generateValidationIssue('missingReferencedColumn', {
+                column: 'trial_type',
+                reference: 'response_time',
+              }),
+            ],
+            { file: eventFile, column: 'trial_type' },
+          ),
+        )
+      })
+    })
+
+    it('should be checked in sidecars', () => {
+      const testSidecars = {
+        valid: sidecarData,
+        unannotated: {
+          trial_type: { HED: { go: 'Sensory-event, {stim_file}' } },
+          stim_file: { LongName: 'Stimulus file' },
+        },
+        circular: {
+          first: { HED: { a: 'Label/First, {second}' } },
+          second: { HED: 'Label/#, {first}' },
+          own: { HED: { a: 'Label/Own, {own}' } },
+        },
+      }
+      const expectedIssues = {
+        valid: [],
+        unannotated: addIssueLocation(
+          [
+            generateValidationIssue('unannotatedColumnReference', {
+              column: 'trial_type',
+              reference: 'stim_file',
+            }),
+          ],
+          { file: sidecarFile, sidecarKey: 'trial_type.HED' },
+        ),
+        circular: [].concat(
+          addIssueLocation(
+            [
+              generateValidationIssue('circularColumnReference', {
+                column: 'first',
+              }),
+            ],
+            { file: sidecarFile, sidecarKey: 'first.HED' },
+          ),
+          addIssueLocation(
+            [
+              generateValidationIssue('circularColumnReference', {
+                column: 'second',
+              }),
+            ],
+            { file: sidecarFile, sidecarKey: 'second.HED' },
+          ),
+          addIssueLocation(
+            [
+              generateValidationIssue('circularColumnReference', {
+                column: 'own',
+              }),
+            ],
+            { file: sidecarFile, sidecarKey: 'own.HED' },
+          ),
+        ),
+      }
+      return hedSchemaPromise.then((hedSchemas) => {
+        for (const testSidecarKey of Object.keys(testSidecars)) {
+          const sidecar = new bids.BidsSidecar(
+            sidecarFile,
+            testSidecars[testSidecarKey],
+          )
+          const [, issues] = bids.validateSidecar(sidecar, hedSchemas)
+          assert.sameDeepMembers(
+            issues,
+            expectedIssues[testSidecarKey],
+            testSidecarKey,
+          )
+        }
+      })
+    })
+  })
+
+  describe('Sidecar inheritance', () => {
+    const rootPath = 'tests/data/bids'
+    const eventsFile =
+      'tests/data/bids/sub-01/func/sub-01_task-test_run-1_events.tsv'
+    const rootSidecarFile = 'tests/data/bids/task-test_events.json'
+    const subjectSidecarFile =
+      'tests/data/bids/sub-01/sub-01_task-test_events.json'
+
+    it('should merge applicable sidecars with nearer files taking precedence', () => {
+      return bids
+        .loadEventsSidecar(rootPath, eventsFile)
+        .then(([sidecar, issues]) => {
+          assert.isEmpty(issues)
+          assert.strictEqual(sidecar.file, subjectSidecarFile)
+          assert.deepStrictEqual(sidecar.categoricalColumns, {
+            trial_type: {
+              go: 'Sensory-event, Triangle',
+              stop: 'Sensory-event, Circle',
+            },
+          })
+          assert.deepStrictEqual(sidecar.valueColumns, {
+            response_time: 'Duration/# s',
+          })
+          assert.deepStrictEqual(sidecar.columnFiles, {
+            trial_type: subjectSidecarFile,
+            response_time: rootSidecarFile,
+          })
+        })
+    })
+
+    it('should record the sidecar files of assembled strings in issues', () => {
+      return Promise.all([
+        hedSchemaPromise,
+        bids.loadEventsSidecar(rootPath, eventsFile),
+      ])
+        .then(([hedSchemas, [sidecar]]) => {
+          return bids.validateEventsTsv(eventsFile, hedSchemas, false, sidecar)
+        })
+        .then(([valid, issues]) => {
+          const location = {
+            file: eventsFile,
+            sidecarFiles: { trial_type: subjectSidecarFile },
+          }
+          assert.isFalse(valid)
+          assert.sameDeepMembers(
+            issues,
+            [].concat(
+              addIssueLocation(
+                [
+                  generateValidationIssue('duplicateTag', {
+                    tag: 'Sensory-event',
+                  }),
+                ],
+                Object.assign({ row: 2 }, location),
+              ),
+              addIssueLocation(
+                [
+                  generateConverterIssue(
+                    'invalidTag',
+                    'Sensory-event, Triangle, Sensory-event, InvalidTag',
+                    {},
+                    [40, 50],
+                  ),
+                ],
+                Object.assign({ row: 4 }, location),
+              ),
+            ),
+          )
+        })
+    })
+  })
+
+  describe('Dataset schemas', () => {
+    const schemaDirectory = 'tests/data'
+
+    it('should parse HEDVersion strings and lists', () => {
+      const testVersions = {
+        base: '8.0.0',
+        library: ['8.0.0', 'sc:score_1.0.0'],
+        onlyLibrary: ['sc:score_1.0.0'],
+      }
+      const expectedSpecs = {
+        base: [{ prefix: '', library: '', version: '8.0.0' }],
+        library: [
+          { prefix: '', library: '', version: '8.0.0' },
+          { prefix: 'sc', library: 'score', version: '1.0.0' },
+        ],
+        onlyLibrary: [{ prefix: 'sc', library: 'score', version: '1.0.0' }],
+      }
+      for (const testVersionKey of Object.keys(testVersions)) {
+        const [schemaSpecs, issues] = bids.parseHedVersion(
+          testVersions[testVersionKey],
+        )
+        assert.isEmpty(issues, testVersionKey)
+        assert.deepEqual(
+          schemaSpecs.map((schemaSpec) => {
+            return Object.assign({}, schemaSpec)
+          }),
+          expectedSpecs[testVersionKey],
+          testVersionKey,
+        )
+      }
+    })
+
+    it('should be built from the dataset description', () => {
+      return bids
+        .buildBidsSchemas('tests/data/bids', {})
+        .then(([hedSchemas, issues]) => {
+          assert.isEmpty(issues)
+          assert.strictEqual(hedSchemas.baseSchema.version, '8.0.0-alpha.3')
+          assert.isTrue(hedSchemas.isHed3)
+          assert.deepStrictEqual(hedSchemas.librarySchemas, {})
+        })
+    })
+
+    it('should be built from only library schemas', () => {
+      return bids
+        .buildSchemasFromHedVersion(['tl:testlib_1.0.0'], {
+          schemaDirectory: schemaDirectory,
+        })
+        .then(([hedSchemas, issues]) => {
+          assert.isEmpty(issues)
+          assert.isNull(hedSchemas.baseSchema)
+          assert.isTrue(hedSchemas.isHed3)
+          assert.hasAllKeys(hedSchemas.librarySchemas, ['tl'])
+          assert.strictEqual(hedSchemas.librarySchemas.tl.library, 'testlib')
+        })
+    })
+
+    it('should report missing, invalid and unloadable versions', () => {
+      const testVersions = {
+        missing: undefined,
+        empty: [],
+        invalidVersion: 'latest',
+        invalidType: 8,
+        duplicatePrefix: ['8.0.0-alpha.3', '8.0.0-alpha.1'],
+      }
+      const expectedIssues = {
+        missing: [generateValidationIssue('missingHedVersion', {})],
+        empty: [generateValidationIssue('missingHedVersion', {})],
+        invalidVersion: [
+          generateValidationIssue('invalidHedVersion', {
+            version: '"latest"',
+          }),
+        ],
+        invalidType: [
+          generateValidationIssue('invalidHedVersion', { version: '8' }),
+        ],
+        duplicatePrefix: [
+          generateValidationIssue('invalidHedVersion', {
+            version: '"8.0.0-alpha.1"',
+          }),
+        ],
+      }
+      return Promise.all(
+        Object.keys(testVersions).map((testVersionKey) => {
+          return bids
+            .buildSchemasFromHedVersion(testVersions[testVersionKey], {
+              schemaDirectory: schemaDirectory,
+            })
+            .then(([hedSchemas, issues]) => {
+              assert.isNull(hedSchemas, testVersionKey)
+              assert.sameDeepMembers(
+                issues,
+                expectedIssues[testVersionKey],
+                testVersionKey,
+              )
+            })
+        }),
+      )
+    })
+
+    it('should report dataset descriptions that are not objects', () => {
+      const testDescriptions = {
+        null: 'null',
+        list: '["8.0.0-alpha.3"]',
+        string: '"8.0.0-alpha.3"',
+      }
+      return Promise.all(
+        Object.keys(testDescriptions).map((testDescriptionKey) => {
+          const tempDirectory = fs.mkdtempSync(
+            path.join(os.tmpdir(), 'hed-description-'),
+          )
+          const file = path.join(tempDirectory, 'dataset_description.json')
+          fs.writeFileSync(file, testDescriptions[testDescriptionKey])
+          return bids
+            .buildBidsSchemas(tempDirectory, {})
+            .then(([hedSchemas, issues]) => {
+              fs.unlinkSync(file)
+              fs.rmdirSync(tempDirectory)
+              assert.isNull(hedSchemas, testDescriptionKey)
+              assert.deepStrictEqual(
+                issues,
+                addIssueLocation(
+                  [generateValidationIssue('missingHedVersion', {})],
+                  { file: file },
+                ),
+                testDescriptionKey,
+              )
+            })
+        }),
+      )
+    })
+
+    it('should report schemas missing from the schema directory', () => {
+      return bids
+        .buildSchemasFromHedVersion(['8.0.0-alpha.3', 'sc:score_1.0.0'], {
+          schemaDirectory: 'data',
+        })
+        .then(([hedSchemas, issues]) => {
+          assert.isNull(hedSchemas)
+          assert.lengthOf(issues, 1)
+          assert.strictEqual(issues[0].code, 'schemaLoadFailed')
+          assert.include(issues[0].message, 'HED_score_1.0.0.xml')
+        })
+    })
+  })
+
+  describe('Whole datasets', () => {
+    const schemaDirectory = 'data'
+    const definitionsRoot = 'tests/data/bids_definitions'
+
+    it('should share definitions across events files', () => {
+      return bids
+        .validateBidsDataset(definitionsRoot, {
+          schemaDirectory: schemaDirectory,
+          checkForWarnings: true,
+        })
+        .then((result) => {
+          assert.isTrue(result.valid)
+          assert.strictEqual(result.eventFileCount, 2)
+          assert.strictEqual(result.errorCount, 0)
+          assert.strictEqual(result.warningCount, 0)
+          assert.isEmpty(result.datasetIssues)
+          assert.deepStrictEqual(result.fileIssues, {
+            'tests/data/bids_definitions/task-test_events.json': [],
+            'tests/data/bids_definitions/sub-01/func/sub-01_task-test_run-1_events.tsv':
+              [],
+            'tests/data/bids_definitions/sub-01/func/sub-01_task-test_run-2_events.tsv':
+              [],
+          })
+        })
+    })
+
+    it('should only collect the definitions in effect after inheritance', () => {
+      return bids
+        .validateBidsDataset('tests/data/bids_overrides', {
+          schemaDirectory: schemaDirectory,
+          checkForWarnings: true,
+        })
+        .then((result) => {
+          assert.isTrue(result.valid)
+          assert.strictEqual(result.eventFileCount, 2)
+          assert.isEmpty(result.datasetIssues)
+        })
+    })
+
+    it('should pair temporal tags within each events file', () => {
+      const functionalDirectory = 'tests/data/bids_temporal/sub-01/func/'
+      return bids
+        .validateBidsDataset('tests/data/bids_temporal', {
+          schemaDirectory: schemaDirectory,
+          checkForWarnings: true,
+        })
+        .then((result) => {
+          assert.isFalse(result.valid)
+          assert.strictEqual(result.eventFileCount, 2)
+          assert.sameDeepMembers(result.datasetIssues, [
+            addIssueLocation(
+              [
+                generateValidationIssue('unclosedOnset', {
+                  definition: 'Cond',
+                }),
+              ],
+              {
+                file: functionalDirectory + 'sub-01_task-test_run-1_events.tsv',
+              },
+            )[0],
+            addIssueLocation(
+              [
+                generateValidationIssue('unmatchedOffset', {
+                  definition: 'Cond',
+                }),
+              ],
+              {
+                file: functionalDirectory + 'sub-01_task-test_run-2_events.tsv',
+              },
+            )[0],
+          ])
+        })
+    })
+
+    it('should only validate derivatives when asked', () => {
+      return bids
+        .validateBidsDataset(definitionsRoot, {
+          schemaDirectory: schemaDirectory,
+          includeDerivatives: true,
+        })
+        .then((result) => {
+          assert.isFalse(result.valid)
+          assert.strictEqual(result.eventFileCount, 3)
+          assert.strictEqual(result.errorCount, 1)
+          assert.sameDeepMembers(
+            result.datasetIssues,
+            addIssueLocation(
+              [
+                generateValidationIssue('missingDefinition', {
+                  definition: 'Unknown-condition',
+                }),
+              ],
+              {
+                file: 'tests/data/bids_definitions/derivatives/pipeline/sub-01/func/sub-01_task-test_run-1_events.tsv',
+              },
+            ),
+          )
+        })
+    })
+
+    it('should report per-file issues with totals', () => {
+      const eventsFile =
+        'tests/data/bids/sub-01/func/sub-01_task-test_run-1_events.tsv'
+      return bids
+        .validateBidsDataset('tests/data/bids', {
+          schemaDirectory: schemaDirectory,
+        })
+        .then((result) => {
+          assert.isFalse(result.valid)
+          assert.strictEqual(result.eventFileCount, 1)
+          assert.strictEqual(result.errorCount, 2)
+          assert.strictEqual(result.warningCount, 0)
+          assert.isEmpty(result.datasetIssues)
+          assert.sameMembers(Object.keys(result.fileIssues), [
+            'tests/data/bids/task-test_events.json',
+            'tests/data/bids/sub-01/sub-01_task-test_events.json',
+            eventsFile,
+          ])
+          assert.sameMembers(
+            result.fileIssues[eventsFile].map((issue) => {
+              return issue.code
+            }),
+            ['duplicateTag', 'invalidTag'],
+          )
+        })
+    })
+
+    it('should report an unusable dataset description', () => {
+      return bids
+        .validateBidsDataset('tests/data', {
+          schemaDirectory: schemaDirectory,
+        })
+        .then((result) => {
+          const file = 'tests/data/dataset_description.json'
+          assert.isFalse(result.valid)
+          assert.strictEqual(result.eventFileCount, 0)
+          assert.deepStrictEqual(result.fileIssues, {
+            [file]: addIssueLocation(
+              [generateValidationIssue('fileReadError', { file: file })],
+              { file: file },
+            ),
+          })
+        })
+    })
+  })
+
+  describe('Factor columns', () => {
+    const sidecarFile = 'task-test_events.json'
+    const eventFile = 'sub-01_task-test_events.tsv'
+    const sidecarData = {
+      trial_type: {
+        HED: {
+          go: 'Sensory-event, Def/Go-condition',
+          stop: 'Sensory-event, Def/Stop-condition',
+        },
+      },
+    }
+    const contents =
+      'onset\tduration\ttrial_type\tHED\n' +
+      '1.0\t0.5\tgo\t(Red, Square)\n' +
+      '2.0\t0.5\tstop\tn/a\n' +
+      '3.0\tn/a\tn/a\tn/a\n' +
+      '4.0\t0.5\tgo\t(Red, Circle)\n'
+    const queries = {
+      go: 'Def/Go-condition',
+      stop: 'Def/Stop-condition',
+      redSquare: '[Red && Square]',
+      sensory: 'Sensory-event && ~Square',
+    }
+
+    it('should have one column per query', () => {
+      const sidecar = new bids.BidsSidecar(sidecarFile, sidecarData)
+      const [parsedEventFile] = bids.parseTsv(contents, eventFile)
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [factorFile, issues] = bids.getEventFactors(
+          parsedEventFile,
+          sidecar,
+          queries,
+          hedSchemas,
+        )
+        assert.isEmpty(issues)
+        assert.strictEqual(
+          bids.formatTsv(factorFile),
+          'onset\tduration\tgo\tstop\tredSquare\tsensory\n' +
+            '1.0\t0.5\t1\t0\t1\t0\n' +
+            '2.0\t0.5\t0\t1\t0\t1\n' +
+            '3.0\tn/a\t0\t0\t0\t0\n' +
+            '4.0\t0.5\t1\t0\t0\t1\n',
+        )
+      })
+    })
+
+    it('should mark unparsable rows as "n/a"', () => {
+      const [parsedEventFile] = bids.parseTsv(
+        'onset\tduration\tHED\n1.0\t0.5\tRed\n2.0\t0.5\tRed, [Square\n',
+        eventFile,
+      )
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [factorFile, issues] = bids.getEventFactors(
+          parsedEventFile,
+          null,
+          { red: 'Red' },
+          hedSchemas,
+        )
+        assert.deepStrictEqual(
+          factorFile.rows.map((row) => {
+            return row.red
+          }),
+          ['1', 'n/a'],
+        )
+        assert.isNotEmpty(issues)
+        for (const issue of issues) {
+          assert.strictEqual(issue.file, eventFile)
+          assert.strictEqual(issue.row, 3)
+        }
+      })
+    })
+
+    it('should reject invalid queries and factor names', () => {
+      const [parsedEventFile] = bids.parseTsv(contents, eventFile)
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [factorFile, issues] = bids.getEventFactors(
+          parsedEventFile,
+          null,
+          { onset: 'Red', red: 'Red &' },
+          hedSchemas,
+        )
+        assert.isNull(factorFile)
+        assert.sameDeepMembers(issues, [
+          generateValidationIssue('invalidFactorName', { name: 'onset' }),
+          generateValidationIssue('invalidQuery', {
+            query: 'Red &',
+            index: 4,
+            reason: '"&" must be doubled',
+          }),
+        ])
+      })
+    })
+
+    it('should be written as TSV', () => {
+      const sidecar = new bids.BidsSidecar(sidecarFile, sidecarData)
+      const [parsedEventFile] = bids.parseTsv(contents, eventFile)
+      const outputFile = path.join(
+        os.tmpdir(),
+        'hed-validator-factors-' + process.pid + '.tsv',
+      )
+      return hedSchemaPromise
+        .then((hedSchemas) => {
+          return bids.writeEventFactors(
+            parsedEventFile,
+            sidecar,
+            { go: queries.go },
+            hedSchemas,
+            outputFile,
+          )
+        })
+        .then(([factorFile, issues]) => {
+          assert.isEmpty(issues)
+          assert.strictEqual(factorFile.file, outputFile)
+          const written = fs.readFileSync(outputFile, 'utf8')
+          fs.unlinkSync(outputFile)
+          assert.strictEqual(
+            written,
+            'onset\tduration\tgo\n' +
+              '1.0\t0.5\t1\n' +
+              '2.0\t0.5\t0\n' +
+              '3.0\tn/a\t0\n' +
+              '4.0\t0.5\t1\n',
+          )
+        })
+    })
+  })
+
+  describe('Event intervals', () => {
+    const eventFile = 'sub-01_task-test_events.tsv'
+    const sidecarData = {
+      trial_type: {
+        HED: {
+          start: '(Def/Block, Onset)',
+          end: '(Def/Block, Offset)',
+          flash: 'Sensory-event, (Def/Flash, Duration/500 ms)',
+        },
+      },
+    }
+
+    it('should expand Onset, Offset and Duration groups into intervals', () => {
+      const sidecar = new bids.BidsSidecar('task-test_events.json', sidecarData)
+      const contents =
+        'onset\tduration\ttrial_type\tHED\n' +
+        '1.0\tn/a\tstart\t(Def/My-cue/1, (Red, Square), Onset)\n' +
+        '2.0\tn/a\tflash\tn/a\n' +
+        '3.0\tn/a\tend\tn/a\n' +
+        '4.0\tn/a\tn/a\t(Def/My-cue/1, Offset)\n' +
+        '5.0\tn/a\tn/a\t(Def/Other, Offset)\n' +
+        '6.0\tn/a\tstart\tn/a\n' +
+        '7.0\tn/a\tn/a\tRed\n'
+      const [parsedEventFile] = bids.parseTsv(contents, eventFile)
+      const assembledRows = bids.assembleEventFile(parsedEventFile, sidecar)
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [intervals, issues] = bids.getEventIntervals(
+          assembledRows,
+          hedSchemas,
+        )
+        assert.deepStrictEqual(
+          intervals.map((interval) => {
+            return [
+              interval.def,
+              interval.value,
+              interval.startOnset,
+              interval.endOnset,
+              interval.startRow,
+              interval.endRow,
+              interval.tags.map((tag) => {
+                return tag.originalTag
+              }),
+              interval.unclosed,
+            ]
+          }),
+          [
+            ['Block', null, 1, 3, 2, 4, [], false],
+            ['My-cue', '1', 1, 4, 2, 5, ['(Red, Square)'], false],
+            ['Flash', null, 2, 2.5, 3, 3, [], false],
+            ['Block', null, 6, 7, 7, 8, [], true],
+          ],
+        )
+        assert.sameDeepMembers(issues, [
+          ...addIssueLocation(
+            [
+              generateValidationIssue('unmatchedOffset', {
+                definition: 'Other',
+              }),
+            ],
+            { row: 6 },
+          ),
+          ...addIssueLocation(
+            [
+              generateValidationIssue('unclosedOnset', {
+                definition: 'Block',
+              }),
+            ],
+            { row: 7 },
+          ),
+        ])
+      })
+    })
+
+    it('should convert Duration values in any time unit to seconds', () => {
+      const durations = [
+        ['1.5 minute', 90],
+        ['2 hours', 7200],
+        ['1 Day', 86400],
+        ['250 ms', 0.25],
+        ['250 milliseconds', 0.25],
+        ['1 ks', 1000],
+        ['3 s', 3],
+        ['3', 3],
+        ['3 kg', null],
+      ]
+      const [parsedEventFile] = bids.parseTsv(
+        'onset\tHED\n' +
+          durations
+            .map(([duration]) => {
+              return '0.0\t(Def/Flash, Duration/' + duration + ')\n'
+            })
+            .join(''),
+        eventFile,
+      )
+      const assembledRows = bids.assembleEventFile(parsedEventFile)
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [intervals, issues] = bids.getEventIntervals(
+          assembledRows,
+          hedSchemas,
+        )
+        assert.deepStrictEqual(
+          intervals.map((interval) => {
+            return interval.endOnset
+          }),
+          durations.map(([, seconds]) => {
+            return seconds
+          }),
+        )
+        assert.sameDeepMembers(
+          issues,
+          addIssueLocation(
+            [
+              generateValidationIssue('unitClassInvalidUnit', {
+                tag: 'Duration/3 kg',
+                unitClassUnits: 'day,hour,minute,s,second',
+              }),
+            ],
+            { row: 10 },
+          ),
+        )
+      })
+    })
+
+    it('should close a repeated Onset at the next Onset', () => {
+      const [parsedEventFile] = bids.parseTsv(
+        'onset\tHED\n' +
+          '1.0\t(Def/Block, Onset)\n' +
+          '2.5\t(Def/Block, Onset)\n' +
+          '4.0\t(Def/Block, Offset)\n',
+        eventFile,
+      )
+      const assembledRows = bids.assembleEventFile(parsedEventFile)
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [intervals, issues] = bids.getEventIntervals(
+          assembledRows,
+          hedSchemas,
+        )
+        assert.isEmpty(issues)
+        assert.deepStrictEqual(
+          intervals.map((interval) => {
+            return [interval.startOnset, interval.endOnset]
+          }),
+          [
+            [1, 2.5],
+            [2.5, 4],
+          ],
+        )
+      })
+    })
+  })
+})
@@ -0,0 +1,209 @@
+const assert = require('chai').assert
+const schema = require('../validator/schema')
+const { parseDefinitions } = require('../validator/dataset')
+const {
+  completionKinds,
+  getPartialTag,
+  getTagCompletions,
+} = require('../validator/completion')
+
+describe('HED tag completion', () => {
+  let hedSchemaPromise
+
+  beforeAll(() => {
+    hedSchemaPromise = schema.buildSchemas([
+      { path: 'data/HED8.0.0-alpha.3.xml' },
+      { path: 'tests/data/HED_testlib_1.0.0.xml', prefix: 'tl' },
+    ])
+  })
+
+  /**
+   * Summarize completions as their text and kind.
+   */
+  const summarize = function (completions) {
+    return completions.map((completion) => [completion.text, completion.kind])
+  }
+
+  describe('Partial tags', () => {
+    it('should find the partial tag ending at the cursor', () => {
+      const testStrings = {
+        start: 'Squ',
+        afterComma: 'Red, Squ',
+        inGroup: 'Red, (Blue,  Sensory-ev',
+        middle: 'Red, Squ, Blue',
+        empty: 'Red, (',
+      }
+      const cursors = {
+        start: 3,
+        afterComma: 8,
+        inGroup: 23,
+        middle: 8,
+        empty: 6,
+      }
+      const expectedResults = {
+        start: ['Squ', [0, 3]],
+        afterComma: ['Squ', [5, 8]],
+        inGroup: ['Sensory-ev', [13, 23]],
+        middle: ['Squ', [5, 8]],
+        empty: ['', [6, 6]],
+      }
+      for (const testStringKey of Object.keys(testStrings)) {
+        assert.deepStrictEqual(
+          getPartialTag(testStrings[testStringKey], cursors[testStringKey]),
+          expectedResults[testStringKey],
+          testStrings[testStringKey],
+        )
+      }
+    })
+  })
+
+  describe('Schema tags', () => {
+    it('should complete short names from their prefixes', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [completions, bounds] = getTagCompletions(
+          'Red, Sensory-ev',
+          15,
+          hedSchemas,
+        )
+        assert.deepStrictEqual(bounds, [5, 15])
+        assert.deepStrictEqual(summarize(completions), [
+          ['Sensory-event', completionKinds.TAG],
+        ])
+        assert.strictEqual(completions[0].longName, 'Event/Sensory-event')
+        assert.isNotEmpty(completions[0].description)
+      })
+    })
+
+    it('should rank exact and shallower matches first', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [completions] = getTagCompletions('tl:Seizure', 10, hedSchemas)
+        assert.deepStrictEqual(summarize(completions), [
+          ['tl:Seizure', completionKinds.TAG],
+          ['tl:Seizure-onset', completionKinds.TAG],
+        ])
+        assert.strictEqual(completions[0].description, 'A paroxysmal event.')
+      })
+    })
+
+    it('should list the top-level tags when nothing has been typed', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [completions] = getTagCompletions('Red, tl:', 8, hedSchemas)
+        assert.deepStrictEqual(summarize(completions), [
+          ['tl:Clinical-finding', completionKinds.TAG],
+          ['tl:Finding-category', completionKinds.TAG],
+          ['tl:Recording-state', completionKinds.TAG],
+        ])
+      })
+    })
+
+    it('should not complete tags with unknown prefixes or parents', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        assert.isEmpty(getTagCompletions('xx:Sei', 6, hedSchemas)[0])
+        assert.isEmpty(getTagCompletions('Nonsense/Sei', 12, hedSchemas)[0])
+      })
+    })
+  })
+
+  describe('Child tags', () => {
+    it('should complete the children of a typed parent', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [completions] = getTagCompletions(
+          'tl:Finding-category/',
+          20,
+          hedSchemas,
+        )
+        assert.deepStrictEqual(summarize(completions), [
+          ['tl:Finding-category/Normal', completionKinds.CHILD],
+          ['tl:Finding-category/Abnormal', completionKinds.CHILD],
+        ])
+        assert.deepStrictEqual(
+          completions.map((completion) => completion.description),
+          ['Within normal limits.', 'Outside normal limits.'],
+        )
+      })
+    })
+
+    it('should suggest extensions of tags allowing them', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [completions] = getTagCompletions(
+          'tl:Clinical-finding/Sei',
+          23,
+          hedSchemas,
+        )
+        assert.deepStrictEqual(summarize(completions), [
+          ['tl:Clinical-finding/Seizure', completionKinds.CHILD],
+          ['tl:Clinical-finding/Sei', completionKinds.EXTENSION],
+        ])
+        assert.strictEqual(
+          completions[1].description,
+          'A finding observed during a clinical recording.',
+        )
+        const [normalCompletions] = getTagCompletions(
+          'tl:Finding-category/Nor',
+          23,
+          hedSchemas,
+        )
+        assert.deepStrictEqual(summarize(normalCompletions), [
+          ['tl:Finding-category/Normal', completionKinds.CHILD],
+        ])
+      })
+    })
+
+    it('should complete value placeholders with their units', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [completions] = getTagCompletions(
+          'tl:Spike-rate/',
+          14,
+          hedSchemas,
+        )
+        assert.deepStrictEqual(summarize(completions), [
+          ['tl:Spike-rate/#', completionKinds.VALUE],
+        ])
+        assert.deepStrictEqual(completions[0].units, ['Hz'])
+        assert.strictEqual(
+          completions[0].description,
+          'The rate of epileptiform spikes.',
+        )
+      })
+    })
+  })
+
+  describe('Definitions', () => {
+    it('should complete the names of the supplied definitions', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [definitions, , definitionIssues] = parseDefinitions(
+          [
+            '(Definition/MyDef, (Description/A custom event, Red))',
+            '(Definition/MyColor/#, (Red))',
+            '(Definition/Other, (Square))',
+          ],
+          hedSchemas,
+        )
+        assert.isEmpty(definitionIssues)
+        const [completions] = getTagCompletions(
+          'Red, Def/my',
+          11,
+          hedSchemas,
+          definitions,
+        )
+        assert.deepStrictEqual(summarize(completions), [
+          ['Def/MyDef', completionKinds.DEFINITION],
+          ['Def/MyColor/#', completionKinds.DEFINITION],
+        ])
+        assert.deepStrictEqual(
+          completions.map((completion) => completion.description),
+          ['A custom event', ''],
+        )
+        const [expandCompletions] = getTagCompletions(
+          '(Def-expand/Oth',
+          15,
+          hedSchemas,
+          definitions,
+        )
+        assert.deepStrictEqual(summarize(expandCompletions), [
+          ['Def-expand/Other', completionKinds.DEFINITION],
+        ])
+      })
+    })
+  })
+})
@@ -3,6 +3,7 @@ const hed = require('../validator/dataset')
 const schema = require('../validator/schema')
 const generateValidationIssue = require('../utils/issues').generateIssue
 const generateConverterIssue = require('../converter/issues')
+const converter = require('../converter/converter')
 
 describe('HED dataset validation', () => {
   const hedSchemaFile = 'tests/data/HED8.0.0-alpha.1.xml'
@@ -65,6 +66,7 @@ describe('HED dataset validation', () => {
           generateValidationIssue('unitClassInvalidUnit', {
             tag: testDatasets.multipleInvalid[1],
             unitClassUnits: legalTimeUnits.sort().join(','),
+            suggestions: ['s'],
           }),
           generateConverterIssue(
             'invalidTag',
@@ -77,4 +79,444 @@ describe('HED dataset validation', () => {
       return validator(testDatasets, expectedIssues)
     })
   })
+
+  describe('HED 3 definitions', () => {
+    const hed3SchemaFile = 'data/HED8.0.0-alpha.3.xml'
+    let hed3SchemaPromise
+
+    beforeAll(() => {
+      hed3SchemaPromise = schema.buildSchema({ path: hed3SchemaFile })
+    })
+
+    it('should be parsed into a map of definitions', () => {
+      const testStrings = [
+        '(Definition/SimpleDefinition)',
+        '(Definition/TagGroupDefinition, (Square, RGB-blue))',
+        '(Definition/PlaceholderDefinition/#, (Label/#, Square)), (Definition/SecondDefinition, (Circle))',
+        'Sensory-event, (Definition/InlineDefinition, (Triangle))',
+        'Sensory-event, Def/SimpleDefinition',
+      ]
+      return hed3SchemaPromise.then((hedSchemas) => {
+        const [definitions, eventStrings] = hed.parseDefinitions(
+          testStrings,
+          hedSchemas,
+        )
+        assert.hasAllKeys(definitions, [
+          'simpledefinition',
+          'taggroupdefinition',
+          'placeholderdefinition',
+          'seconddefinition',
+          'inlinedefinition',
+        ])
+        assert.deepStrictEqual(eventStrings, testStrings.slice(3))
+
+        const simpleDefinition = definitions.simpledefinition
+        assert.strictEqual(simpleDefinition.name, 'SimpleDefinition')
+        assert.isNull(simpleDefinition.contentsGroup)
+        assert.isEmpty(simpleDefinition.contents)
+        assert.isFalse(simpleDefinition.takesPlaceholder)
+
+        const tagGroupDefinition = definitions.taggroupdefinition
+        assert.strictEqual(
+          tagGroupDefinition.contentsGroup.originalTag,
+          '(Square, RGB-blue)',
+        )
+        assert.sameMembers(
+          tagGroupDefinition.contents.map((tag) => tag.originalTag),
+          ['Square', 'RGB-blue'],
+        )
+        assert.isFalse(tagGroupDefinition.takesPlaceholder)
+
+        const placeholderDefinition = definitions.placeholderdefinition
+        assert.strictEqual(placeholderDefinition.name, 'PlaceholderDefinition')
+        assert.isTrue(placeholderDefinition.takesPlaceholder)
+        assert.strictEqual(placeholderDefinition.hedString, testStrings[2])
+      })
+    })
+    it('should have valid definition references', () => {
+      const testDatasets = {
+        valid: [
+          '(Definition/SimpleDefinition, (Square))',
+          '(Definition/PlaceholderDefinition/#, (Label/#))',
+          'Sensory-event, Def/SimpleDefinition',
+          'Sensory-event, Def/PlaceholderDefinition/3',
+          'Sensory-event, (Def-expand/PlaceholderDefinition/4, (Label/4))',
+        ],
+        missingDefinition: [
+          '(Definition/SimpleDefinition, (Square))',
+          'Sensory-event, Def/SimpleDefinition, Def/MissingDefinition',
+          'Sensory-event, (Def-expand/MissingExpansion, (Square))',
+        ],
+        duplicateDefinition: [
+          '(Definition/SimpleDefinition, (Square))',
+          '(Definition/simpleDefinition, (Circle))',
+          'Sensory-event, Def/SimpleDefinition',
+        ],
+        unusedDefinition: [
+          '(Definition/SimpleDefinition, (Square))',
+          '(Definition/UnusedDefinition, (Circle))',
+          'Sensory-event, Def/SimpleDefinition',
+        ],
+        placeholderArity: [
+          '(Definition/SimpleDefinition, (Square))',
+          '(Definition/PlaceholderDefinition/#, (Label/#))',
+          'Sensory-event, Def/SimpleDefinition/3',
+          'Sensory-event, Def/PlaceholderDefinition',
+        ],
+      }
+      const expectedIssues = {
+        valid: [],
+        missingDefinition: [
+          generateValidationIssue('missingDefinition', {
+            definition: 'MissingDefinition',
+          }),
+          generateValidationIssue('missingDefinition', {
+            definition: 'MissingExpansion',
+          }),
+        ],
+        duplicateDefinition: [
+          generateValidationIssue('duplicateDefinition', {
+            definition: 'simpleDefinition',
+          }),
+        ],
+        unusedDefinition: [
+          generateValidationIssue('unusedDefinition', {
+            definition: 'UnusedDefinition',
+          }),
+        ],
+        placeholderArity: [
+          generateValidationIssue('extraPlaceholderValue', {
+            tag: 'Def/SimpleDefinition/3',
+            definition: 'SimpleDefinition',
+          }),
+          generateValidationIssue('missingPlaceholderValue', {
+            tag: 'Def/PlaceholderDefinition',
+            definition: 'PlaceholderDefinition',
+          }),
+        ],
+      }
+      return hed3SchemaPromise.then((hedSchemas) => {
+        for (const testDatasetKey of Object.keys(testDatasets)) {
+          const [definitions, eventStrings, definitionIssues] =
+            hed.parseDefinitions(testDatasets[testDatasetKey], hedSchemas)
+          const [, datasetIssues] = hed.validateDataset(
+            definitions,
+            eventStrings,
+            hedSchemas,
+            true,
+          )
+          assert.sameDeepMembers(
+            definitionIssues.concat(datasetIssues),
+            expectedIssues[testDatasetKey],
+            testDatasetKey,
+          )
+        }
+      })
+    })
+    it('should have Def-expand groups matching their definitions', () => {
+      const definitionStrings = [
+        '(Definition/SimpleDefinition, (Square, RGB-blue))',
+        '(Definition/NestedDefinition, (Square, (Circle, Red)))',
+        '(Definition/PlaceholderDefinition/#, (Label/#, Square))',
+        '(Definition/EmptyDefinition)',
+      ]
+      const testDatasets = {
+        valid: [
+          'Sensory-event, (Def-expand/SimpleDefinition, (Square, RGB-blue))',
+          'Sensory-event, (Def-expand/EmptyDefinition)',
+        ],
+        reordered: [
+          'Sensory-event, (Def-expand/SimpleDefinition, (Item/Object/Geometric-object/2D-shape/Rectangle/Square, RGB-color/RGB-blue))',
+          'Sensory-event, (Def-expand/NestedDefinition, ((Red, Circle), Square))',
+        ],
+        placeholder: [
+          'Sensory-event, (Def-expand/PlaceholderDefinition/Alpha, (Square, Label/Alpha))',
+        ],
+        stale: [
+          'Sensory-event, (Def-expand/SimpleDefinition, (Square))',
+          'Sensory-event, (Def-expand/NestedDefinition, (Square, (Circle, Blue)))',
+          'Sensory-event, (Def-expand/PlaceholderDefinition/Alpha, (Square, Label/Beta))',
+          'Sensory-event, (Def-expand/EmptyDefinition, (Square))',
+        ],
+      }
+      const expectedIssues = {
+        valid: [],
+        reordered: [],
+        placeholder: [],
+        stale: [
+          generateValidationIssue('defExpandMismatch', {
+            tag: 'Def-expand/SimpleDefinition',
+            definition: 'SimpleDefinition',
+          }),
+          generateValidationIssue('defExpandMismatch', {
+            tag: 'Def-expand/NestedDefinition',
+            definition: 'NestedDefinition',
+          }),
+          generateValidationIssue('defExpandMismatch', {
+            tag: 'Def-expand/PlaceholderDefinition/Alpha',
+            definition: 'PlaceholderDefinition',
+          }),
+          generateValidationIssue('defExpandMismatch', {
+            tag: 'Def-expand/EmptyDefinition',
+            definition: 'EmptyDefinition',
+          }),
+        ],
+      }
+      return hed3SchemaPromise.then((hedSchemas) => {
+        for (const testDatasetKey of Object.keys(testDatasets)) {
+          const [definitions, eventStrings] = hed.parseDefinitions(
+            definitionStrings.concat(testDatasets[testDatasetKey]),
+            hedSchemas,
+          )
+          const [, issues] = hed.validateDataset(
+            definitions,
+            eventStrings,
+            hedSchemas,
+          )
+          assert.sameDeepMembers(
+            issues,
+            expectedIssues[testDatasetKey],
+            testDatasetKey,
+          )
+        }
+      })
+    })
+    it('should have properly paired Onset and Offset tags', () => {
+      const definitionStrings = [
+        '(Definition/ShowFace, (Square))',
+        '(Definition/Condition/#, (Label/#))',
+      ]
+      const testDatasets = {
+        valid: [
+          '(Onset, Def/ShowFace, (Red))',
+          'Sensory-event',
+          '(Offset, Def/ShowFace)',
+          '(Onset, (Def-expand/Condition/Alpha, (Label/Alpha)))',
+          '(Onset, Def/Condition/Beta)',
+          '(Offset, Def/Condition/Alpha), (Offset, Def/Condition/Beta)',
+        ],
+        unmatchedOffset: [
+          '(Offset, Def/ShowFace)',
+          '(Onset, Def/Condition/Alpha)',
+          '(Offset, Def/Condition/Beta), (Offset, Def/Condition/Alpha)',
+        ],
+        missingDefinition: [
+          '(Onset, Red), Def/ShowFace',
+          '(Offset, (Square)), Def/Condition/Alpha',
+        ],
+        offsetWithTagGroup: [
+          '(Onset, Def/ShowFace)',
+          '(Offset, Def/ShowFace, (Red))',
+          'Sensory-event, Def/Condition/Alpha',
+        ],
+        duplicateOnset: [
+          '(Onset, Def/ShowFace)',
+          '(Onset, Def/ShowFace)',
+          '(Offset, Def/ShowFace)',
+          'Sensory-event, Def/Condition/Alpha',
+        ],
+        unclosedOnset: [
+          '(Onset, Def/ShowFace)',
+          '(Onset, Def/Condition/Alpha)',
+          '(Offset, Def/ShowFace)',
+        ],
+      }
+      const expectedIssues = {
+        valid: [],
+        unmatchedOffset: [
+          generateValidationIssue('unmatchedOffset', {
+            definition: 'ShowFace',
+          }),
+          generateValidationIssue('unmatchedOffset', {
+            definition: 'Condition/Beta',
+          }),
+        ],
+        missingDefinition: [
+          generateValidationIssue('temporalTagMissingDefinition', {
+            tag: 'Onset',
+          }),
+          generateValidationIssue('temporalTagMissingDefinition', {
+            tag: 'Offset',
+          }),
+        ],
+        offsetWithTagGroup: [
+          generateValidationIssue('offsetWithTagGroup', {
+            definition: 'ShowFace',
+          }),
+        ],
+        duplicateOnset: [
+          generateValidationIssue('duplicateOnset', {
+            definition: 'ShowFace',
+          }),
+        ],
+        unclosedOnset: [
+          generateValidationIssue('unclosedOnset', {
+            definition: 'Condition/Alpha',
+          }),
+        ],
+      }
+      return hed3SchemaPromise.then((hedSchemas) => {
+        for (const testDatasetKey of Object.keys(testDatasets)) {
+          const [definitions, eventStrings] = hed.parseDefinitions(
+            definitionStrings.concat(testDatasets[testDatasetKey]),
+            hedSchemas,
+          )
+          const [, issues] = hed.validateDataset(
+            definitions,
+            eventStrings,
+            hedSchemas,
+            true,
+          )
+          assert.sameDeepMembers(
+            issues,
+            expectedIssues[testDatasetKey],
+            testDatasetKey,
+          )
+        }
+      })
+    })
+  })
+})
+
+describe('HED 3 definition expansion', () => {
+  const hedSchemaFile = 'data/HED8.0.0-alpha.3.xml'
+  const definitionStrings = [
+    '(Definition/SimpleDefinition, (Square, RGB-blue))',
+    '(Definition/PlaceholderDefinition/#, (Label/#, Square))',
+    '(Definition/EmptyDefinition)',
+  ]
+  let schemaPromise
+
+  beforeAll(() => {
+    schemaPromise = schema
+      .buildSchema({ path: hedSchemaFile })
+      .then((schemas) => {
+        const [definitions] = hed.parseDefinitions(definitionStrings, schemas)
+        return [schemas, definitions]
+      })
+  })
+
+  /**
+   * Base validation function.
+   *
+   * @param {Object<string, string>} testStrings The test strings.
+   * @param {Object<string, string>} expectedResults The expected results.
+   * @param {Object<string, Issue[]>} expectedIssues The expected issues.
+   * @param {function (Schemas, string, Definitions): [string, Issue[]]} testFunction The test function.
+   * @return {Promise<void> | PromiseLike<any> | Promise<any>}
+   */
+  const validatorBase = function (
+    testStrings,
+    expectedResults,
+    expectedIssues,
+    testFunction,
+  ) {
+    return schemaPromise.then(([schemas, definitions]) => {
+      for (const testStringKey of Object.keys(testStrings)) {
+        const [testResult, issues] = testFunction(
+          schemas,
+          testStrings[testStringKey],
+          definitions,
+        )
+        assert.strictEqual(
+          testResult,
+          expectedResults[testStringKey],
+          testStrings[testStringKey],
+        )
+        assert.sameDeepMembers(
+          issues,
+          expectedIssues[testStringKey],
+          testStrings[testStringKey],
+        )
+      }
+    })
+  }
+
+  it('should replace Def tags with Def-expand groups', () => {
+    const testStrings = {
+      noDefinitions: 'Sensory-event, (Square, Red)',
+      simple: 'Sensory-event, Def/SimpleDefinition',
+      longForm: 'Attribute/Informational/Def/SimpleDefinition, Red',
+      placeholder: 'Sensory-event, Def/PlaceholderDefinition/42',
+      empty: 'Sensory-event, (Red, Def/EmptyDefinition)',
+      missing: 'Sensory-event, Def/MissingDefinition',
+      missingValue: 'Def/PlaceholderDefinition',
+    }
+    const expectedResults = {
+      noDefinitions: testStrings.noDefinitions,
+      simple:
+        'Sensory-event, (Def-expand/SimpleDefinition, (Square, RGB-blue))',
+      longForm:
+        '(Attribute/Informational/Def-expand/SimpleDefinition, (Square, RGB-blue)), Red',
+      placeholder:
+        'Sensory-event, (Def-expand/PlaceholderDefinition/42, (Label/42, Square))',
+      empty: 'Sensory-event, (Red, (Def-expand/EmptyDefinition))',
+      missing: testStrings.missing,
+      missingValue: testStrings.missingValue,
+    }
+    const expectedIssues = {
+      noDefinitions: [],
+      simple: [],
+      longForm: [],
+      placeholder: [],
+      empty: [],
+      missing: [
+        generateConverterIssue(
+          'missingDefinition',
+          testStrings.missing,
+          { definition: 'MissingDefinition' },
+          [15, 36],
+        ),
+      ],
+      missingValue: [
+        generateConverterIssue(
+          'missingPlaceholderValue',
+          testStrings.missingValue,
+          { definition: 'PlaceholderDefinition' },
+          [0, 25],
+        ),
+      ],
+    }
+    return validatorBase(
+      testStrings,
+      expectedResults,
+      expectedIssues,
+      converter.expandHedStringDefinitions,
+    )
+  })
+
+  it('should replace Def-expand groups with Def tags', () => {
+    const testStrings = {
+      noDefinitions: 'Sensory-event, (Square, Red)',
+      simple:
+        'Sensory-event, (Def-expand/SimpleDefinition, (Square, RGB-blue))',
+      longForm:
+        '(Attribute/Informational/Def-expand/SimpleDefinition, (Square, RGB-blue)), Red',
+      placeholder:
+        'Sensory-event, ((Label/42, Square), Def-expand/PlaceholderDefinition/42)',
+      empty: 'Sensory-event, (Red, (Def-expand/EmptyDefinition))',
+    }
+    const expectedResults = {
+      noDefinitions: testStrings.noDefinitions,
+      simple: 'Sensory-event, Def/SimpleDefinition',
+      longForm: 'Attribute/Informational/Def/SimpleDefinition, Red',
+      placeholder: 'Sensory-event, Def/PlaceholderDefinition/42',
+      empty: 'Sensory-event, (Red, Def/EmptyDefinition)',
+    }
+    const expectedIssues = {
+      noDefinitions: [],
+      simple: [],
+      longForm: [],
+      placeholder: [],
+      empty: [],
+    }
+    return validatorBase(
+      testStrings,
+      expectedResults,
+      expectedIssues,
+      (schemas, hedString) => {
+        return converter.collapseHedStringDefinitions(schemas, hedString)
+      },
+    )
+  })
 })
@@ -8,7 +8,7 @@ const { Schemas } = require('../utils/schema')
 
 describe('HED string and event validation', () => {
   describe('Later HED-2G schemas', () => {
-    const hedSchemaFile = 'tests/data/HED7.1.1.xml'
+    const hedSchemaFile = 'data/HED7.1.1.xml'
     let hedSchemaPromise
 
     beforeAll(() => {
@@ -282,6 +282,7 @@ describe('HED string and event validation', () => {
               testStrings.red,
               {
                 parentTag: 'Attribute/Visual/Color/Red',
+                suggestions: ['Attribute/Visual/Color/Red'],
               },
               [10, 13],
             ),
@@ -292,6 +293,7 @@ describe('HED string and event validation', () => {
               testStrings.redAndBlue,
               {
                 parentTag: 'Attribute/Visual/Color/Red',
+                suggestions: ['Attribute/Visual/Color/Red'],
               },
               [10, 13],
             ),
@@ -300,6 +302,7 @@ describe('HED string and event validation', () => {
               testStrings.redAndBlue,
               {
                 parentTag: 'Attribute/Visual/Color/Blue',
+                suggestions: ['Attribute/Visual/Color/Blue'],
               },
               [25, 29],
             ),
@@ -307,6 +310,38 @@ describe('HED string and event validation', () => {
         }
         return validatorSemantic(testStrings, expectedIssues)
       })
+
+      it('should suggest the schema locations of misplaced nodes', () => {
+        const testStrings = {
+          topLevel: 'Red/Event',
+          misspelledParent: 'Event/Categry/Experimental stimulus',
+        }
+        const expectedIssues = {
+          topLevel: [
+            converterGenerateIssue(
+              'invalidParentNode',
+              testStrings.topLevel,
+              {
+                parentTag: 'Event',
+                suggestions: ['Event'],
+              },
+              [4, 9],
+            ),
+          ],
+          misspelledParent: [
+            converterGenerateIssue(
+              'invalidParentNode',
+              testStrings.misspelledParent,
+              {
+                parentTag: 'Event/Category/Experimental stimulus',
+                suggestions: ['Event/Category/Experimental stimulus'],
+              },
+              [14, 35],
+            ),
+          ],
+        }
+        return validatorSemantic(testStrings, expectedIssues)
+      })
     })
 
     describe('Individual HED Tags', () => {
@@ -468,6 +503,7 @@ describe('HED string and event validation', () => {
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectUnit,
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           incorrectNonNumericValue: [
@@ -479,30 +515,35 @@ describe('HED string and event validation', () => {
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectPluralUnit,
               unitClassUnits: legalFrequencyUnits.sort().join(','),
+              suggestions: ['hertz'],
             }),
           ],
           incorrectSymbolCapitalizedUnit: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectSymbolCapitalizedUnit,
               unitClassUnits: legalFrequencyUnits.sort().join(','),
+              suggestions: ['Hz'],
             }),
           ],
           incorrectSymbolCapitalizedUnitModifier: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectSymbolCapitalizedUnitModifier,
               unitClassUnits: legalFrequencyUnits.sort().join(','),
+              suggestions: ['kHz'],
             }),
           ],
           incorrectNonSIUnitModifier: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectNonSIUnitModifier,
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           incorrectNonSIUnitSymbolModifier: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectNonSIUnitSymbolModifier,
               unitClassUnits: legalSpeedUnits.sort().join(','),
+              suggestions: ['kph'],
             }),
           ],
           notRequiredNumber: [],
@@ -720,7 +761,10 @@ describe('HED string and event validation', () => {
             converterGenerateIssue(
               'invalidParentNode',
               testStrings.wrongLocation,
-              { parentTag: 'Item/Object/Person' },
+              {
+                parentTag: 'Item/Object/Person',
+                suggestions: ['Item/Object/Person'],
+              },
               [7, 13],
             ),
             generateIssue('invalidPlaceholder', {
@@ -832,6 +876,7 @@ describe('HED string and event validation', () => {
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectUnit,
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           incorrectNonNumericValue: [
@@ -843,12 +888,14 @@ describe('HED string and event validation', () => {
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectUnitWord,
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           incorrectModifier: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectModifier,
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           notRequiredNumber: [],
@@ -866,7 +913,7 @@ describe('HED string and event validation', () => {
   })
 
   describe('HED-3G schemas', () => {
-    const hedSchemaFile = 'tests/data/HED8.0.0-alpha.3.xml'
+    const hedSchemaFile = 'data/HED8.0.0-alpha.3.xml'
     let hedSchemaPromise
 
     beforeAll(() => {
@@ -950,6 +997,7 @@ describe('HED string and event validation', () => {
             generateIssue('unitClassInvalidUnit', {
               tag: 'Duration/20 cm',
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           duplicateSame: [
@@ -984,6 +1032,9 @@ describe('HED string and event validation', () => {
               testStrings.red,
               {
                 parentTag: 'Attribute/Sensory/Visual/Color/RGB-color/RGB-red',
+                suggestions: [
+                  'Attribute/Sensory/Visual/Color/RGB-color/RGB-red',
+                ],
               },
               [10, 17],
             ),
@@ -994,6 +1045,9 @@ describe('HED string and event validation', () => {
               testStrings.redAndBlue,
               {
                 parentTag: 'Attribute/Sensory/Visual/Color/RGB-color/RGB-red',
+                suggestions: [
+                  'Attribute/Sensory/Visual/Color/RGB-color/RGB-red',
+                ],
               },
               [10, 17],
             ),
@@ -1002,6 +1056,9 @@ describe('HED string and event validation', () => {
               testStrings.redAndBlue,
               {
                 parentTag: 'Attribute/Sensory/Visual/Color/RGB-color/RGB-blue',
+                suggestions: [
+                  'Attribute/Sensory/Visual/Color/RGB-color/RGB-blue',
+                ],
               },
               [29, 37],
             ),
@@ -1009,6 +1066,45 @@ describe('HED string and event validation', () => {
         }
         return validator(testStrings, expectedIssues)
       })
+
+      it('should not have unexpanded column references', () => {
+        const testStrings = {
+          topLevel: 'Car, {response_time}',
+          group: '(Car, {stim_file}), Train',
+        }
+        const expectedIssues = {
+          topLevel: [
+            generateIssue('unexpandedColumnReference', {
+              column: 'response_time',
+            }),
+          ],
+          group: [
+            generateIssue('unexpandedColumnReference', {
+              column: 'stim_file',
+            }),
+          ],
+        }
+        return validator(testStrings, expectedIssues)
+      })
+
+      it('should only allow column references in sidecar strings', () => {
+        const testString = '{response_time}, Event'
+        return hedSchemaPromise.then((hedSchemas) => {
+          const [, stringIssues] = hed.validateHedString(testString, hedSchemas)
+          assert.sameDeepMembers(stringIssues, [
+            generateIssue('unexpandedColumnReference', {
+              column: 'response_time',
+            }),
+          ])
+          const [, sidecarIssues] = hed.validateHedString(
+            testString,
+            hedSchemas,
+            false,
+            true,
+          )
+          assert.isEmpty(sidecarIssues)
+        })
+      })
     })
 
     describe('Individual HED Tags', () => {
@@ -1108,6 +1204,7 @@ describe('HED string and event validation', () => {
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectUnit,
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           incorrectNonNumericValue: [
@@ -1119,30 +1216,35 @@ describe('HED string and event validation', () => {
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectPluralUnit,
               unitClassUnits: legalFrequencyUnits.sort().join(','),
+              suggestions: ['hertz'],
             }),
           ],
           incorrectSymbolCapitalizedUnit: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectSymbolCapitalizedUnit,
               unitClassUnits: legalFrequencyUnits.sort().join(','),
+              suggestions: ['Hz'],
             }),
           ],
           incorrectSymbolCapitalizedUnitModifier: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectSymbolCapitalizedUnitModifier,
               unitClassUnits: legalFrequencyUnits.sort().join(','),
+              suggestions: ['kHz'],
             }),
           ],
           incorrectNonSIUnitModifier: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectNonSIUnitModifier,
               unitClassUnits: legalTimeUnits.sort().join(','),
+              suggestions: ['s'],
             }),
           ],
           incorrectNonSIUnitSymbolModifier: [
             generateIssue('unitClassInvalidUnit', {
               tag: testStrings.incorrectNonSIUnitSymbolModifier,
               unitClassUnits: legalSpeedUnits.sort().join(','),
+              suggestions: ['kph'],
             }),
           ],
           notRequiredNumber: [],
@@ -1364,4 +1466,189 @@ describe('HED string and event validation', () => {
       })
     })
   })
+
+  describe('HED-3G library schemas', () => {
+    const hedSchemaFile = 'data/HED8.0.0-alpha.3.xml'
+    const librarySchemaFile = 'tests/data/HED_testlib_1.0.0.xml'
+    let hedSchemaPromise
+
+    beforeAll(() => {
+      hedSchemaPromise = schema.buildSchemas([
+        { path: hedSchemaFile },
+        { path: librarySchemaFile, prefix: 'tl' },
+      ])
+    })
+
+    const validator = function (testStrings, expectedIssues) {
+      return hedSchemaPromise.then((schemas) => {
+        for (const testStringKey of Object.keys(testStrings)) {
+          const [, testIssues] = hed.validateHedEvent(
+            testStrings[testStringKey],
+            schemas,
+            false,
+          )
+          assert.sameDeepMembers(
+            testIssues,
+            expectedIssues[testStringKey],
+            testStrings[testStringKey],
+          )
+        }
+      })
+    }
+
+    it('should validate prefixed tags against their library schema', () => {
+      const testStrings = {
+        valid: 'Sensory-event, tl:Seizure-onset, (tl:Spike-rate/5 Hz, Red)',
+        extension: 'tl:Seizure/Absence',
+        requireChild: 'Sensory-event, tl:Finding-category',
+        invalidUnit: 'tl:Spike-rate/5 m',
+        multipleUnique: 'tl:Awake, tl:Asleep, Sensory-event',
+        duplicate: 'tl:Seizure, tl:Clinical-finding/Seizure',
+      }
+      const expectedIssues = {
+        valid: [],
+        extension: [],
+        requireChild: [
+          generateIssue('childRequired', { tag: 'tl:Finding-category' }),
+        ],
+        invalidUnit: [
+          generateIssue('unitClassInvalidUnit', {
+            tag: testStrings.invalidUnit,
+            unitClassUnits: 'Hz',
+            suggestions: ['Hz'],
+          }),
+        ],
+        multipleUnique: [
+          generateIssue('multipleUniqueTags', { tag: 'recording-state' }),
+        ],
+        duplicate: [
+          generateIssue('duplicateTag', {
+            tag: 'tl:Clinical-finding/Seizure',
+          }),
+        ],
+      }
+      return validator(testStrings, expectedIssues)
+    })
+
+    it('should not resolve tags outside of their schema', () => {
+      const testStrings = {
+        baseInLibrary: 'tl:Red',
+        unknownPrefix: 'Red, xy:Seizure',
+      }
+      const expectedIssues = {
+        baseInLibrary: [
+          converterGenerateIssue(
+            'invalidTag',
+            testStrings.baseInLibrary,
+            {},
+            [3, 6],
+          ),
+        ],
+        unknownPrefix: [
+          converterGenerateIssue(
+            'unknownPrefix',
+            testStrings.unknownPrefix,
+            { prefix: 'xy' },
+            [5, 15],
+          ),
+        ],
+      }
+      return validator(testStrings, expectedIssues)
+    })
+
+    it('should suggest close schema tags and units for invalid tags', () => {
+      const testStrings = {
+        misspelledTag: 'tl:Seizur',
+        pluralChild: 'tl:Finding-category/Abnormals',
+        capitalizedUnit: 'tl:Spike-rate/5 HZ',
+        misspelledUnitSymbol: 'Duration/3 ms2',
+        unknownTag: 'Sensory-event/Nonsense',
+      }
+      const expectedIssues = {
+        misspelledTag: [
+          converterGenerateIssue(
+            'invalidTag',
+            testStrings.misspelledTag,
+            { suggestions: ['Seizure'] },
+            [3, 9],
+          ),
+        ],
+        pluralChild: [
+          generateIssue('invalidTag', {
+            tag: testStrings.pluralChild,
+            suggestions: ['tl:Finding-category/Abnormal'],
+          }),
+        ],
+        capitalizedUnit: [
+          generateIssue('unitClassInvalidUnit', {
+            tag: testStrings.capitalizedUnit,
+            unitClassUnits: 'Hz',
+            suggestions: ['Hz'],
+          }),
+        ],
+        misspelledUnitSymbol: [
+          generateIssue('unitClassInvalidUnit', {
+            tag: testStrings.misspelledUnitSymbol,
+            unitClassUnits: 'day,hour,minute,s,second',
+            suggestions: ['ms'],
+          }),
+        ],
+        unknownTag: [
+          generateIssue('invalidTag', { tag: testStrings.unknownTag }),
+        ],
+      }
+      return validator(testStrings, expectedIssues)
+    })
+
+    it('should validate strings without a base schema', () => {
+      return Promise.all([
+        schema.buildSchemas([{ path: librarySchemaFile, prefix: 'tl' }]),
+        schema.buildSchemas([]),
+      ]).then(([librarySchemas, emptySchemas]) => {
+        const testStrings = {
+          libraryValid: 'tl:Seizure-onset, (tl:Spike-rate/5 Hz)',
+          libraryRequireChild: 'tl:Finding-category',
+          libraryUnprefixed: 'Red',
+          empty: 'Sensory-event, (Red, Square)',
+        }
+        const testSchemas = {
+          libraryValid: librarySchemas,
+          libraryRequireChild: librarySchemas,
+          libraryUnprefixed: librarySchemas,
+          empty: emptySchemas,
+        }
+        const expectedIssues = {
+          libraryValid: [],
+          libraryRequireChild: [
+            generateIssue('childRequired', { tag: 'tl:Finding-category' }),
+          ],
+          libraryUnprefixed: [
+            converterGenerateIssue(
+              'unknownPrefix',
+              testStrings.libraryUnprefixed,
+              { prefix: '' },
+              [0, 3],
+            ),
+          ],
+          empty: [],
+        }
+        for (const testStringKey of Object.keys(testStrings)) {
+          for (const validate of [
+            hed.validateHedEvent,
+            hed.validateHedString,
+          ]) {
+            const [, testIssues] = validate(
+              testStrings[testStringKey],
+              testSchemas[testStringKey],
+            )
+            assert.sameDeepMembers(
+              testIssues,
+              expectedIssues[testStringKey],
+              testStringKey,
+            )
+          }
+        }
+      })
+    })
+  })
 })
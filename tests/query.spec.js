@@ -0,0 +1,324 @@
+const assert = require('chai').assert
+const { parseQuery, searchHedString } = require('../query/query')
+const schema = require('../validator/schema')
+const { parseHedString } = require('../validator/stringParser')
+const { generateIssue } = require('../utils/issues')
+
+describe('HED queries', () => {
+  const hedSchemaFile = 'data/HED8.0.0-alpha.3.xml'
+  let hedSchemaPromise
+
+  beforeAll(() => {
+    hedSchemaPromise = schema.buildSchema({ path: hedSchemaFile })
+  })
+
+  /**
+   * Search each test string with a query and compare the matched tags and groups.
+   */
+  const validator = function (queryString, testStrings, expectedResults) {
+    return hedSchemaPromise.then((hedSchemas) => {
+      const [query, queryIssues] = parseQuery(queryString, hedSchemas)
+      assert.isEmpty(queryIssues, queryString)
+      for (const testStringKey of Object.keys(testStrings)) {
+        const [result, issues] = searchHedString(
+          query,
+          testStrings[testStringKey],
+          hedSchemas,
+        )
+        assert.isEmpty(issues, testStrings[testStringKey])
+        const expectedResult = expectedResults[testStringKey]
+        assert.strictEqual(
+          result.matched,
+          expectedResult.matched,
+          testStrings[testStringKey],
+        )
+        assert.sameMembers(
+          result.tags.map((tag) => tag.originalTag),
+          expectedResult.tags || [],
+          testStrings[testStringKey],
+        )
+        assert.sameMembers(
+          result.groups.map((group) => group.originalTag),
+          expectedResult.groups || [],
+          testStrings[testStringKey],
+        )
+      }
+    })
+  }
+
+  describe('Tag matching', () => {
+    it('should match tags and their descendants in short or long form', () => {
+      const testStrings = {
+        exact: 'Agent, Red',
+        child: 'Animal-agent, Red',
+        longChild: 'Agent/Animal-agent, Red',
+        none: 'Red',
+        nested: 'Red, (Square, (Animal-agent))',
+        extension: 'Agent/Animal-agent/Dog',
+      }
+      const expectedResults = {
+        exact: { matched: true, tags: ['Agent'] },
+        child: { matched: true, tags: ['Animal-agent'] },
+        longChild: { matched: true, tags: ['Agent/Animal-agent'] },
+        none: { matched: false },
+        nested: { matched: true, tags: ['Animal-agent'] },
+        extension: { matched: true, tags: ['Agent/Animal-agent/Dog'] },
+      }
+      return Promise.all([
+        validator('Agent', testStrings, expectedResults),
+        validator('agent', testStrings, expectedResults),
+      ])
+    })
+
+    it('should match long-form query terms and tag values', () => {
+      const testStrings = {
+        fixation: 'Sensory-event, Def/Fixation',
+        other: 'Sensory-event, Def/Response',
+        longForm: 'Attribute/Informational/Def/Fixation',
+      }
+      const expectedResults = {
+        fixation: { matched: true, tags: ['Def/Fixation'] },
+        other: { matched: false },
+        longForm: {
+          matched: true,
+          tags: ['Attribute/Informational/Def/Fixation'],
+        },
+      }
+      return validator(
+        'Attribute/Informational/Def/Fixation',
+        testStrings,
+        expectedResults,
+      )
+    })
+
+    it('should not match tags that only share a prefix', () => {
+      const testStrings = {
+        sibling: 'Agent-action',
+      }
+      const expectedResults = {
+        sibling: { matched: false },
+      }
+      return validator('Agent', testStrings, expectedResults)
+    })
+  })
+
+  describe('Logical operators', () => {
+    it('should combine terms with "&&", "||", "~", and parentheses', () => {
+      const testStrings = {
+        visual: 'Sensory-event, Visual',
+        auditory: 'Sensory-event, Auditory, Def/Response',
+        fixation: 'Sensory-event, Visual, Def/Fixation',
+        noEvent: 'Visual',
+        neither: 'Sensory-event, Square',
+      }
+      const expectedResults = {
+        visual: { matched: true, tags: ['Sensory-event', 'Visual'] },
+        auditory: { matched: true, tags: ['Sensory-event', 'Auditory'] },
+        fixation: { matched: false },
+        noEvent: { matched: false },
+        neither: { matched: false },
+      }
+      return validator(
+        'Sensory-event && (Visual || Auditory) && ~Def/Fixation',
+        testStrings,
+        expectedResults,
+      )
+    })
+
+    it('should give "&&" precedence over "||"', () => {
+      const testStrings = {
+        first: 'Visual, Red',
+        second: 'Auditory',
+        neither: 'Visual',
+      }
+      const expectedResults = {
+        first: { matched: true, tags: ['Visual', 'Red'] },
+        second: { matched: true, tags: ['Auditory'] },
+        neither: { matched: false },
+      }
+      return validator(
+        'Visual && Red || Auditory',
+        testStrings,
+        expectedResults,
+      )
+    })
+  })
+
+  describe('Group matching', () => {
+    it('should require group-scoped tags to appear in the same group', () => {
+      const testStrings = {
+        sameGroup: 'Sensory-event, (Red, Square), Circle',
+        differentGroups: 'Sensory-event, (Red, Circle), (Blue, Square)',
+        topLevel: 'Red, Square',
+        nestedGroup: '(Triangle, (Red, Square))',
+        deeper: '(Red, (Square))',
+      }
+      const expectedResults = {
+        sameGroup: {
+          matched: true,
+          tags: ['Red', 'Square'],
+          groups: ['(Red, Square)'],
+        },
+        differentGroups: { matched: false },
+        topLevel: { matched: false },
+        nestedGroup: {
+          matched: true,
+          tags: ['Red', 'Square'],
+          groups: ['(Triangle, (Red, Square))', '(Red, Square)'],
+        },
+        deeper: {
+          matched: true,
+          tags: ['Red', 'Square'],
+          groups: ['(Red, (Square))'],
+        },
+      }
+      return validator('[Red && Square]', testStrings, expectedResults)
+    })
+
+    it('should match exact groups', () => {
+      const testStrings = {
+        exact: 'Sensory-event, (Red, Square)',
+        reordered: '(Square, Red)',
+        extraTag: '(Red, Square, Circle)',
+        extraGroup: '(Red, Square, (Circle))',
+        nested: 'Triangle, (Circle, (Red, Square))',
+      }
+      const expectedResults = {
+        exact: {
+          matched: true,
+          tags: ['Red', 'Square'],
+          groups: ['(Red, Square)'],
+        },
+        reordered: {
+          matched: true,
+          tags: ['Square', 'Red'],
+          groups: ['(Square, Red)'],
+        },
+        extraTag: { matched: false },
+        extraGroup: { matched: false },
+        nested: {
+          matched: true,
+          tags: ['Red', 'Square'],
+          groups: ['(Red, Square)'],
+        },
+      }
+      return validator('[[Red && Square]]', testStrings, expectedResults)
+    })
+
+    it('should match nested exact groups', () => {
+      const testStrings = {
+        exact: '(Circle, (Red, Square))',
+        extraTag: '(Circle, Triangle, (Red, Square))',
+        innerExtraTag: '(Circle, (Red, Square, Blue))',
+      }
+      const expectedResults = {
+        exact: {
+          matched: true,
+          tags: ['Circle', 'Red', 'Square'],
+          groups: ['(Circle, (Red, Square))', '(Red, Square)'],
+        },
+        extraTag: { matched: false },
+        innerExtraTag: { matched: false },
+      }
+      return validator(
+        '[[Circle && [[Red && Square]]]]',
+        testStrings,
+        expectedResults,
+      )
+    })
+  })
+
+  describe('Query parsing', () => {
+    it('should accept parsed HED strings', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [parsedString] = parseHedString('(Red, Square)', hedSchemas)
+        const [result, issues] = searchHedString(
+          '[Red]',
+          parsedString,
+          hedSchemas,
+        )
+        assert.isEmpty(issues)
+        assert.isTrue(result.matched)
+        assert.deepStrictEqual(result.groups, [parsedString.tagGroupStrings[0]])
+      })
+    })
+
+    it('should reject invalid queries', () => {
+      const testQueries = {
+        singleAmpersand: 'Red & Square',
+        unclosedParenthesis: '(Red || Square',
+        unclosedGroup: '[[Red && Square]',
+        danglingOperator: 'Red &&',
+        missingOperator: 'Red (Square)',
+        comma: 'Red, Square',
+      }
+      const expectedIssues = {
+        singleAmpersand: [
+          generateIssue('invalidQuery', {
+            query: testQueries.singleAmpersand,
+            index: 4,
+            reason: '"&" must be doubled',
+          }),
+        ],
+        unclosedParenthesis: [
+          generateIssue('invalidQuery', {
+            query: testQueries.unclosedParenthesis,
+            index: 14,
+            reason: 'expected ")"',
+          }),
+        ],
+        unclosedGroup: [
+          generateIssue('invalidQuery', {
+            query: testQueries.unclosedGroup,
+            index: 16,
+            reason: 'expected "]"',
+          }),
+        ],
+        danglingOperator: [
+          generateIssue('invalidQuery', {
+            query: testQueries.danglingOperator,
+            index: 6,
+            reason: 'expected a tag or expression',
+          }),
+        ],
+        missingOperator: [
+          generateIssue('invalidQuery', {
+            query: testQueries.missingOperator,
+            index: 4,
+            reason: 'unexpected token',
+          }),
+        ],
+        comma: [
+          generateIssue('invalidQuery', {
+            query: testQueries.comma,
+            index: 0,
+            reason: 'tags must be combined with "&&" or "||"',
+          }),
+        ],
+      }
+      return hedSchemaPromise.then((hedSchemas) => {
+        for (const testQueryKey of Object.keys(testQueries)) {
+          const [query, issues] = parseQuery(
+            testQueries[testQueryKey],
+            hedSchemas,
+          )
+          assert.isNull(query, testQueries[testQueryKey])
+          assert.sameDeepMembers(
+            issues,
+            expectedIssues[testQueryKey],
+            testQueries[testQueryKey],
+          )
+        }
+      })
+    })
+
+    it('should reject queries with invalid tags', () => {
+      return hedSchemaPromise.then((hedSchemas) => {
+        const [query, issues] = parseQuery('Red && Foo', hedSchemas)
+        assert.isNull(query)
+        assert.lengthOf(issues, 1)
+        assert.strictEqual(issues[0].code, 'invalidTag')
+      })
+    })
+  })
+})
@@ -1,6 +1,25 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const assert = require('chai').assert
+const xml2js = require('xml2js')
 const schema = require('../validator/schema')
+const { validateHedString } = require('../validator/event')
+const { validateSchema } = require('../validator/schemaCompliance')
+const {
+  AttributeChange,
+  diffSchemas,
+  formatSchemaChangelog,
+} = require('../validator/schemaDiff')
+const {
+  schemaFromJson,
+  schemaToJson,
+  schemaToXml,
+} = require('../validator/schemaSerializer')
 const schemaUtils = require('../utils/schema')
+const { parseMediawikiSchema } = require('../utils/mediawiki')
+const { generateIssue } = require('../utils/issues')
+const { SchemaStore } = require('../utils/schemaStore')
 
 describe('HED schemas', () => {
   describe('Remote HED schemas', () => {
@@ -16,7 +35,7 @@ describe('HED schemas', () => {
   })
 
   describe('Local HED schemas', () => {
-    const localHedSchemaFile = 'tests/data/HED7.1.1.xml'
+    const localHedSchemaFile = 'data/HED7.1.1.xml'
     const localHedSchemaVersion = '7.1.1'
     it('can be loaded from a file', () => {
       return schema
@@ -28,6 +47,176 @@ describe('HED schemas', () => {
     })
   })
 
+  describe('HED schema stores', () => {
+    const offlineFetch = function (url) {
+      return Promise.reject(new Error('No network access for ' + url))
+    }
+    let tempDirectory
+
+    beforeEach(() => {
+      tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'hed-schemas-'))
+    })
+
+    afterEach(() => {
+      for (const fileName of fs.readdirSync(tempDirectory)) {
+        fs.unlinkSync(path.join(tempDirectory, fileName))
+      }
+      fs.rmdirSync(tempDirectory)
+    })
+
+    it('should load schema versions from the local schema directory offline', () => {
+      fs.copyFileSync(
+        'tests/data/HED7.0.4.xml',
+        path.join(tempDirectory, 'HED7.1.1.xml'),
+      )
+      const store = new SchemaStore({
+        localDirectory: tempDirectory,
+        cacheDirectory: null,
+        fetch: offlineFetch,
+      })
+      return schema
+        .buildSchema({ version: '7.1.1', store: store })
+        .then((hedSchemas) => {
+          assert.strictEqual(hedSchemas.baseSchema.version, '7.0.4')
+        })
+    })
+
+    it('should load bundled schema versions offline', () => {
+      const store = new SchemaStore({ fetch: offlineFetch })
+      return schema
+        .buildSchema({ version: '8.0.0-alpha.3', store: store })
+        .then((hedSchemas) => {
+          assert.strictEqual(hedSchemas.baseSchema.version, '8.0.0-alpha.3')
+          assert.isTrue(hedSchemas.isHed3)
+        })
+    })
+
+    it('should cache remotely fetched schemas', () => {
+      const fetchedUrls = []
+      const fetch = function (url) {
+        fetchedUrls.push(url)
+        return Promise.resolve(fs.readFileSync('data/HED7.1.1.xml', 'utf8'))
+      }
+      const store = new SchemaStore({
+        cacheDirectory: tempDirectory,
+        fetch: fetch,
+      })
+      return schema
+        .buildSchema({ version: '7.2.0', store: store })
+        .then((hedSchemas) => {
+          assert.strictEqual(hedSchemas.baseSchema.version, '7.1.1')
+          assert.deepStrictEqual(fetchedUrls, [
+            'https://raw.githubusercontent.com/hed-standard/hed-specification/master/hedxml/HED7.2.0.xml',
+          ])
+          assert.isTrue(fs.existsSync(path.join(tempDirectory, 'HED7.2.0.xml')))
+          const offlineStore = new SchemaStore({
+            cacheDirectory: tempDirectory,
+            fetch: offlineFetch,
+          })
+          return schema.buildSchema({ version: '7.2.0', store: offlineStore })
+        })
+        .then((hedSchemas) => {
+          assert.strictEqual(hedSchemas.baseSchema.version, '7.1.1')
+        })
+    })
+
+    it('should only cache schemas when a cache directory is given', () => {
+      const fetchedUrls = []
+      const fetch = function (url) {
+        fetchedUrls.push(url)
+        return Promise.resolve(fs.readFileSync('data/HED7.1.1.xml', 'utf8'))
+      }
+      const store = new SchemaStore({ fetch: fetch })
+      assert.isNull(store.cacheDirectory)
+      return schema
+        .buildSchema({ version: '7.2.0', store: store })
+        .then(() => {
+          return schema.buildSchema({ version: '7.2.0', store: store })
+        })
+        .then((hedSchemas) => {
+          assert.strictEqual(hedSchemas.baseSchema.version, '7.1.1')
+          assert.lengthOf(fetchedUrls, 2)
+        })
+    })
+
+    it('should report schemas that cannot be found anywhere', () => {
+      const store = new SchemaStore({
+        cacheDirectory: tempDirectory,
+        fetch: offlineFetch,
+      })
+      return schema.buildSchema({ version: '7.2.0', store: store }).then(
+        () => {
+          assert.fail('The schema should not have loaded.')
+        },
+        (error) => {
+          assert.include(error.message, 'HED7.2.0.xml')
+          assert.isEmpty(fs.readdirSync(tempDirectory))
+        },
+      )
+    })
+
+    it('should load library schemas alongside the base schema', () => {
+      const store = new SchemaStore({
+        localDirectory: 'tests/data',
+        cacheDirectory: null,
+        fetch: offlineFetch,
+      })
+      return schema
+        .buildSchemas([
+          { version: '8.0.0-alpha.3', store: store },
+          { library: 'testlib', version: '1.0.0', prefix: 'tl', store: store },
+        ])
+        .then((hedSchemas) => {
+          assert.strictEqual(hedSchemas.baseSchema.version, '8.0.0-alpha.3')
+          assert.hasAllKeys(hedSchemas.librarySchemas, ['tl'])
+          const librarySchema = hedSchemas.librarySchemas.tl
+          assert.strictEqual(librarySchema.library, 'testlib')
+          assert.strictEqual(librarySchema.version, '1.0.0')
+          assert.isTrue(librarySchema.isHed3)
+          assert.isTrue(
+            librarySchema.attributes.tagHasAttribute(
+              'finding-category',
+              'requireChild',
+            ),
+          )
+        })
+    })
+
+    it('should load library schemas without a base schema', () => {
+      return schema
+        .buildSchemas([
+          { path: 'tests/data/HED_testlib_1.0.0.xml', prefix: 'tl' },
+        ])
+        .then((hedSchemas) => {
+          assert.isNull(hedSchemas.baseSchema)
+          assert.isTrue(hedSchemas.isHed3)
+          assert.hasAllKeys(hedSchemas.librarySchemas, ['tl'])
+          const [isValid, issues] = validateHedString(
+            'tl:Seizure, tl:Spike-rate/5 Hz',
+            hedSchemas,
+          )
+          assert.isEmpty(issues)
+          assert.isTrue(isValid)
+        })
+    })
+
+    it('should require exactly one schema per prefix', () => {
+      return schema
+        .buildSchemas([
+          { path: 'tests/data/HED_testlib_1.0.0.xml', prefix: 'tl' },
+          { path: 'tests/data/HED_testlib_1.0.0.xml', prefix: 'tl' },
+        ])
+        .then(
+          () => {
+            assert.fail('The schemas should not have loaded.')
+          },
+          (error) => {
+            assert.include(error.message, 'prefix')
+          },
+        )
+    })
+  })
+
   /*
   describe('Remote HED library schemas', function() {
     it('can be loaded from a central GitHub repository', function() {
@@ -48,7 +237,7 @@ describe('HED schemas', () => {
   */
 
   describe('HED-2G schemas', () => {
-    const localHedSchemaFile = 'tests/data/HED7.1.1.xml'
+    const localHedSchemaFile = 'data/HED7.1.1.xml'
     let hedSchemaPromise
 
     beforeAll(() => {
@@ -314,7 +503,7 @@ describe('HED schemas', () => {
   })
 
   describe('HED-3G schemas', () => {
-    const localHedSchemaFile = 'tests/data/HED8.0.0-alpha.3.xml'
+    const localHedSchemaFile = 'data/HED8.0.0-alpha.3.xml'
     let hedSchemaPromise
 
     beforeAll(() => {
@@ -468,4 +657,618 @@ describe('HED schemas', () => {
       })
     })
   })
+
+  describe('HED schema compliance', () => {
+    const invalidSchemaXml = `<?xml version="1.0" ?>
+<HED library="broken" version="1.0.0">
+   <node>
+      <name>Finding</name>
+      <attribute>
+         <name>colour</name>
+      </attribute>
+      <node>
+         <name>Rate</name>
+         <node>
+            <name>#</name>
+            <attribute>
+               <name>unitClass</name>
+               <value>speed</value>
+            </attribute>
+         </node>
+         <node>
+            <name>Fast</name>
+         </node>
+      </node>
+      <node>
+         <name>Bad name</name>
+      </node>
+   </node>
+   <node>
+      <name>Other</name>
+      <node>
+         <name>finding</name>
+      </node>
+   </node>
+   <unitClassDefinitions>
+      <unitClassDefinition>
+         <name>frequency</name>
+         <attribute>
+            <name>defaultUnits</name>
+            <value>kHz</value>
+         </attribute>
+         <unit>
+            <name>Hz</name>
+         </unit>
+      </unitClassDefinition>
+   </unitClassDefinitions>
+   <schemaAttributeDefinitions>
+      <schemaAttributeDefinition>
+         <name>defaultUnits</name>
+      </schemaAttributeDefinition>
+      <schemaAttributeDefinition>
+         <name>unitClass</name>
+      </schemaAttributeDefinition>
+   </schemaAttributeDefinitions>
+</HED>`
+
+    it('should accept valid schemas', () => {
+      return schema
+        .buildSchema({ path: 'tests/data/HED_testlib_1.0.0.xml' })
+        .then((hedSchemas) => {
+          const [isValid, issues] = validateSchema(hedSchemas.baseSchema)
+          assert.isTrue(isValid)
+          assert.isEmpty(issues)
+        })
+    })
+
+    it('should report problems in the schema itself', () => {
+      return xml2js
+        .parseStringPromise(invalidSchemaXml, { explicitCharkey: true })
+        .then((xmlData) => {
+          const [isValid, issues] = validateSchema(xmlData)
+          assert.isFalse(isValid)
+          assert.sameDeepMembers(issues, [
+            generateIssue('duplicateSchemaNode', {
+              tag: 'Finding',
+              paths: 'Finding", "Other/finding',
+            }),
+            generateIssue('invalidSchemaNodeName', {
+              tag: 'Finding/Bad name',
+              name: 'Bad name',
+            }),
+            generateIssue('placeholderWithSiblings', {
+              tag: 'Finding/Rate/#',
+            }),
+            generateIssue('undeclaredSchemaAttribute', {
+              attribute: 'colour',
+              element: 'Finding',
+            }),
+            generateIssue('unknownSchemaUnitClass', {
+              tag: 'Finding/Rate/#',
+              unitClass: 'speed',
+            }),
+            generateIssue('invalidSchemaDefaultUnit', {
+              unitClass: 'frequency',
+              unit: 'kHz',
+            }),
+          ])
+        })
+    })
+
+    it('should only check HED 3 format schemas', () => {
+      return schemaUtils
+        .loadSchema({ path: 'data/HED7.1.1.xml' })
+        .then((xmlData) => {
+          const [isValid, issues] = validateSchema(xmlData)
+          assert.isFalse(isValid)
+          assert.deepStrictEqual(issues, [
+            generateIssue('unsupportedSchemaFormat', { version: '7.1.1' }),
+          ])
+        })
+    })
+  })
+
+  describe('HED schema diffs', () => {
+    const testlibSchemaFile = 'tests/data/HED_testlib_1.0.0.xml'
+    const buildModifiedSchema = function (replacements) {
+      let schemaText = fs.readFileSync(testlibSchemaFile, 'utf8')
+      for (const [oldText, newText] of replacements) {
+        schemaText = schemaText.replace(oldText, newText)
+      }
+      return xml2js
+        .parseStringPromise(schemaText, { explicitCharkey: true })
+        .then(schema.buildSchemaObject)
+    }
+
+    it('should report no changes between identical schemas', () => {
+      return Promise.all([
+        schema.buildSchema({ path: testlibSchemaFile }),
+        buildModifiedSchema([]),
+      ]).then(([hedSchemas, newSchema]) => {
+        const diff = diffSchemas(hedSchemas.baseSchema, newSchema)
+        assert.isEmpty(diff.addedTags)
+        assert.isEmpty(diff.removedTags)
+        assert.isEmpty(diff.movedTags)
+        assert.isEmpty(diff.changedTags)
+        assert.deepStrictEqual(diff.unitClasses, {
+          added: [],
+          removed: [],
+          changed: [],
+        })
+        assert.strictEqual(
+          formatSchemaChangelog(diff),
+          'Changes from HED testlib_1.0.0 to testlib_1.0.0:\n\nNo changes.\n',
+        )
+      })
+    })
+
+    it('should list added, removed, moved and changed schema entries', () => {
+      return Promise.all([
+        schema.buildSchema({ path: testlibSchemaFile }),
+        buildModifiedSchema([
+          ['version="1.0.0"', 'version="1.1.0"'],
+          [
+            `         <node>
+            <name>Seizure-onset</name>
+            <description>The start of a seizure.</description>
+         </node>
+`,
+            '',
+          ],
+          [
+            `      <node>
+         <name>Asleep</name>`,
+            `      <node>
+         <name>Seizure-onset</name>
+      </node>
+      <node>
+         <name>Drowsy</name>`,
+          ],
+          [
+            `      <attribute>
+         <name>unique</name>
+      </attribute>
+`,
+            '',
+          ],
+          [
+            `            <name>Hz</name>
+`,
+            `            <name>Hz</name>
+         </unit>
+         <unit>
+            <name>kHz</name>
+`,
+          ],
+          ['<name>k</name>', '<name>M</name>'],
+        ]),
+      ]).then(([hedSchemas, newSchema]) => {
+        const diff = diffSchemas(hedSchemas.baseSchema, newSchema)
+        assert.strictEqual(diff.oldVersion, 'testlib_1.0.0')
+        assert.strictEqual(diff.newVersion, 'testlib_1.1.0')
+        assert.deepStrictEqual(diff.addedTags, ['Recording-state/Drowsy'])
+        assert.deepStrictEqual(diff.removedTags, ['Recording-state/Asleep'])
+        assert.deepStrictEqual(diff.movedTags, [
+          {
+            shortTag: 'Seizure-onset',
+            oldLongTag: 'Clinical-finding/Seizure/Seizure-onset',
+            newLongTag: 'Recording-state/Seizure-onset',
+          },
+        ])
+        assert.deepStrictEqual(diff.changedTags, [
+          {
+            tag: 'Recording-state',
+            changes: [new AttributeChange('unique', true, null)],
+          },
+          {
+            tag: 'Recording-state/Seizure-onset',
+            changes: [new AttributeChange('extensionAllowed', true, null)],
+          },
+        ])
+        assert.deepStrictEqual(diff.unitClasses, {
+          added: [],
+          removed: [],
+          changed: [
+            {
+              unitClass: 'frequency',
+              addedUnits: ['kHz'],
+              removedUnits: [],
+              changes: [],
+            },
+          ],
+        })
+        assert.deepStrictEqual(diff.unitModifiers, {
+          added: ['M'],
+          removed: ['k'],
+          changed: [],
+        })
+        assert.strictEqual(
+          formatSchemaChangelog(diff),
+          `Changes from HED testlib_1.0.0 to testlib_1.1.0:
+
+Added tags:
+  - Recording-state/Drowsy
+
+Removed tags:
+  - Recording-state/Asleep
+
+Moved tags:
+  - Seizure-onset: Clinical-finding/Seizure/Seizure-onset -> Recording-state/Seizure-onset
+
+Changed tag attributes:
+  - Recording-state: removed unique
+  - Recording-state/Seizure-onset: removed extensionAllowed
+
+Unit classes:
+  - frequency: added units kHz
+
+Unit modifiers:
+  - added M
+  - removed k
+`,
+        )
+      })
+    })
+  })
+
+  describe('HED schema serialization', () => {
+    const testlibSchemaFile = 'tests/data/HED_testlib_1.0.0.xml'
+
+    it('should export schemas to JSON', () => {
+      return schema
+        .buildSchema({ path: testlibSchemaFile })
+        .then((hedSchemas) => {
+          const json = schemaToJson(hedSchemas.baseSchema)
+          assert.strictEqual(json.version, '1.0.0')
+          assert.strictEqual(json.library, 'testlib')
+          assert.deepStrictEqual(
+            json.tags.map((tag) => tag.path),
+            [
+              'Clinical-finding',
+              'Clinical-finding/Seizure',
+              'Clinical-finding/Seizure/Seizure-onset',
+              'Clinical-finding/Spike-rate',
+              'Clinical-finding/Spike-rate/#',
+              'Finding-category',
+              'Finding-category/Normal',
+              'Finding-category/Abnormal',
+              'Recording-state',
+              'Recording-state/Awake',
+              'Recording-state/Asleep',
+            ],
+          )
+          assert.deepStrictEqual(json.tags[4], {
+            path: 'Clinical-finding/Spike-rate/#',
+            description: '',
+            attributes: {
+              takesValue: true,
+              isNumeric: true,
+              unitClass: ['frequency'],
+            },
+          })
+          assert.deepStrictEqual(json.unitClasses, [
+            {
+              name: 'frequency',
+              description: '',
+              attributes: { defaultUnits: ['Hz'] },
+              units: [
+                {
+                  name: 'Hz',
+                  description: '',
+                  attributes: { SIUnit: true, unitSymbol: true },
+                },
+              ],
+            },
+          ])
+          assert.deepStrictEqual(json.unitModifiers, [
+            {
+              name: 'k',
+              description: 'SI unit multiple representing 10^3',
+              attributes: { SIUnitSymbolModifier: true },
+            },
+          ])
+          assert.deepStrictEqual(json.schemaAttributes[0].properties, [
+            'unitClassProperty',
+          ])
+        })
+    })
+
+    it('should build the same schema from its JSON form', () => {
+      return schema
+        .buildSchema({ path: testlibSchemaFile })
+        .then((hedSchemas) => {
+          const json = JSON.parse(
+            JSON.stringify(schemaToJson(hedSchemas.baseSchema)),
+          )
+          const jsonSchema = schemaFromJson(json)
+          assert.strictEqual(jsonSchema.version, '1.0.0')
+          assert.strictEqual(jsonSchema.library, 'testlib')
+          assert.isTrue(jsonSchema.isHed3)
+          assert.deepStrictEqual(
+            jsonSchema.attributes.tagAttributes,
+            hedSchemas.baseSchema.attributes.tagAttributes,
+          )
+          assert.deepStrictEqual(
+            jsonSchema.attributes.unitClasses,
+            hedSchemas.baseSchema.attributes.unitClasses,
+          )
+          assert.deepStrictEqual(
+            jsonSchema.mapping,
+            hedSchemas.baseSchema.mapping,
+          )
+        })
+    })
+
+    it('should write schemas in the HED XML layout', () => {
+      return schema
+        .buildSchema({ path: testlibSchemaFile })
+        .then((hedSchemas) => {
+          const schemaText = fs.readFileSync(testlibSchemaFile, 'utf8')
+          const json = schemaToJson(hedSchemas.baseSchema)
+          assert.strictEqual(schemaToXml(hedSchemas.baseSchema), schemaText)
+          assert.strictEqual(schemaToXml(json), schemaText)
+        })
+    })
+
+    it('should reject tags listed before their parents', () => {
+      const json = {
+        version: '1.0.0',
+        library: 'broken',
+        tags: [{ path: 'Finding/Rate', description: '', attributes: {} }],
+      }
+      assert.throws(
+        () => schemaFromJson(json),
+        'Tag "Finding/Rate" is listed before its parent "Finding".',
+      )
+    })
+
+    it('should only serialize HED 3 format schemas', () => {
+      return schema
+        .buildSchema({ path: 'data/HED7.1.1.xml' })
+        .then((hedSchemas) => {
+          assert.throws(
+            () => schemaToJson(hedSchemas.baseSchema),
+            'Only HED 3 format schemas can be serialized, but got version "7.1.1".',
+          )
+        })
+    })
+  })
+
+  describe('HED MediaWiki schemas', () => {
+    it('should build the same schema as the equivalent XML file', () => {
+      return Promise.all([
+        schema.buildSchema({ path: 'tests/data/HED_testlib_1.0.0.xml' }),
+        schema.buildSchema({ path: 'tests/data/HED_testlib_1.0.0.mediawiki' }),
+      ]).then(([xmlSchemas, mediawikiSchemas]) => {
+        const xmlSchema = xmlSchemas.baseSchema
+        const mediawikiSchema = mediawikiSchemas.baseSchema
+        assert.strictEqual(mediawikiSchema.version, '1.0.0')
+        assert.strictEqual(mediawikiSchema.library, 'testlib')
+        assert.deepStrictEqual(
+          schemaToJson(mediawikiSchema),
+          schemaToJson(xmlSchema),
+        )
+        assert.deepStrictEqual(
+          mediawikiSchema.attributes.tagAttributes,
+          xmlSchema.attributes.tagAttributes,
+        )
+        assert.deepStrictEqual(
+          mediawikiSchema.attributes.tagUnitClasses,
+          xmlSchema.attributes.tagUnitClasses,
+        )
+        assert.deepStrictEqual(
+          mediawikiSchema.attributes.unitClasses,
+          xmlSchema.attributes.unitClasses,
+        )
+        assert.deepStrictEqual(
+          mediawikiSchema.attributes.unitModifiers,
+          xmlSchema.attributes.unitModifiers,
+        )
+        assert.deepStrictEqual(mediawikiSchema.mapping, xmlSchema.mapping)
+      })
+    })
+
+    it('should parse all parts of the MediaWiki format', () => {
+      const mediawikiText = `HED version: 8.0.0-alpha.3
+
+'''Prologue'''
+An example schema.
+
+!# start schema
+
+'''Event''' <nowiki>[Something that happens.]</nowiki>
+* Sensory-event <nowiki>{relatedTag=Agent, relatedTag=Task-event, suggestedTag=Agent}[A sensory event.]</nowiki>
+** #  <nowiki>{takesValue, unitClass=time}</nowiki>
+'''Agent'''
+
+!# end schema
+
+'''Unit classes''' <nowiki>[Unit classes and their units.]</nowiki>
+* time <nowiki>{defaultUnits=s}</nowiki>
+** s <nowiki>{SIUnit, unitSymbol}</nowiki>
+
+'''Unit modifiers'''
+* m <nowiki>{SIUnitSymbolModifier} [SI unit submultiple representing 10^-3]</nowiki>
+
+'''Value classes'''
+* textClass <nowiki>[Text values.]</nowiki>
+
+'''Schema attributes'''
+* relatedTag <nowiki>[Related tags.]</nowiki>
+* SIUnit <nowiki>{boolProperty, unitProperty}[SI units.]</nowiki>
+
+'''Epilogue'''
+The end.
+Really.
+
+!# end hed
+`
+      assert.deepStrictEqual(parseMediawikiSchema(mediawikiText), {
+        version: '8.0.0-alpha.3',
+        prologue: 'An example schema.',
+        tags: [
+          {
+            path: 'Event',
+            description: 'Something that happens.',
+            attributes: {},
+          },
+          {
+            path: 'Event/Sensory-event',
+            description: 'A sensory event.',
+            attributes: {
+              relatedTag: ['Agent', 'Task-event'],
+              suggestedTag: ['Agent'],
+            },
+          },
+          {
+            path: 'Event/Sensory-event/#',
+            description: '',
+            attributes: { takesValue: true, unitClass: ['time'] },
+          },
+          { path: 'Agent', description: '', attributes: {} },
+        ],
+        unitClasses: [
+          {
+            name: 'time',
+            description: '',
+            attributes: { defaultUnits: ['s'] },
+            units: [
+              {
+                name: 's',
+                description: '',
+                attributes: { SIUnit: true, unitSymbol: true },
+              },
+            ],
+          },
+        ],
+        unitModifiers: [
+          {
+            name: 'm',
+            description: 'SI unit submultiple representing 10^-3',
+            attributes: { SIUnitSymbolModifier: true },
+          },
+        ],
+        schemaAttributes: [
+          { name: 'relatedTag', description: 'Related tags.', properties: [] },
+          {
+            name: 'SIUnit',
+            description: 'SI units.',
+            properties: ['boolProperty', 'unitProperty'],
+          },
+        ],
+        epilogue: 'The end.\nReally.',
+      })
+    })
+
+    it('should reject malformed MediaWiki schemas', () => {
+      assert.throws(
+        () => parseMediawikiSchema("'''Event'''\n"),
+        'Line 1: Expected the HED header line.',
+      )
+      assert.throws(
+        () =>
+          parseMediawikiSchema(
+            "HED version=\"1.0.0\"\n!# start schema\n'''Event'''\n** Sensory-event\n",
+          ),
+        'Line 4: Tag "Sensory-event" is nested too deeply.',
+      )
+      assert.throws(
+        () =>
+          parseMediawikiSchema(
+            "HED version=\"1.0.0\"\n'''Unit classes'''\n** s\n",
+          ),
+        'Line 3: Unit "s" is not in a unit class.',
+      )
+    })
+  })
+
+  describe('HED schema tag nodes', () => {
+    let hedSchema
+
+    beforeAll(() => {
+      return schema
+        .buildSchema({ path: 'tests/data/HED_testlib_1.0.0.xml' })
+        .then((hedSchemas) => {
+          hedSchema = hedSchemas.baseSchema
+        })
+    })
+
+    it('should look up tags by their long, short or partial forms', () => {
+      const seizureOnset = hedSchema.getTag(
+        'Clinical-finding/Seizure/Seizure-onset',
+      )
+      assert.strictEqual(
+        seizureOnset.longName,
+        'Clinical-finding/Seizure/Seizure-onset',
+      )
+      assert.strictEqual(seizureOnset.shortName, 'Seizure-onset')
+      assert.strictEqual(seizureOnset.description, 'The start of a seizure.')
+      assert.strictEqual(hedSchema.getTag('seizure-onset'), seizureOnset)
+      assert.strictEqual(
+        hedSchema.getTag('Seizure/Seizure-onset'),
+        seizureOnset,
+      )
+      assert.strictEqual(
+        hedSchema.getTag('Spike-rate/#'),
+        hedSchema.getTag('Clinical-finding/Spike-rate/#'),
+      )
+      assert.isNull(hedSchema.getTag('Seizure-offset'))
+      assert.isNull(hedSchema.getTag('Normal/Seizure-onset'))
+    })
+
+    it('should link tags to their parents and children', () => {
+      const seizure = hedSchema.getTag('Seizure')
+      assert.strictEqual(seizure.parent, hedSchema.getTag('Clinical-finding'))
+      assert.isNull(seizure.parent.parent)
+      assert.deepStrictEqual(
+        seizure.parent.children.map((tag) => tag.shortName),
+        ['Seizure', 'Spike-rate'],
+      )
+      assert.deepStrictEqual(
+        hedSchema.descendants('Clinical-finding').map((tag) => tag.longName),
+        [
+          'Clinical-finding/Seizure',
+          'Clinical-finding/Seizure/Seizure-onset',
+          'Clinical-finding/Spike-rate',
+          'Clinical-finding/Spike-rate/#',
+        ],
+      )
+      assert.isEmpty(hedSchema.descendants('Normal'))
+      assert.isEmpty(hedSchema.descendants('Seizure-offset'))
+    })
+
+    it('should include inherited attributes and allowed units', () => {
+      assert.deepStrictEqual(hedSchema.getTag('Seizure-onset').attributes, {
+        extensionAllowed: true,
+      })
+      assert.deepStrictEqual(hedSchema.getTag('Finding-category').attributes, {
+        requireChild: true,
+      })
+      assert.isEmpty(hedSchema.getTag('Normal').attributes)
+      const spikeRateValue = hedSchema.getTag('Spike-rate/#')
+      assert.deepStrictEqual(spikeRateValue.attributes, {
+        isNumeric: true,
+        takesValue: true,
+      })
+      assert.deepStrictEqual(spikeRateValue.unitClasses, ['frequency'])
+      assert.deepStrictEqual(spikeRateValue.allowedUnits, ['Hz'])
+      assert.isEmpty(hedSchema.getTag('Spike-rate').allowedUnits)
+    })
+
+    it('should determine whether tags are descendants of other tags', () => {
+      assert.isTrue(
+        hedSchema.isDescendantOf('Seizure-onset', 'Clinical-finding'),
+      )
+      assert.isTrue(
+        hedSchema.isDescendantOf(
+          hedSchema.getTag('Seizure-onset'),
+          'Clinical-finding/Seizure',
+        ),
+      )
+      assert.isFalse(hedSchema.isDescendantOf('Seizure', 'Seizure'))
+      assert.isFalse(hedSchema.isDescendantOf('Clinical-finding', 'Seizure'))
+      assert.isFalse(hedSchema.isDescendantOf('Normal', 'Clinical-finding'))
+      assert.isFalse(hedSchema.isDescendantOf('Seizure-offset', 'Seizure'))
+    })
+  })
 })
@@ -462,4 +462,114 @@ describe('HED string parsing', () => {
       })
     })
   })
+
+  describe('Column references', () => {
+    it('should be parsed from HED 3 strings', () => {
+      const testStrings = {
+        topLevel: 'Car, {response_time}',
+        group: '(Car, { stim_file }), Train',
+        multiple: '{trial_type}, {response_time}',
+        noReferences: 'Car, Train',
+      }
+      const expectedResults = {
+        topLevel: [['response_time', [5, 20]]],
+        group: [['stim_file', [5, 18]]],
+        multiple: [
+          ['trial_type', [0, 12]],
+          ['response_time', [14, 29]],
+        ],
+        noReferences: [],
+      }
+      const expectedIssues = {
+        topLevel: [],
+        group: [],
+        multiple: [],
+        noReferences: [],
+      }
+      return hedSchemaPromise.then((hedSchema) => {
+        return validatorWithIssues(
+          testStrings,
+          expectedResults,
+          expectedIssues,
+          (string) => {
+            const [parsedString, issues] = parseHedString(string, hedSchema)
+            const columnReferences = parsedString.columnReferences.map(
+              (columnReference) => {
+                return [
+                  columnReference.columnName,
+                  columnReference.originalBounds,
+                ]
+              },
+            )
+            return [columnReferences, issues]
+          },
+        )
+      })
+    })
+
+    it('must be whole, closed and non-empty', () => {
+      const testStrings = {
+        prefixed: 'Car{stim_file}',
+        suffixed: '{stim_file}Car',
+        unclosed: 'Car, {stim_file',
+        unclosedByDelimiter: '{stim_file, Car',
+        empty: 'Car, {}',
+      }
+      const expectedResults = {
+        prefixed: [],
+        suffixed: ['stim_file'],
+        unclosed: [],
+        unclosedByDelimiter: [],
+        empty: [],
+      }
+      const expectedIssues = {
+        prefixed: [
+          generateIssue('invalidColumnReference', {
+            index: 3,
+            string: testStrings.prefixed,
+          }),
+        ],
+        suffixed: [
+          generateIssue('invalidColumnReference', {
+            index: 11,
+            string: testStrings.suffixed,
+          }),
+        ],
+        unclosed: [
+          generateIssue('invalidColumnReference', {
+            index: 5,
+            string: testStrings.unclosed,
+          }),
+        ],
+        unclosedByDelimiter: [
+          generateIssue('invalidColumnReference', {
+            index: 0,
+            string: testStrings.unclosedByDelimiter,
+          }),
+        ],
+        empty: [
+          generateIssue('invalidColumnReference', {
+            index: 5,
+            string: testStrings.empty,
+          }),
+        ],
+      }
+      return hedSchemaPromise.then((hedSchema) => {
+        return validatorWithIssues(
+          testStrings,
+          expectedResults,
+          expectedIssues,
+          (string) => {
+            const [parsedString, issues] = parseHedString(string, hedSchema)
+            const columnNames = parsedString.columnReferences.map(
+              (columnReference) => {
+                return columnReference.columnName
+              },
+            )
+            return [columnNames, issues]
+          },
+        )
+      })
+    })
+  })
 })
@@ -220,7 +220,7 @@ describe('HED tag string utility functions', () => {
     })
   })
 
-  const localHedSchemaFile = 'tests/data/HED7.1.1.xml'
+  const localHedSchemaFile = 'data/HED7.1.1.xml'
 
   describe('HED tag schema-based utility functions', () => {
     let hedSchemaPromise
@@ -0,0 +1,67 @@
+const assert = require('assert')
+const { editDistance, getClosestNames } = require('../suggestions')
+
+describe('Suggestion utility functions', () => {
+  describe('Edit distances', () => {
+    it('should count single-character edits', () => {
+      assert.strictEqual(editDistance('square', 'square'), 0)
+      assert.strictEqual(editDistance('squar', 'square'), 1)
+      assert.strictEqual(editDistance('sqaure', 'square'), 2)
+      assert.strictEqual(editDistance('', 'red'), 3)
+      assert.strictEqual(editDistance('kitten', 'sitting'), 3)
+    })
+  })
+
+  describe('Closest names', () => {
+    const candidates = [
+      'Square',
+      'Sensory-event',
+      'Train',
+      'Hz',
+      'kHz',
+      'Seizure',
+    ]
+
+    it('should find names with typos', () => {
+      assert.deepStrictEqual(getClosestNames('Squar', candidates), ['Square'])
+      assert.deepStrictEqual(getClosestNames('Sensory-evnt', candidates), [
+        'Sensory-event',
+      ])
+      assert.deepStrictEqual(getClosestNames('Seizur', candidates), ['Seizure'])
+    })
+
+    it('should ignore case and plural forms', () => {
+      assert.deepStrictEqual(getClosestNames('SQUARE', candidates), ['Square'])
+      assert.deepStrictEqual(getClosestNames('Trains', candidates), ['Train'])
+      assert.deepStrictEqual(getClosestNames('KHz', candidates), ['kHz'])
+    })
+
+    it('should not suggest distant names', () => {
+      assert.deepStrictEqual(getClosestNames('Circle', candidates), [])
+      assert.deepStrictEqual(getClosestNames('cm', candidates), [])
+      assert.deepStrictEqual(getClosestNames('', candidates), [])
+    })
+
+    it('should rank closer names first and limit the suggestions', () => {
+      const units = ['mph', 'kph', 'm-per-s', 'ms', 'mps']
+      assert.deepStrictEqual(getClosestNames('Mkph', units), ['kph', 'mph'])
+      assert.deepStrictEqual(getClosestNames('mpx', units, 2), ['mph', 'mps'])
+    })
+
+    it('should compare case-sensitive candidates exactly', () => {
+      const units = ['ms', 'Ms', 'millisecond']
+      const symbols = ['ms', 'Ms']
+      assert.deepStrictEqual(getClosestNames('ms2', units), ['ms', 'Ms'])
+      assert.deepStrictEqual(getClosestNames('ms2', units, 3, symbols), ['ms'])
+      assert.deepStrictEqual(getClosestNames('MS', units, 3, symbols), [])
+      assert.deepStrictEqual(
+        getClosestNames('KHz', ['kHz', 'MHz'], 3, ['kHz', 'MHz']),
+        ['kHz'],
+      )
+      assert.deepStrictEqual(
+        getClosestNames('MILLISECONDS', units, 3, symbols),
+        ['millisecond'],
+      )
+    })
+  })
+})
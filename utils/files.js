@@ -17,6 +17,55 @@ function readFile(fileName) {
   })
 }
 
+/**
+ * List the entries of a local directory.
+ *
+ * @param {string} dirPath The directory path.
+ * @return {Promise<fs.Dirent[]>} A promise with the directory entries, or an empty array if the directory could not be read.
+ */
+function readDirectory(dirPath) {
+  return new Promise((resolve) => {
+    fs.readdir(dirPath, { withFileTypes: true }, function (err, entries) {
+      process.nextTick(function () {
+        return resolve(err ? [] : entries)
+      })
+    })
+  })
+}
+
+/**
+ * Write a local file.
+ *
+ * @param {string} fileName The file path.
+ * @param {string} contents The file contents.
+ * @return {Promise<boolean>} A promise with whether the file was written.
+ */
+function writeFile(fileName, contents) {
+  return new Promise((resolve) => {
+    fs.writeFile(fileName, contents, 'utf8', function (err) {
+      process.nextTick(function () {
+        return resolve(!err)
+      })
+    })
+  })
+}
+
+/**
+ * Create a local directory, along with any missing parent directories.
+ *
+ * @param {string} dirPath The directory path.
+ * @return {Promise<boolean>} A promise with whether the directory exists.
+ */
+function makeDirectory(dirPath) {
+  return new Promise((resolve) => {
+    fs.mkdir(dirPath, { recursive: true }, function (err) {
+      process.nextTick(function () {
+        return resolve(!err)
+      })
+    })
+  })
+}
+
 /**
  * Read a remote file using HTTPS.
  *
@@ -31,5 +80,8 @@ function readHTTPSFile(url) {
 
 module.exports = {
   readFile: readFile,
+  readDirectory: readDirectory,
   readHTTPSFile: readHTTPSFile,
+  makeDirectory: makeDirectory,
+  writeFile: writeFile,
 }
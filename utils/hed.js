@@ -98,6 +98,17 @@ const isPrefixUnit = function (unit, hedSchemaAttributes) {
   }
 }
 
+/**
+ * Determine whether a unit is a unit symbol (e.g. "Hz"), whose case is significant.
+ *
+ * @param {string} unit A unit string.
+ * @param {SchemaAttributes} hedSchemaAttributes The collection of schema attributes.
+ * @return {boolean} Whether the unit is a unit symbol.
+ */
+const isUnitSymbol = function (unit, hedSchemaAttributes) {
+  return hedSchemaAttributes.unitAttributes[unitSymbolType][unit] !== undefined
+}
+
 /**
  * Get the list of valid derivatives of a unit.
  *
@@ -107,16 +118,15 @@ const isPrefixUnit = function (unit, hedSchemaAttributes) {
  */
 const getValidDerivativeUnits = function (unit, hedSchemaAttributes) {
   const pluralUnits = [unit]
-  const isUnitSymbol =
-    hedSchemaAttributes.unitAttributes[unitSymbolType][unit] !== undefined
-  if (hedSchemaAttributes.hasUnitModifiers && !isUnitSymbol) {
+  const unitIsSymbol = isUnitSymbol(unit, hedSchemaAttributes)
+  if (hedSchemaAttributes.hasUnitModifiers && !unitIsSymbol) {
     pluralUnits.push(pluralize.plural(unit))
   }
   const isSIUnit =
     hedSchemaAttributes.unitAttributes[SIUnitKey][unit] !== undefined
   if (isSIUnit && hedSchemaAttributes.hasUnitModifiers) {
     const derivativeUnits = [].concat(pluralUnits)
-    const modifierKey = isUnitSymbol
+    const modifierKey = unitIsSymbol
       ? SIUnitSymbolModifierKey
       : SIUnitModifierKey
     for (const unitModifier in hedSchemaAttributes.unitModifiers[modifierKey]) {
@@ -154,8 +164,7 @@ const validateUnits = function (
   }
   let foundUnit, foundWrongCaseUnit, strippedValue
   for (const unit of validUnits) {
-    const isUnitSymbol =
-      hedSchemaAttributes.unitAttributes[unitSymbolType][unit] !== undefined
+    const unitIsSymbol = isUnitSymbol(unit, hedSchemaAttributes)
     const derivativeUnits = getValidDerivativeUnits(unit, hedSchemaAttributes)
     for (const derivativeUnit of derivativeUnits) {
       if (
@@ -172,7 +181,7 @@ const validateUnits = function (
         foundUnit = true
         strippedValue = getParentTag(originalTagUnitValue, ' ')
       } else if (actualUnit.toLowerCase() === derivativeUnit.toLowerCase()) {
-        if (isUnitSymbol) {
+        if (unitIsSymbol) {
           foundWrongCaseUnit = true
         } else {
           foundUnit = true
@@ -318,6 +327,8 @@ module.exports = {
   getParentTag: getParentTag,
   validateValue: validateValue,
   validateUnits: validateUnits,
+  isUnitSymbol: isUnitSymbol,
+  getValidDerivativeUnits: getValidDerivativeUnits,
   tagExistsInSchema: tagExistsInSchema,
   tagTakesValue: tagTakesValue,
   isUnitClassTag: isUnitClassTag,
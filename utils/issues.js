@@ -35,13 +35,39 @@ const Issue = function (internalCode, hedCode, level, message) {
    * @type {string}
    */
   this.message = `${level.toUpperCase()}: [${hedCode}] ${message}`
+  /**
+   * Suggested replacements for the invalid tag or unit, closest first.
+   * @type {string[]}
+   */
+  this.suggestions = []
+}
+
+/**
+ * Format a list of suggestions for an issue message.
+ *
+ * @param {string[]} suggestions The suggestions.
+ * @return {string} The quoted suggestions, joined with commas and a final "or".
+ */
+const formatSuggestions = function (suggestions) {
+  const quotedSuggestions = suggestions.map((suggestion) => `"${suggestion}"`)
+  if (quotedSuggestions.length === 1) {
+    return quotedSuggestions[0]
+  }
+  return (
+    quotedSuggestions.slice(0, -1).join(', ') +
+    ' or ' +
+    quotedSuggestions[quotedSuggestions.length - 1]
+  )
 }
 
 /**
  * Generate a new issue object.
  *
+ * If the parameters include a non-empty list of suggestions, they are appended to the message and
+ * attached to the issue.
+ *
  * @param {string} internalCode The internal error code.
- * @param {object<string, (string|number[])>} parameters The error string parameters.
+ * @param {object<string, (string|number[]|string[])>} parameters The error string parameters.
  * @return {Issue} An object representing the issue.
  */
 const generateIssue = function (internalCode, parameters) {
@@ -119,6 +145,16 @@ const generateIssue = function (internalCode, parameters) {
       level = 'error'
       message = `Invalid character "${parameters.character}" at index ${parameters.index} of string "${parameters.string}"`
       break
+    case 'invalidColumnReference':
+      hedCode = 'HED_SIDECAR_BRACES_INVALID'
+      level = 'error'
+      message = `Invalid column reference at index ${parameters.index} of string "${parameters.string}". Column references must be whole tags of the form "{column_name}".`
+      break
+    case 'unexpandedColumnReference':
+      hedCode = 'HED_SIDECAR_BRACES_INVALID'
+      level = 'error'
+      message = `Column reference "{${parameters.column}}" may only appear in sidecar annotations.`
+      break
     case 'extension':
       hedCode = 'HED_TAG_EXTENDED'
       level = 'warning'
@@ -144,6 +180,11 @@ const generateIssue = function (internalCode, parameters) {
       level = 'error'
       message = `Empty tag cannot be converted.`
       break
+    case 'unknownPrefix':
+      hedCode = 'HED_LIBRARY_UNMATCHED'
+      level = 'error'
+      message = `Tag "${parameters.tag}" uses the unknown schema prefix "${parameters.prefix}".`
+      break
     case 'duplicateTagsInSchema':
       level = 'error'
       message = `Source HED schema is invalid as it contains duplicate tags.`
@@ -163,6 +204,61 @@ const generateIssue = function (internalCode, parameters) {
       level = 'error'
       message = `Multiple inner tag groups found in definition "${parameters.definition}"`
       break
+    case 'duplicateDefinition':
+      hedCode = 'HED_DEFINITION_INVALID'
+      level = 'error'
+      message = `Definition "${parameters.definition}" is declared multiple times.`
+      break
+    case 'missingDefinition':
+      hedCode = 'HED_DEF_UNMATCHED'
+      level = 'error'
+      message = `Definition "${parameters.definition}" was used but never defined.`
+      break
+    case 'unusedDefinition':
+      hedCode = 'HED_DEFINITION_UNUSED'
+      level = 'warning'
+      message = `Definition "${parameters.definition}" is never used.`
+      break
+    case 'missingPlaceholderValue':
+      hedCode = 'HED_DEF_VALUE_MISSING'
+      level = 'error'
+      message = `Tag "${parameters.tag}" is missing a value for placeholder definition "${parameters.definition}".`
+      break
+    case 'extraPlaceholderValue':
+      hedCode = 'HED_DEF_VALUE_EXTRA'
+      level = 'error'
+      message = `Tag "${parameters.tag}" has a value, but definition "${parameters.definition}" does not take a placeholder.`
+      break
+    case 'defExpandMismatch':
+      hedCode = 'HED_DEF_EXPAND_INVALID'
+      level = 'error'
+      message = `Contents of "${parameters.tag}" do not match definition "${parameters.definition}".`
+      break
+    case 'temporalTagMissingDefinition':
+      hedCode = 'HED_ONSET_OFFSET_ERROR'
+      level = 'error'
+      message = `Tag "${parameters.tag}" is not grouped with a Def tag or Def-expand group.`
+      break
+    case 'unmatchedOffset':
+      hedCode = 'HED_ONSET_OFFSET_ERROR'
+      level = 'error'
+      message = `Offset for definition "${parameters.definition}" has no matching Onset.`
+      break
+    case 'offsetWithTagGroup':
+      hedCode = 'HED_ONSET_OFFSET_ERROR'
+      level = 'error'
+      message = `Offset for definition "${parameters.definition}" must not contain additional tag groups.`
+      break
+    case 'duplicateOnset':
+      hedCode = 'HED_ONSET_OFFSET_ERROR'
+      level = 'warning'
+      message = `Onset for definition "${parameters.definition}" found while a previous Onset for it is still open.`
+      break
+    case 'unclosedOnset':
+      hedCode = 'HED_ONSET_OFFSET_ERROR'
+      level = 'warning'
+      message = `Onset for definition "${parameters.definition}" is never closed by an Offset.`
+      break
     case 'invalidTopLevelTagGroupTag':
       level = 'error'
       message = `Tag "${parameters.tag}" is only allowed inside of a top-level tag group.`
@@ -175,6 +271,136 @@ const generateIssue = function (internalCode, parameters) {
       level = 'error'
       message = `Illegal top-level tag - "${parameters.tag}"`
       break
+    case 'fileReadError':
+      hedCode = 'HED_FILE_READ_ERROR'
+      level = 'error'
+      message = `Could not read file "${parameters.file}".`
+      break
+    case 'invalidFactorName':
+      hedCode = 'HED_QUERY_INVALID'
+      level = 'error'
+      message = `Factor column name "${parameters.name}" is reserved for event timing.`
+      break
+    case 'fileWriteError':
+      hedCode = 'HED_FILE_WRITE_ERROR'
+      level = 'error'
+      message = `Could not write file "${parameters.file}".`
+      break
+    case 'emptyTsvFile':
+      hedCode = 'HED_TSV_INVALID'
+      level = 'error'
+      message = `TSV file is empty and has no header row.`
+      break
+    case 'tsvColumnCount':
+      hedCode = 'HED_TSV_INVALID'
+      level = 'error'
+      message = `Row ${parameters.row} has ${parameters.found} columns, but the header has ${parameters.expected} columns.`
+      break
+    case 'invalidJson':
+      hedCode = 'HED_FILE_READ_ERROR'
+      level = 'error'
+      message = `File "${parameters.file}" is not valid JSON - "${parameters.error}".`
+      break
+    case 'invalidSidecarHedType':
+      hedCode = 'HED_SIDECAR_INVALID'
+      level = 'error'
+      message = `The "HED" entry of sidecar column "${parameters.column}" must be a string or an object of strings.`
+      break
+    case 'invalidSidecarPlaceholderCount':
+      hedCode = 'HED_PLACEHOLDER_INVALID'
+      level = 'error'
+      message = `Value column "${parameters.column}" must have exactly one "#" placeholder, but ${parameters.count} were found.`
+      break
+    case 'invalidSidecarPlaceholder':
+      hedCode = 'HED_PLACEHOLDER_INVALID'
+      level = 'error'
+      message = `Categorical column "${parameters.column}" value "${parameters.level}" must not contain a "#" placeholder.`
+      break
+    case 'unannotatedColumn':
+      hedCode = 'HED_SIDECAR_KEY_MISSING'
+      level = 'warning'
+      message = `Column "${parameters.column}" has ${parameters.count} values but no HED annotation.`
+      break
+    case 'unmatchedCategoricalValue':
+      hedCode = 'HED_SIDECAR_KEY_MISSING'
+      level = 'warning'
+      message = `Value "${parameters.value}" of column "${parameters.column}" occurs ${parameters.count} times but has no HED annotation in the sidecar.`
+      break
+    case 'unusedSidecarLevel':
+      hedCode = 'HED_SIDECAR_KEY_UNUSED'
+      level = 'warning'
+      message = `Sidecar value "${parameters.level}" of column "${parameters.column}" does not occur in any of the ${parameters.count} rows using the sidecar.`
+      break
+    case 'unannotatedColumnReference':
+      hedCode = 'HED_SIDECAR_BRACES_INVALID'
+      level = 'error'
+      message = `Column "${parameters.column}" references column "${parameters.reference}", which has no HED annotation.`
+      break
+    case 'missingReferencedColumn':
+      hedCode = 'HED_SIDECAR_BRACES_INVALID'
+      level = 'error'
+      message = `Column "${parameters.column}" references column "${parameters.reference}", which is not in the events file.`
+      break
+    case 'circularColumnReference':
+      hedCode = 'HED_SIDECAR_BRACES_INVALID'
+      level = 'error'
+      message = `Column "${parameters.column}" is part of a circular chain of column references.`
+      break
+    case 'missingHedVersion':
+      hedCode = 'HED_SCHEMA_VERSION_INVALID'
+      level = 'error'
+      message = `The dataset description does not specify a HEDVersion.`
+      break
+    case 'invalidHedVersion':
+      hedCode = 'HED_SCHEMA_VERSION_INVALID'
+      level = 'error'
+      message = `Invalid HEDVersion specification - "${parameters.version}".`
+      break
+    case 'schemaLoadFailed':
+      hedCode = 'HED_SCHEMA_LOAD_FAILED'
+      level = 'error'
+      message = `Could not load HED schema "${parameters.version}" - "${parameters.error}".`
+      break
+    case 'unsupportedSchemaFormat':
+      hedCode = 'HED_SCHEMA_VERSION_INVALID'
+      level = 'error'
+      message = `Schema version "${parameters.version}" does not use the HED 3 schema format, so it cannot be checked.`
+      break
+    case 'duplicateSchemaNode':
+      hedCode = 'HED_SCHEMA_DUPLICATE_NODE'
+      level = 'error'
+      message = `Schema node name "${parameters.tag}" is used by multiple nodes - "${parameters.paths}".`
+      break
+    case 'invalidSchemaNodeName':
+      hedCode = 'HED_SCHEMA_CHARACTER_INVALID'
+      level = 'error'
+      message = `Schema node name "${parameters.name}" of node "${parameters.tag}" contains illegal characters.`
+      break
+    case 'placeholderWithSiblings':
+      hedCode = 'HED_SCHEMA_NODE_INVALID'
+      level = 'error'
+      message = `Placeholder node "${parameters.tag}" must not have any siblings.`
+      break
+    case 'undeclaredSchemaAttribute':
+      hedCode = 'HED_SCHEMA_ATTRIBUTE_INVALID'
+      level = 'error'
+      message = `Attribute "${parameters.attribute}" of schema element "${parameters.element}" is not declared in the schema attribute definitions.`
+      break
+    case 'unknownSchemaUnitClass':
+      hedCode = 'HED_SCHEMA_ATTRIBUTE_INVALID'
+      level = 'error'
+      message = `Schema node "${parameters.tag}" uses the unknown unit class "${parameters.unitClass}".`
+      break
+    case 'invalidSchemaDefaultUnit':
+      hedCode = 'HED_SCHEMA_ATTRIBUTE_INVALID'
+      level = 'error'
+      message = `Default unit "${parameters.unit}" of unit class "${parameters.unitClass}" is not one of its units.`
+      break
+    case 'invalidQuery':
+      hedCode = 'HED_QUERY_INVALID'
+      level = 'error'
+      message = `Invalid HED query "${parameters.query}" at index ${parameters.index} - ${parameters.reason}.`
+      break
     default:
       hedCode = 'HED_GENERIC_ERROR'
       level = 'error'
@@ -182,7 +408,13 @@ const generateIssue = function (internalCode, parameters) {
       break
   }
 
-  return new Issue(internalCode, hedCode, level, message)
+  const suggestions = parameters.suggestions || []
+  if (suggestions.length > 0) {
+    message += ` (did you mean ${formatSuggestions(suggestions)}?)`
+  }
+  const issue = new Issue(internalCode, hedCode, level, message)
+  issue.suggestions = suggestions
+  return issue
 }
 
 module.exports = {
@@ -0,0 +1,297 @@
+/*
+ * HED schemas in the MediaWiki format look like this:
+ *
+ *   HED library="testlib" version="1.0.0"
+ *
+ *   '''Prologue'''
+ *   Free text.
+ *
+ *   !# start schema
+ *
+ *   '''Top-level-tag''' <nowiki>{extensionAllowed}[A description.]</nowiki>
+ *   * Child-tag <nowiki>{relatedTag=Other-tag, relatedTag=Another-tag}[A description.]</nowiki>
+ *   ** # <nowiki>{takesValue, unitClass=frequency}</nowiki>
+ *
+ *   !# end schema
+ *
+ *   '''Unit classes'''
+ *   * frequency <nowiki>{defaultUnits=Hz}</nowiki>
+ *   ** Hz <nowiki>{SIUnit, unitSymbol}</nowiki>
+ *
+ *   '''Unit modifiers'''
+ *   * k <nowiki>{SIUnitSymbolModifier}[SI unit multiple representing 10^3]</nowiki>
+ *
+ *   '''Schema attributes'''
+ *   * extensionAllowed <nowiki>{boolProperty}[A description.]</nowiki>
+ *
+ *   '''Epilogue'''
+ *   Free text.
+ *
+ *   !# end hed
+ *
+ * Bold headings start the top-level tags and the sections, and the number of asterisks gives the
+ * nesting level within them. Sections this package does not use (e.g. value classes) are skipped.
+ */
+
+const headerPattern = /^HED\b(.*)$/
+const headerAttributePattern = /(\w+)\s*[=:]\s*"?([^"\s]+)"?/g
+const headingPattern = /^'''(.+?)'''(.*)$/
+const nestedLinePattern = /^(\*+)\s*(.*)$/
+const startSchemaMarker = '!# start schema'
+const endSchemaMarker = '!# end schema'
+const endHedMarker = '!# end hed'
+
+const prologueSection = 'prologue'
+const epilogueSection = 'epilogue'
+const unitClassSection = 'unit classes'
+const unitModifierSection = 'unit modifiers'
+const schemaAttributeSection = 'schema attributes'
+
+/**
+ * Build an error for a malformed line of a MediaWiki schema.
+ *
+ * @param {number} lineNumber The line number.
+ * @param {string} message The problem with the line.
+ * @return {Error} The error.
+ */
+const lineError = function (lineNumber, message) {
+  return new Error('Line ' + lineNumber + ': ' + message)
+}
+
+/**
+ * Split the contents of a schema line into its name, attributes and description.
+ *
+ * @param {string} contents The line contents, without any heading quotes or asterisks.
+ * @return {{name: string, attributes: string[], description: string}} The parts of the line. The attributes are the unparsed comma-separated entries in braces.
+ */
+const parseLineContents = function (contents) {
+  let name = contents
+  let details = ''
+  const nowikiIndex = contents.indexOf('<nowiki>')
+  if (nowikiIndex !== -1) {
+    name = contents.slice(0, nowikiIndex)
+    details = contents
+      .slice(nowikiIndex + '<nowiki>'.length)
+      .replace('</nowiki>', '')
+  }
+  let attributes = []
+  let description = ''
+  const descriptionStart = details.indexOf('[')
+  const attributeStart = details.indexOf('{')
+  if (
+    attributeStart !== -1 &&
+    (descriptionStart === -1 || attributeStart < descriptionStart)
+  ) {
+    const attributeEnd = details.indexOf('}', attributeStart)
+    attributes = details
+      .slice(attributeStart + 1, attributeEnd)
+      .split(',')
+      .map((attribute) => attribute.trim())
+      .filter((attribute) => attribute !== '')
+    details = details.slice(attributeEnd + 1)
+  }
+  const descriptionEnd = details.lastIndexOf(']')
+  if (details.indexOf('[') !== -1 && descriptionEnd !== -1) {
+    description = details.slice(details.indexOf('[') + 1, descriptionEnd)
+  }
+  return { name: name.trim(), attributes: attributes, description: description }
+}
+
+/**
+ * Convert the attribute entries of a schema line to a JSON attributes object.
+ *
+ * @param {string[]} entries The attribute entries, either "name" or "name=value".
+ * @return {object<string, boolean|string[]>} The attributes.
+ */
+const parseAttributes = function (entries) {
+  const attributes = {}
+  for (const entry of entries) {
+    const separatorIndex = entry.indexOf('=')
+    if (separatorIndex === -1) {
+      attributes[entry] = true
+      continue
+    }
+    const name = entry.slice(0, separatorIndex).trim()
+    const value = entry.slice(separatorIndex + 1).trim()
+    attributes[name] = (attributes[name] || []).concat(value)
+  }
+  return attributes
+}
+
+/**
+ * Parse a HED schema in the MediaWiki format.
+ *
+ * @param {string} text The MediaWiki schema text.
+ * @return {object} The schema in the JSON schema format described in utils/schemaJson.js.
+ * @throws {Error} If the schema is malformed.
+ */
+const parseMediawikiSchema = function (text) {
+  const lines = text.split(/\r?\n/)
+  const header = {}
+  // The prologue and epilogue text.
+  const texts = {}
+  const tags = []
+  const unitClasses = []
+  const unitModifiers = []
+  const schemaAttributes = []
+  // The full paths of the current tag and its ancestors.
+  const tagPath = []
+  let unitClass = null
+  let section = null
+  let textLines = null
+  let inSchema = false
+  const finishText = function () {
+    if (textLines !== null) {
+      texts[section] = textLines.join('\n').trim()
+      textLines = null
+    }
+  }
+  let headerFound = false
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1
+    const line = lines[index].trim()
+    if (!headerFound) {
+      if (line === '') {
+        continue
+      }
+      const headerMatch = headerPattern.exec(line)
+      if (headerMatch === null) {
+        throw lineError(lineNumber, 'Expected the HED header line.')
+      }
+      let attributeMatch
+      headerAttributePattern.lastIndex = 0
+      while (
+        (attributeMatch = headerAttributePattern.exec(headerMatch[1])) !== null
+      ) {
+        header[attributeMatch[1]] = attributeMatch[2]
+      }
+      if (header.version === undefined) {
+        throw lineError(lineNumber, 'The HED header has no version.')
+      }
+      headerFound = true
+      continue
+    }
+    if (line === startSchemaMarker) {
+      finishText()
+      inSchema = true
+      section = null
+      continue
+    } else if (line === endSchemaMarker) {
+      inSchema = false
+      continue
+    } else if (line === endHedMarker) {
+      break
+    }
+    const headingMatch = headingPattern.exec(line)
+    if (inSchema) {
+      if (line === '') {
+        continue
+      }
+      const nestedMatch = nestedLinePattern.exec(line)
+      let level
+      let parsedLine
+      if (headingMatch !== null) {
+        level = 0
+        parsedLine = parseLineContents(headingMatch[1] + headingMatch[2])
+      } else if (nestedMatch !== null) {
+        level = nestedMatch[1].length
+        parsedLine = parseLineContents(nestedMatch[2])
+      } else {
+        throw lineError(lineNumber, 'Expected a tag line.')
+      }
+      if (level > tagPath.length) {
+        throw lineError(
+          lineNumber,
+          'Tag "' + parsedLine.name + '" is nested too deeply.',
+        )
+      }
+      tagPath.length = level
+      const path =
+        level === 0
+          ? parsedLine.name
+          : tagPath[level - 1] + '/' + parsedLine.name
+      tagPath.push(path)
+      tags.push({
+        path: path,
+        description: parsedLine.description,
+        attributes: parseAttributes(parsedLine.attributes),
+      })
+      continue
+    }
+    if (headingMatch !== null) {
+      finishText()
+      section = headingMatch[1].trim().toLowerCase()
+      if (section === prologueSection || section === epilogueSection) {
+        textLines = []
+      }
+      continue
+    }
+    if (textLines !== null) {
+      textLines.push(lines[index])
+      continue
+    }
+    const nestedMatch = nestedLinePattern.exec(line)
+    if (line === '' || nestedMatch === null) {
+      continue
+    }
+    const level = nestedMatch[1].length
+    const parsedLine = parseLineContents(nestedMatch[2])
+    if (section === unitClassSection) {
+      if (level === 1) {
+        unitClass = {
+          name: parsedLine.name,
+          description: parsedLine.description,
+          attributes: parseAttributes(parsedLine.attributes),
+          units: [],
+        }
+        unitClasses.push(unitClass)
+      } else if (level === 2 && unitClass !== null) {
+        unitClass.units.push({
+          name: parsedLine.name,
+          description: parsedLine.description,
+          attributes: parseAttributes(parsedLine.attributes),
+        })
+      } else {
+        throw lineError(
+          lineNumber,
+          'Unit "' + parsedLine.name + '" is not in a unit class.',
+        )
+      }
+    } else if (section === unitModifierSection) {
+      unitModifiers.push({
+        name: parsedLine.name,
+        description: parsedLine.description,
+        attributes: parseAttributes(parsedLine.attributes),
+      })
+    } else if (section === schemaAttributeSection) {
+      schemaAttributes.push({
+        name: parsedLine.name,
+        description: parsedLine.description,
+        properties: parsedLine.attributes,
+      })
+    }
+  }
+  finishText()
+  if (!headerFound) {
+    throw new Error('The schema has no HED header line.')
+  }
+  const json = { version: header.version }
+  if (header.library !== undefined) {
+    json.library = header.library
+  }
+  if (texts[prologueSection] !== undefined) {
+    json.prologue = texts[prologueSection]
+  }
+  json.tags = tags
+  json.unitClasses = unitClasses
+  json.unitModifiers = unitModifiers
+  json.schemaAttributes = schemaAttributes
+  if (texts[epilogueSection] !== undefined) {
+    json.epilogue = texts[epilogueSection]
+  }
+  return json
+}
+
+module.exports = {
+  parseMediawikiSchema: parseMediawikiSchema,
+}
@@ -2,49 +2,50 @@ const semver = require('semver')
 const xml2js = require('xml2js')
 
 const files = require('../utils/files')
+const { parseMediawikiSchema } = require('./mediawiki')
+const { jsonToXmlData } = require('./schemaJson')
+const schemaTags = require('./schemaTags')
+const { defaultSchemaStore, loadStoredSchema } = require('./schemaStore')
+
+const mediawikiExtension = '.mediawiki'
+const tagPrefixPattern = /^([A-Za-z_]+):/
 
 /**
  * Load schema XML data from a schema version or path description.
  *
- * @param {{path: string?, library: string?, version: string?}} schemaDef The description of which schema to use.
+ * Schema versions are resolved through the given schema store, or the default store if none is given.
+ *
+ * @param {{path: string?, library: string?, version: string?, prefix: string?, store: SchemaStore?}} schemaDef The description of which schema to use.
  * @return {Promise<never>|Promise<object>} The schema XML data or an error.
  */
 const loadSchema = function (schemaDef = {}) {
-  if (Object.entries(schemaDef).length === 0) {
-    return loadRemoteSchema()
+  const store = schemaDef.store || defaultSchemaStore
+  const definedKeys = Object.keys(schemaDef).filter((key) => {
+    return key !== 'store' && key !== 'prefix'
+  })
+  if (definedKeys.length === 0) {
+    return loadVersionedSchema(store)
   } else if (schemaDef.path) {
     return loadLocalSchema(schemaDef.path)
-  } /* else if (schemaDef.library) {
-    return loadRemoteSchema(schemaDef.version, schemaDef.library)
-  } */ else if (schemaDef.version) {
-    return loadRemoteSchema(schemaDef.version)
+  } else if (schemaDef.library) {
+    return loadVersionedSchema(store, schemaDef.version, schemaDef.library)
+  } else if (schemaDef.version) {
+    return loadVersionedSchema(store, schemaDef.version)
   } else {
     return Promise.reject('Invalid input.')
   }
 }
 
 /**
- * Load schema XML data from the HED specification GitHub repository.
+ * Load schema XML data for a schema version from a schema store.
  *
+ * @param {SchemaStore} store The schema store.
  * @param {string} version The schema version to load.
  * @param {string?} library The library schema to load.
  * @return {Promise<object>} The schema XML data.
  */
-const loadRemoteSchema = function (version = 'Latest', library) {
-  let fileName
-  let basePath
-  if (library) {
-    fileName = 'HED_' + library + '_' + version + '.xml'
-    basePath =
-      'https://raw.githubusercontent.com/hed-standard/hed-schema-library/master/hedxml/'
-  } else {
-    fileName = 'HED' + version + '.xml'
-    basePath =
-      'https://raw.githubusercontent.com/hed-standard/hed-specification/master/hedxml/'
-  }
-  const url = basePath + fileName
-  return files
-    .readHTTPSFile(url)
+const loadVersionedSchema = function (store, version = 'Latest', library) {
+  return loadStoredSchema(store, version, library)
     .then((data) => {
       return xml2js.parseStringPromise(data, { explicitCharkey: true })
     })
@@ -52,7 +53,7 @@ const loadRemoteSchema = function (version = 'Latest', library) {
       throw new Error(
         'Could not load HED schema version "' +
           version +
-          '" from remote repository - "' +
+          '" - "' +
           error +
           '".',
       )
@@ -62,6 +63,8 @@ const loadRemoteSchema = function (version = 'Latest', library) {
 /**
  * Load schema XML data from a local file.
  *
+ * Files with the ".mediawiki" extension are read as MediaWiki format schemas, and all others as XML.
+ *
  * @param {string} path The path to the schema XML data.
  * @return {Promise<object>} The schema XML data.
  */
@@ -69,6 +72,9 @@ const loadLocalSchema = function (path) {
   return files
     .readFile(path)
     .then((data) => {
+      if (path.endsWith(mediawikiExtension)) {
+        return jsonToXmlData(parseMediawikiSchema(data))
+      }
       return xml2js.parseStringPromise(data, { explicitCharkey: true })
     })
     .catch((error) => {
@@ -140,18 +146,42 @@ const Schema = function (xmlData, attributes, mapping) {
    */
   this.isHed3 =
     this.library !== undefined || semver.gte(this.version, '8.0.0-alpha')
+  /**
+   * The tag nodes of this schema, keyed by their lowercase long forms. Built on first use.
+   * @type {Map<string, SchemaTag>|null}
+   */
+  this.tagNodes = null
+  /**
+   * Get a tag node of this schema from the tag's long, short or partially shortened form.
+   * @param {string} tag The tag to look up.
+   * @return {SchemaTag|null} The tag node, or null if the tag is not in this schema.
+   */
+  this.getTag = schemaTags.getTag
+  /**
+   * Get all of the descendants of a tag in this schema.
+   * @param {string|SchemaTag} tag The tag or tag node.
+   * @return {SchemaTag[]} The tag's descendants in depth-first schema order.
+   */
+  this.descendants = schemaTags.descendants
+  /**
+   * Determine whether a tag is a (strict) descendant of another tag in this schema.
+   * @param {string|SchemaTag} tag The possible descendant.
+   * @param {string|SchemaTag} ancestor The possible ancestor.
+   * @return {boolean} Whether both tags are in this schema and the first is below the second.
+   */
+  this.isDescendantOf = schemaTags.isDescendantOf
 }
 
 /**
  * The collection of active HED schemas.
  *
- * @param {Schema} baseSchema The base HED schema.
+ * @param {Schema|null} baseSchema The base HED schema, or null if there is none.
  * @constructor
  */
 const Schemas = function (baseSchema) {
   /**
-   * The base HED schema.
-   * @type {Schema}
+   * The base HED schema, or null if there is none (e.g. when only library schemas are used).
+   * @type {Schema|null}
    */
   this.baseSchema = baseSchema
   /**
@@ -166,9 +196,118 @@ const Schemas = function (baseSchema) {
   this.isHed3 = baseSchema && baseSchema.isHed3
 }
 
+/**
+ * Split the namespace prefix (e.g. "sc:") off of a HED tag.
+ *
+ * @param {string} hedTag The HED tag.
+ * @return {[string, string]} The prefix without its colon (or the empty string if there is none) and the rest of the tag.
+ */
+const splitTagPrefix = function (hedTag) {
+  const match = tagPrefixPattern.exec(hedTag)
+  if (match === null) {
+    return ['', hedTag]
+  }
+  return [match[1], hedTag.slice(match[0].length)]
+}
+
+/**
+ * Get the schema a namespace prefix refers to.
+ *
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @param {string} prefix The namespace prefix, or the empty string for the base schema.
+ * @return {Schema|undefined} The schema, or undefined if no schema has this prefix.
+ */
+const getSchemaForPrefix = function (hedSchemas, prefix) {
+  if (prefix === '') {
+    return hedSchemas.baseSchema || undefined
+  }
+  if (
+    !Object.prototype.hasOwnProperty.call(hedSchemas.librarySchemas, prefix)
+  ) {
+    return undefined
+  }
+  return hedSchemas.librarySchemas[prefix]
+}
+
+/**
+ * Get all of the schemas in a collection.
+ *
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @return {Schema[]} The base schema (if any), followed by the library schemas.
+ */
+const getAllSchemas = function (hedSchemas) {
+  const librarySchemas = Object.keys(hedSchemas.librarySchemas).map(
+    (prefix) => {
+      return hedSchemas.librarySchemas[prefix]
+    },
+  )
+  if (!hedSchemas.baseSchema) {
+    return librarySchemas
+  }
+  return [hedSchemas.baseSchema].concat(librarySchemas)
+}
+
+/**
+ * Determine whether a schema collection has any schemas.
+ *
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @return {boolean} Whether the collection has a base schema or any library schemas.
+ */
+const hasSchemas = function (hedSchemas) {
+  if (hedSchemas.baseSchema) {
+    return true
+  }
+  return Object.keys(hedSchemas.librarySchemas || {}).length > 0
+}
+
+/**
+ * Build a schema container object from a list of schema descriptions.
+ *
+ * The description without a prefix is the base schema. The others are library schemas, which are keyed by their prefixes.
+ * The base schema may be left out, in which case only prefixed tags can be resolved.
+ *
+ * @param {object[]} schemaDefs The descriptions of which schemas to use, as passed to {@link loadSchema}.
+ * @param {function(object): Schema} buildSchemaObject The function building a schema object from schema XML data.
+ * @return {Promise<never>|Promise<Schemas>} The schema container object or an error.
+ */
+const buildSchemas = function (schemaDefs, buildSchemaObject) {
+  const prefixes = schemaDefs.map((schemaDef) => schemaDef.prefix || '')
+  const uniquePrefixes = new Set(prefixes)
+  if (uniquePrefixes.size !== prefixes.length) {
+    return Promise.reject(
+      new Error('Exactly one schema must be given for each prefix.'),
+    )
+  }
+  const schemaPromises = schemaDefs.map((schemaDef) => loadSchema(schemaDef))
+  return Promise.all(schemaPromises).then((xmlDataList) => {
+    const librarySchemas = {}
+    let baseSchema = null
+    xmlDataList.forEach((xmlData, index) => {
+      const schema = buildSchemaObject(xmlData)
+      if (prefixes[index] === '') {
+        baseSchema = schema
+      } else {
+        librarySchemas[prefixes[index]] = schema
+      }
+    })
+    const hedSchemas = new Schemas(baseSchema)
+    hedSchemas.librarySchemas = librarySchemas
+    if (baseSchema === null) {
+      // Library schemas are always HED 3 schemas.
+      hedSchemas.isHed3 = true
+    }
+    return hedSchemas
+  })
+}
+
 module.exports = {
+  buildSchemas: buildSchemas,
+  getAllSchemas: getAllSchemas,
+  getSchemaForPrefix: getSchemaForPrefix,
+  hasSchemas: hasSchemas,
   loadSchema: loadSchema,
   setParent: setParent,
+  splitTagPrefix: splitTagPrefix,
   Schema: Schema,
   Schemas: Schemas,
 }
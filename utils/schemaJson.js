@@ -0,0 +1,188 @@
+/*
+ * The JSON schema format is a plain object with the following fields, in this order:
+ *
+ *   version           The schema version.
+ *   library           The library name (only present for library schemas).
+ *   prologue          The prologue text (only present if the schema has one).
+ *   tags              The tag nodes in document order, parents before their children. Each has:
+ *                       path         The full (long-form) path of the tag, e.g. "Event/Sensory-event".
+ *                       description  The tag's description, or the empty string.
+ *                       attributes   The tag's own (not inherited) attributes.
+ *   unitClasses       The unit classes, each with a name, description, attributes and units.
+ *                     Each unit has a name, description and attributes.
+ *   unitModifiers     The unit modifiers, each with a name, description and attributes.
+ *   schemaAttributes  The schema attribute definitions, each with a name, description and the
+ *                     names of its properties (e.g. "boolProperty").
+ *   epilogue          The epilogue text (only present if the schema has one).
+ *
+ * Attributes are objects mapping attribute names to true (for attributes without values) or to
+ * their list of values, in document order.
+ */
+
+/**
+ * Get the text of a child element of a schema XML element.
+ *
+ * @param {object} element The schema XML element.
+ * @param {string} childName The name of the child element.
+ * @return {string} The child element's text, or the empty string if it is missing.
+ */
+const getChildText = function (element, childName) {
+  if (!element[childName]) {
+    return ''
+  }
+  const child = element[childName][0]
+  return typeof child === 'string' ? child : child._ || ''
+}
+
+/**
+ * Build an XML text element in the layout produced by the XML parser.
+ *
+ * @param {string} text The element's text.
+ * @return {{_: string}} The text element.
+ */
+const textElement = function (text) {
+  return { _: text }
+}
+
+/**
+ * Build the attribute elements of a schema XML element from a JSON attributes object.
+ *
+ * @param {object} element The schema XML element to add the attribute elements to.
+ * @param {object<string, boolean|string[]>} attributes The JSON attributes.
+ */
+const addAttributeElements = function (element, attributes) {
+  const attributeElements = Object.keys(attributes || {}).map((name) => {
+    const attributeElement = { name: [textElement(name)] }
+    if (attributes[name] !== true) {
+      attributeElement.value = [].concat(attributes[name]).map(textElement)
+    }
+    return attributeElement
+  })
+  if (attributeElements.length > 0) {
+    element.attribute = attributeElements
+  }
+}
+
+/**
+ * Build a named schema XML element from its JSON form.
+ *
+ * @param {{name: string, description: string?, attributes: object<string, boolean|string[]>?}} json The element's JSON form.
+ * @return {object} The schema XML element.
+ */
+const namedElementFromJson = function (json) {
+  const element = { name: [textElement(json.name)] }
+  if (json.description) {
+    element.description = [textElement(json.description)]
+  }
+  addAttributeElements(element, json.attributes)
+  return element
+}
+
+/**
+ * Build a definition section of the schema XML data.
+ *
+ * @param {object} rootElement The root element of the schema XML data.
+ * @param {string} sectionName The name of the section element (e.g. "unitClassDefinitions").
+ * @param {string} definitionName The name of the definition elements (e.g. "unitClassDefinition").
+ * @param {object[]} definitionElements The definition elements.
+ */
+const addDefinitionSection = function (
+  rootElement,
+  sectionName,
+  definitionName,
+  definitionElements,
+) {
+  if (definitionElements.length > 0) {
+    const section = {}
+    section[definitionName] = definitionElements
+    rootElement[sectionName] = [section]
+  }
+}
+
+/**
+ * Convert a JSON format schema to schema XML data, as produced by the XML parser.
+ *
+ * @param {object} json The JSON form of the schema.
+ * @return {object} The schema XML data.
+ * @throws {Error} If a tag is listed before its parent.
+ */
+const jsonToXmlData = function (json) {
+  const rootElement = { $: { version: json.version } }
+  if (json.library !== undefined) {
+    rootElement.$.library = json.library
+  }
+  if (json.prologue !== undefined) {
+    rootElement.prologue = [textElement(json.prologue)]
+  }
+  const rootNode = { node: [] }
+  const nodesByPath = { '': rootNode }
+  for (const tag of json.tags || []) {
+    const separatorIndex = tag.path.lastIndexOf('/')
+    const parentPath =
+      separatorIndex === -1 ? '' : tag.path.slice(0, separatorIndex)
+    const parentNode = nodesByPath[parentPath]
+    if (parentNode === undefined) {
+      throw new Error(
+        'Tag "' +
+          tag.path +
+          '" is listed before its parent "' +
+          parentPath +
+          '".',
+      )
+    }
+    const node = namedElementFromJson({
+      name: tag.path.slice(separatorIndex + 1),
+      description: tag.description,
+      attributes: tag.attributes,
+    })
+    parentNode.node = parentNode.node || []
+    parentNode.node.push(node)
+    nodesByPath[tag.path] = node
+  }
+  if (rootNode.node.length > 0) {
+    rootElement.node = rootNode.node
+  }
+  addDefinitionSection(
+    rootElement,
+    'unitClassDefinitions',
+    'unitClassDefinition',
+    (json.unitClasses || []).map((unitClass) => {
+      const element = namedElementFromJson(unitClass)
+      const units = (unitClass.units || []).map(namedElementFromJson)
+      if (units.length > 0) {
+        element.unit = units
+      }
+      return element
+    }),
+  )
+  addDefinitionSection(
+    rootElement,
+    'unitModifierDefinitions',
+    'unitModifierDefinition',
+    (json.unitModifiers || []).map(namedElementFromJson),
+  )
+  addDefinitionSection(
+    rootElement,
+    'schemaAttributeDefinitions',
+    'schemaAttributeDefinition',
+    (json.schemaAttributes || []).map((schemaAttribute) => {
+      const element = namedElementFromJson(schemaAttribute)
+      const properties = (schemaAttribute.properties || []).map((name) => {
+        return { name: [textElement(name)] }
+      })
+      if (properties.length > 0) {
+        element.property = properties
+      }
+      return element
+    }),
+  )
+  if (json.epilogue !== undefined) {
+    rootElement.epilogue = [textElement(json.epilogue)]
+  }
+  return { HED: rootElement }
+}
+
+module.exports = {
+  getChildText: getChildText,
+  jsonToXmlData: jsonToXmlData,
+}
@@ -0,0 +1,153 @@
+const path = require('path')
+
+const files = require('./files')
+
+const latestVersion = 'Latest'
+const bundledSchemaDirectory = path.join(__dirname, '..', 'data')
+const baseSchemaUrl =
+  'https://raw.githubusercontent.com/hed-standard/hed-specification/master/hedxml/'
+const librarySchemaUrl =
+  'https://raw.githubusercontent.com/hed-standard/hed-schema-library/master/hedxml/'
+
+/**
+ * A source of HED schema XML files.
+ *
+ * Schema versions are resolved from, in order, the local schema directory, the schemas bundled
+ * with this package, the on-disk cache, and finally the remote schema repository. Caching is
+ * opt-in: when a cache directory is given, remotely fetched schemas are saved to it. The "Latest"
+ * version is never cached, since it changes over time.
+ *
+ * @param {{localDirectory: string?, cacheDirectory: string?, fetch: function(string): Promise<string>?}} options The store options.
+ * @constructor
+ */
+const SchemaStore = function (options = {}) {
+  /**
+   * The caller-specified local schema directory, searched first.
+   * @type {string|null}
+   */
+  this.localDirectory = options.localDirectory || null
+  /**
+   * The directory of schemas bundled with this package.
+   * @type {string}
+   */
+  this.bundledDirectory = bundledSchemaDirectory
+  /**
+   * The directory remotely fetched schemas are cached in, or null if caching is disabled.
+   * @type {string|null}
+   */
+  this.cacheDirectory = options.cacheDirectory || null
+  /**
+   * The function fetching a remote schema's contents from its URL.
+   * @type {function(string): Promise<string>}
+   */
+  this.fetch = options.fetch || files.readHTTPSFile
+}
+
+/**
+ * Get the file name of a HED schema version.
+ *
+ * @param {string} version The schema version.
+ * @param {string?} library The library schema name, if any.
+ * @return {string} The schema file name.
+ */
+const getSchemaFileName = function (version, library) {
+  if (library) {
+    return 'HED_' + library + '_' + version + '.xml'
+  }
+  return 'HED' + version + '.xml'
+}
+
+/**
+ * Get the remote URL of a HED schema version.
+ *
+ * @param {string} version The schema version.
+ * @param {string?} library The library schema name, if any.
+ * @return {string} The schema URL.
+ */
+const getSchemaUrl = function (version, library) {
+  const basePath = library ? librarySchemaUrl : baseSchemaUrl
+  return basePath + getSchemaFileName(version, library)
+}
+
+/**
+ * Read the first readable file in a list.
+ *
+ * @param {string[]} filePaths The file paths, in order of preference.
+ * @return {Promise<string|undefined>} A promise with the contents of the first readable file, or undefined if none could be read.
+ */
+const readFirstFile = function (filePaths) {
+  if (filePaths.length === 0) {
+    return Promise.resolve(undefined)
+  }
+  return files.readFile(filePaths[0]).then((data) => {
+    if (data !== undefined) {
+      return data
+    }
+    return readFirstFile(filePaths.slice(1))
+  })
+}
+
+/**
+ * Save a remotely fetched schema to a store's cache.
+ *
+ * Caching is best-effort, so failures are ignored.
+ *
+ * @param {SchemaStore} store The schema store.
+ * @param {string} fileName The schema file name.
+ * @param {string} data The schema contents.
+ * @return {Promise<boolean>} A promise with whether the schema was cached.
+ */
+const cacheSchema = function (store, fileName, data) {
+  if (store.cacheDirectory === null) {
+    return Promise.resolve(false)
+  }
+  return files.makeDirectory(store.cacheDirectory).then((created) => {
+    if (!created) {
+      return false
+    }
+    return files.writeFile(path.join(store.cacheDirectory, fileName), data)
+  })
+}
+
+/**
+ * Load the contents of a HED schema version from a schema store.
+ *
+ * @param {SchemaStore} store The schema store.
+ * @param {string} version The schema version.
+ * @param {string?} library The library schema name, if any.
+ * @return {Promise<string>} A promise with the schema contents.
+ */
+const loadStoredSchema = function (store, version = latestVersion, library) {
+  const fileName = getSchemaFileName(version, library)
+  const directories = [store.localDirectory, store.bundledDirectory]
+  if (version !== latestVersion) {
+    directories.push(store.cacheDirectory)
+  }
+  const filePaths = directories
+    .filter((directory) => directory !== null)
+    .map((directory) => path.join(directory, fileName))
+  return readFirstFile(filePaths).then((data) => {
+    if (data !== undefined) {
+      return data
+    }
+    return store.fetch(getSchemaUrl(version, library)).then((remoteData) => {
+      if (version === latestVersion) {
+        return remoteData
+      }
+      return cacheSchema(store, fileName, remoteData).then(() => remoteData)
+    })
+  })
+}
+
+/**
+ * The schema store used when none is specified.
+ * @type {SchemaStore}
+ */
+const defaultSchemaStore = new SchemaStore()
+
+module.exports = {
+  defaultSchemaStore: defaultSchemaStore,
+  getSchemaFileName: getSchemaFileName,
+  loadStoredSchema: loadStoredSchema,
+  SchemaStore: SchemaStore,
+}
@@ -0,0 +1,216 @@
+const { getChildText } = require('./schemaJson')
+
+/**
+ * A tag node in a HED schema.
+ *
+ * @param {string} longName The long form of the tag.
+ * @param {string} description The tag's description.
+ * @param {SchemaTag|null} parent The tag's parent, or null for top-level tags.
+ * @constructor
+ */
+const SchemaTag = function (longName, description, parent) {
+  /**
+   * The long form of the tag.
+   * @type {string}
+   */
+  this.longName = longName
+  /**
+   * The short form of the tag, i.e. the name of this node.
+   * @type {string}
+   */
+  this.shortName = longName.slice(longName.lastIndexOf('/') + 1)
+  /**
+   * The tag's description, or the empty string if it has none.
+   * @type {string}
+   */
+  this.description = description
+  /**
+   * The tag's parent, or null for top-level tags.
+   * @type {SchemaTag|null}
+   */
+  this.parent = parent
+  /**
+   * The tag's children, in schema order.
+   * @type {SchemaTag[]}
+   */
+  this.children = []
+  /**
+   * The tag's attributes, including those inherited from its ancestors (e.g. extensionAllowed).
+   * @type {object<string, boolean|string|string[]>}
+   */
+  this.attributes = {}
+  /**
+   * The unit classes of the tag's values.
+   * @type {string[]}
+   */
+  this.unitClasses = []
+  /**
+   * The units allowed for the tag's values, across all of its unit classes.
+   * @type {string[]}
+   */
+  this.allowedUnits = []
+}
+
+/**
+ * Add the attributes, unit classes and allowed units of a tag to its tag node.
+ *
+ * @param {SchemaTag} tag The tag node.
+ * @param {string} formattedTag The lowercase long form of the tag.
+ * @param {SchemaAttributes} attributes The schema attributes.
+ */
+const addTagAttributes = function (tag, formattedTag, attributes) {
+  for (const attribute of Object.keys(attributes.tagAttributes)) {
+    if (formattedTag in attributes.tagAttributes[attribute]) {
+      tag.attributes[attribute] =
+        attributes.tagAttributes[attribute][formattedTag]
+    }
+  }
+  if (attributes.tagUnitClasses && formattedTag in attributes.tagUnitClasses) {
+    tag.unitClasses = attributes.tagUnitClasses[formattedTag]
+    for (const unitClass of tag.unitClasses) {
+      const units = (attributes.unitClasses || {})[unitClass] || []
+      tag.allowedUnits = tag.allowedUnits.concat(units)
+    }
+  }
+}
+
+/**
+ * Build the tag nodes for a list of schema XML node elements and their descendants.
+ *
+ * @param {Schema} schema The HED schema.
+ * @param {object[]} nodeElements The schema XML node elements.
+ * @param {SchemaTag|null} parent The parent tag of the node elements.
+ * @param {Map<string, SchemaTag>} tagNodes The tag nodes built so far, keyed by their lowercase long forms.
+ */
+const buildTagNodes = function (schema, nodeElements, parent, tagNodes) {
+  const attributes = schema.attributes
+  for (const element of nodeElements) {
+    const name = getChildText(element, 'name')
+    const longName = parent === null ? name : parent.longName + '/' + name
+    const formattedTag = longName.toLowerCase()
+    const tag = new SchemaTag(
+      longName,
+      getChildText(element, 'description'),
+      parent,
+    )
+    if (attributes !== undefined) {
+      addTagAttributes(tag, formattedTag, attributes)
+    }
+    if (parent !== null) {
+      parent.children.push(tag)
+    }
+    tagNodes.set(formattedTag, tag)
+    buildTagNodes(schema, element.node || [], tag, tagNodes)
+  }
+}
+
+/**
+ * Get the tag nodes of a schema, building them on first use.
+ *
+ * Schemas built without attributes (e.g. by the converter) get tag nodes without attributes or units.
+ *
+ * @param {Schema} schema The HED schema.
+ * @return {Map<string, SchemaTag>} The tag nodes, keyed by their lowercase long forms.
+ */
+const getTagNodes = function (schema) {
+  if (schema.tagNodes === null) {
+    schema.tagNodes = new Map()
+    buildTagNodes(schema, schema.xmlData.HED.node || [], null, schema.tagNodes)
+  }
+  return schema.tagNodes
+}
+
+/**
+ * Get a tag node of this schema.
+ *
+ * The tag may be given in its long form, its short form, or any partially shortened form in between
+ * (e.g. "Spike-rate/#").
+ *
+ * @this {Schema}
+ * @param {string} tag The tag to look up.
+ * @return {SchemaTag|null} The tag node, or null if the tag is not in this schema.
+ */
+const getTag = function (tag) {
+  const tagNodes = getTagNodes(this)
+  const formattedTag = tag
+    .trim()
+    .replace(/^\/|\/$/g, '')
+    .toLowerCase()
+  if (tagNodes.has(formattedTag)) {
+    return tagNodes.get(formattedTag)
+  }
+  const separatorIndex = formattedTag.indexOf('/')
+  const shortTag =
+    separatorIndex === -1 ? formattedTag : formattedTag.slice(0, separatorIndex)
+  const remainder =
+    separatorIndex === -1 ? '' : formattedTag.slice(separatorIndex)
+  const tagEntry = this.mapping.mappingData[shortTag]
+  if (tagEntry === undefined || Array.isArray(tagEntry)) {
+    return null
+  }
+  return tagNodes.get(tagEntry.longFormattedTag + remainder) || null
+}
+
+/**
+ * Resolve a tag or tag node to a tag node of a schema.
+ *
+ * @param {Schema} schema The HED schema.
+ * @param {string|SchemaTag} tag The tag or tag node.
+ * @return {SchemaTag|null} The tag node, or null if the tag is not in this schema.
+ */
+const resolveTag = function (schema, tag) {
+  if (tag instanceof SchemaTag) {
+    return tag
+  }
+  return schema.getTag(tag)
+}
+
+/**
+ * Get all of the descendants of a tag in this schema.
+ *
+ * @this {Schema}
+ * @param {string|SchemaTag} tag The tag or tag node.
+ * @return {SchemaTag[]} The tag's descendants in depth-first schema order, or an empty list if the tag is not in this schema.
+ */
+const descendants = function (tag) {
+  const tagNode = resolveTag(this, tag)
+  if (tagNode === null) {
+    return []
+  }
+  const tagDescendants = []
+  for (const child of tagNode.children) {
+    tagDescendants.push(child)
+    tagDescendants.push(...this.descendants(child))
+  }
+  return tagDescendants
+}
+
+/**
+ * Determine whether a tag is a (strict) descendant of another tag in this schema.
+ *
+ * @this {Schema}
+ * @param {string|SchemaTag} tag The possible descendant.
+ * @param {string|SchemaTag} ancestor The possible ancestor.
+ * @return {boolean} Whether both tags are in this schema and the first is below the second.
+ */
+const isDescendantOf = function (tag, ancestor) {
+  const tagNode = resolveTag(this, tag)
+  const ancestorNode = resolveTag(this, ancestor)
+  if (tagNode === null || ancestorNode === null) {
+    return false
+  }
+  for (let parent = tagNode.parent; parent !== null; parent = parent.parent) {
+    if (parent === ancestorNode) {
+      return true
+    }
+  }
+  return false
+}
+
+module.exports = {
+  descendants: descendants,
+  getTag: getTag,
+  getTagNodes: getTagNodes,
+  isDescendantOf: isDescendantOf,
+  SchemaTag: SchemaTag,
+}
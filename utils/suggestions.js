@@ -0,0 +1,120 @@
+const pluralize = require('pluralize')
+
+const minimumFuzzyLength = 3
+
+/**
+ * Compute the Levenshtein edit distance between two strings.
+ *
+ * @param {string} first The first string.
+ * @param {string} second The second string.
+ * @return {number} The number of single-character insertions, deletions and substitutions turning one string into the other.
+ */
+const editDistance = function (first, second) {
+  let previousRow = []
+  for (let j = 0; j <= second.length; j++) {
+    previousRow.push(j)
+  }
+  for (let i = 1; i <= first.length; i++) {
+    const currentRow = [i]
+    for (let j = 1; j <= second.length; j++) {
+      const substitutionCost =
+        first.charAt(i - 1) === second.charAt(j - 1) ? 0 : 1
+      currentRow.push(
+        Math.min(
+          previousRow[j] + 1,
+          currentRow[j - 1] + 1,
+          previousRow[j - 1] + substitutionCost,
+        ),
+      )
+    }
+    previousRow = currentRow
+  }
+  return previousRow[second.length]
+}
+
+/**
+ * Compute how far apart a name and a candidate are, ignoring case and plural forms.
+ *
+ * @param {string} name The lowercase name.
+ * @param {string} candidate The lowercase candidate.
+ * @return {number} The smaller of the edit distances between the names and between their singular forms.
+ */
+const nameDistance = function (name, candidate) {
+  return Math.min(
+    editDistance(name, candidate),
+    editDistance(pluralize.singular(name), pluralize.singular(candidate)),
+  )
+}
+
+/**
+ * Find the candidate names closest to a (possibly misspelled) name.
+ *
+ * Names are compared case-insensitively, and singular and plural forms count as the same name. A
+ * candidate is close if it is at most a quarter of the name's length (but at least one edit) away.
+ * Names shorter than three characters only match up to case and plural forms. If some candidate
+ * matches up to case and plural forms, only such candidates are returned.
+ *
+ * Case-sensitive candidates (e.g. unit symbols, where "ms" and "Ms" differ) are instead compared
+ * exactly, so a change of case counts as an edit. They still count as matching up to case if they
+ * are close enough.
+ *
+ * @param {string} name The name to look up.
+ * @param {string[]} candidates The valid names.
+ * @param {number} limit The maximum number of names to return.
+ * @param {string[]} caseSensitiveCandidates The candidates whose case is significant.
+ * @return {string[]} The closest candidates, closest first and then in alphabetical order.
+ */
+const getClosestNames = function (
+  name,
+  candidates,
+  limit = 3,
+  caseSensitiveCandidates = [],
+) {
+  const trimmedName = name.trim()
+  const lowercaseName = trimmedName.toLowerCase()
+  if (lowercaseName === '') {
+    return []
+  }
+  const maximumDistance =
+    lowercaseName.length < minimumFuzzyLength
+      ? 0
+      : Math.max(1, Math.floor(lowercaseName.length / 4))
+  const distances = new Map()
+  const caseInsensitiveDistances = new Map()
+  for (const candidate of candidates) {
+    if (distances.has(candidate)) {
+      continue
+    }
+    const caseInsensitiveDistance = nameDistance(
+      lowercaseName,
+      candidate.toLowerCase(),
+    )
+    const distance = caseSensitiveCandidates.includes(candidate)
+      ? editDistance(trimmedName, candidate)
+      : caseInsensitiveDistance
+    if (distance <= maximumDistance) {
+      distances.set(candidate, distance)
+      caseInsensitiveDistances.set(candidate, caseInsensitiveDistance)
+    }
+  }
+  let closestNames = Array.from(distances.keys())
+  const matchesUpToCase = function (candidate) {
+    return caseInsensitiveDistances.get(candidate) === 0
+  }
+  if (closestNames.some(matchesUpToCase)) {
+    closestNames = closestNames.filter(matchesUpToCase)
+  }
+  return closestNames
+    .sort((first, second) => {
+      return (
+        distances.get(first) - distances.get(second) ||
+        first.localeCompare(second)
+      )
+    })
+    .slice(0, limit)
+}
+
+module.exports = {
+  editDistance: editDistance,
+  getClosestNames: getClosestNames,
+}
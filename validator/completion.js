@@ -0,0 +1,335 @@
+const { getSchemaForPrefix, splitTagPrefix } = require('../utils/schema')
+const { getTagNodes } = require('../utils/schemaTags')
+const { getFormattedSpecialTag, isSpecialTag } = require('./dataset')
+
+const defShortTag = 'def'
+const defExpandShortTag = 'def-expand'
+const descriptionShortTag = 'description'
+const placeholderName = '#'
+const tagDelimiters = new Set([',', '(', ')'])
+
+/**
+ * The kinds of tag completions, in ranking order.
+ *
+ * @enum {string}
+ */
+const completionKinds = {
+  CHILD: 'child',
+  DEFINITION: 'definition',
+  TAG: 'tag',
+  VALUE: 'value',
+  EXTENSION: 'extension',
+}
+
+/**
+ * A candidate completion of a partial HED tag.
+ *
+ * @param {string} text The text replacing the partial tag.
+ * @param {string} kind The kind of completion (one of {@link completionKinds}).
+ * @param {string|null} longName The long form of the completed schema tag, or null for definitions.
+ * @param {string} description The description of the completed tag or definition.
+ * @constructor
+ */
+const TagCompletion = function (text, kind, longName, description) {
+  /**
+   * The text replacing the partial tag.
+   * @type {string}
+   */
+  this.text = text
+  /**
+   * The kind of completion (one of {@link completionKinds}).
+   * @type {string}
+   */
+  this.kind = kind
+  /**
+   * The long form of the completed schema tag, or null for definitions.
+   * @type {string|null}
+   */
+  this.longName = longName
+  /**
+   * The description of the completed tag or definition.
+   * @type {string}
+   */
+  this.description = description
+  /**
+   * The units allowed for value completions.
+   * @type {string[]}
+   */
+  this.units = []
+}
+
+/**
+ * Find the partial HED tag ending at a cursor position.
+ *
+ * @param {string} hedString The HED string being edited.
+ * @param {number} cursor The cursor position in the HED string.
+ * @return {[string, int[]]} The partial tag and its bounds in the HED string.
+ */
+const getPartialTag = function (hedString, cursor = hedString.length) {
+  let start = cursor
+  while (start > 0 && !tagDelimiters.has(hedString.charAt(start - 1))) {
+    start--
+  }
+  while (start < cursor && /\s/.test(hedString.charAt(start))) {
+    start++
+  }
+  return [hedString.slice(start, cursor), [start, cursor]]
+}
+
+/**
+ * Compare two tag completions matching the same typed text for ranking.
+ *
+ * Exact (case-insensitive) matches of existing tags come first, then completions in order of their kind. Tag
+ * completions are further ranked by depth in the schema and then alphabetically, while other
+ * completions keep their schema order.
+ *
+ * @param {string} typedName The lowercase name being typed.
+ * @return {function(TagCompletion, TagCompletion): number} The comparison function.
+ */
+const compareCompletions = function (typedName) {
+  const kindOrder = Object.keys(completionKinds).map((key) => {
+    return completionKinds[key]
+  })
+  const isExactMatch = (completion) => {
+    if (completion.kind === completionKinds.EXTENSION) {
+      return false
+    }
+    const name = completion.text.slice(completion.text.lastIndexOf('/') + 1)
+    return name.toLowerCase() === typedName
+  }
+  return (first, second) => {
+    const exactDifference = isExactMatch(second) - isExactMatch(first)
+    if (exactDifference !== 0) {
+      return exactDifference
+    }
+    const kindDifference =
+      kindOrder.indexOf(first.kind) - kindOrder.indexOf(second.kind)
+    if (kindDifference !== 0 || first.kind !== completionKinds.TAG) {
+      return kindDifference
+    }
+    const depthDifference =
+      first.longName.split('/').length - second.longName.split('/').length
+    if (depthDifference !== 0) {
+      return depthDifference
+    }
+    return first.text.localeCompare(second.text)
+  }
+}
+
+/**
+ * Get the description of a definition from the Description tag in its contents, if any.
+ *
+ * @param {Definition} definition The definition.
+ * @param {string} formattedDescriptionTag The long, formatted form of the Description tag.
+ * @return {string} The definition's description, or the empty string if it has none.
+ */
+const getDefinitionDescription = function (
+  definition,
+  formattedDescriptionTag,
+) {
+  const descriptionTag = definition.contents.find((tag) => {
+    return isSpecialTag(tag, formattedDescriptionTag)
+  })
+  if (descriptionTag === undefined) {
+    return ''
+  }
+  return descriptionTag.canonicalTag.slice(formattedDescriptionTag.length + 1)
+}
+
+/**
+ * Get the completions of a Def or Def-expand tag from the known definitions.
+ *
+ * @param {string} parentText The typed text of the Def or Def-expand tag.
+ * @param {string} typedName The lowercase definition name being typed.
+ * @param {Definitions} definitions The known definitions.
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @return {TagCompletion[]} The definition completions.
+ */
+const getDefinitionCompletions = function (
+  parentText,
+  typedName,
+  definitions,
+  hedSchemas,
+) {
+  const formattedDescriptionTag = getFormattedSpecialTag(
+    descriptionShortTag,
+    hedSchemas,
+  )
+  const completions = []
+  for (const definitionKey of Object.keys(definitions)) {
+    if (!definitionKey.startsWith(typedName)) {
+      continue
+    }
+    const definition = definitions[definitionKey]
+    let text = parentText + '/' + definition.name
+    if (definition.takesPlaceholder) {
+      text += '/' + placeholderName
+    }
+    completions.push(
+      new TagCompletion(
+        text,
+        completionKinds.DEFINITION,
+        null,
+        getDefinitionDescription(definition, formattedDescriptionTag),
+      ),
+    )
+  }
+  return completions
+}
+
+/**
+ * Get the completions of a partial tag below a known parent tag.
+ *
+ * @param {SchemaTag} parentTag The parent tag.
+ * @param {string} parentText The typed text of the parent tag, including any schema prefix.
+ * @param {string} typedName The name being typed below the parent.
+ * @return {TagCompletion[]} The child, value and extension completions.
+ */
+const getChildCompletions = function (parentTag, parentText, typedName) {
+  const lowercaseName = typedName.toLowerCase()
+  const completions = []
+  let hasExactChild = false
+  for (const child of parentTag.children) {
+    if (child.shortName === placeholderName) {
+      const completion = new TagCompletion(
+        parentText + '/' + placeholderName,
+        completionKinds.VALUE,
+        child.longName,
+        child.description || parentTag.description,
+      )
+      completion.units = child.allowedUnits
+      completions.push(completion)
+    } else if (child.shortName.toLowerCase().startsWith(lowercaseName)) {
+      hasExactChild =
+        hasExactChild || child.shortName.toLowerCase() === lowercaseName
+      completions.push(
+        new TagCompletion(
+          parentText + '/' + child.shortName,
+          completionKinds.CHILD,
+          child.longName,
+          child.description,
+        ),
+      )
+    }
+  }
+  if (
+    typedName !== '' &&
+    !hasExactChild &&
+    parentTag.attributes.extensionAllowed
+  ) {
+    completions.push(
+      new TagCompletion(
+        parentText + '/' + typedName,
+        completionKinds.EXTENSION,
+        parentTag.longName + '/' + typedName,
+        parentTag.description,
+      ),
+    )
+  }
+  return completions
+}
+
+/**
+ * Get the completions of a partial tag from the short names of a schema's tags.
+ *
+ * @param {Schema} schema The HED schema.
+ * @param {string} prefixText The typed schema prefix, including its colon, or the empty string.
+ * @param {string} typedName The name being typed.
+ * @return {TagCompletion[]} The tag completions.
+ */
+const getShortNameCompletions = function (schema, prefixText, typedName) {
+  const lowercaseName = typedName.toLowerCase()
+  const completions = []
+  for (const tag of getTagNodes(schema).values()) {
+    const matches =
+      lowercaseName === ''
+        ? tag.parent === null
+        : tag.shortName !== placeholderName &&
+          tag.shortName.toLowerCase().startsWith(lowercaseName)
+    if (!matches) {
+      continue
+    }
+    // HED 2 schemas only accept long-form tags.
+    const tagText = schema.isHed3 ? tag.shortName : tag.longName
+    completions.push(
+      new TagCompletion(
+        prefixText + tagText,
+        completionKinds.TAG,
+        tag.longName,
+        tag.description,
+      ),
+    )
+  }
+  return completions
+}
+
+/**
+ * Get the ranked completions of the partial HED tag at a cursor position.
+ *
+ * A partial tag without a slash is completed from the short names of the schema's tags (or the
+ * top-level tags if nothing has been typed). Below a known parent tag, the completions are the
+ * matching children, a value placeholder with its allowed units, and an extension of the parent
+ * if it allows extensions. Below Def and Def-expand tags, the completions are the names of the
+ * matching definitions.
+ *
+ * @param {string} hedString The HED string being edited.
+ * @param {number} cursor The cursor position in the HED string.
+ * @param {Schemas} hedSchemas The HED schema collection.
+ * @param {Definitions} definitions The known definitions, keyed by their lowercase names.
+ * @return {[TagCompletion[], int[]]} The ranked completions and the bounds of the partial tag they replace.
+ */
+const getTagCompletions = function (
+  hedString,
+  cursor,
+  hedSchemas,
+  definitions = {},
+) {
+  const [partialTag, bounds] = getPartialTag(hedString, cursor)
+  const [prefix, unprefixedTag] = hedSchemas.isHed3
+    ? splitTagPrefix(partialTag)
+    : ['', partialTag]
+  const schema = getSchemaForPrefix(hedSchemas, prefix)
+  if (schema === undefined) {
+    return [[], bounds]
+  }
+  const prefixText = prefix === '' ? '' : prefix + ':'
+  const separatorIndex = unprefixedTag.lastIndexOf('/')
+  const typedName = unprefixedTag.slice(separatorIndex + 1)
+  let completions
+  if (separatorIndex === -1) {
+    completions = getShortNameCompletions(schema, prefixText, typedName)
+  } else {
+    const parentTag = schema.getTag(unprefixedTag.slice(0, separatorIndex))
+    const parentText = partialTag.slice(0, prefixText.length + separatorIndex)
+    if (parentTag === null) {
+      completions = []
+    } else if (
+      prefix === '' &&
+      hedSchemas.isHed3 &&
+      [defShortTag, defExpandShortTag].some((shortTag) => {
+        return (
+          parentTag.longName.toLowerCase() ===
+          getFormattedSpecialTag(shortTag, hedSchemas)
+        )
+      })
+    ) {
+      completions = getDefinitionCompletions(
+        parentText,
+        typedName.toLowerCase(),
+        definitions,
+        hedSchemas,
+      )
+    } else {
+      completions = getChildCompletions(parentTag, parentText, typedName)
+    }
+  }
+  completions.sort(compareCompletions(typedName.toLowerCase()))
+  return [completions, bounds]
+}
+
+module.exports = {
+  completionKinds: completionKinds,
+  getPartialTag: getPartialTag,
+  getTagCompletions: getTagCompletions,
+  TagCompletion: TagCompletion,
+}
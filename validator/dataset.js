@@ -1,28 +1,629 @@
+const utils = require('../utils')
+const { convertHedStringToLong } = require('../converter/converter')
+const { generateIssue } = require('../utils/issues')
 const { validateHedEvent } = require('./event')
+const { parseHedString, hedStringIsAGroup } = require('./stringParser')
+
+const definitionShortTag = 'definition'
+const defExpandShortTag = 'def-expand'
+const defShortTag = 'def'
+const onsetShortTag = 'onset'
+const offsetShortTag = 'offset'
+const placeholderCharacter = '#'
+
+/**
+ * A parsed HED 3 definition.
+ *
+ * @param {string} name The name of the definition.
+ * @param {ParsedHedTag} definitionTag The Definition tag naming the definition.
+ * @param {ParsedHedTag|null} contentsGroup The tag group holding the definition's contents, if any.
+ * @param {ParsedHedTag[]} contents The tags in the definition's contents group.
+ * @param {ParsedHedString} parsedString The parsed HED string containing the definition.
+ * @constructor
+ */
+const Definition = function (
+  name,
+  definitionTag,
+  contentsGroup,
+  contents,
+  parsedString,
+) {
+  /**
+   * The name of the definition.
+   * @type {string}
+   */
+  this.name = name
+  /**
+   * The Definition tag naming the definition.
+   * @type {ParsedHedTag}
+   */
+  this.definitionTag = definitionTag
+  /**
+   * The tag group holding the definition's contents, or null if the definition is empty.
+   * @type {ParsedHedTag|null}
+   */
+  this.contentsGroup = contentsGroup
+  /**
+   * The tags in the definition's contents group.
+   * @type {ParsedHedTag[]}
+   */
+  this.contents = contents
+  /**
+   * The parsed HED string containing the definition.
+   * @type {ParsedHedString}
+   */
+  this.parsedString = parsedString
+  /**
+   * The HED string containing the definition.
+   * @type {string}
+   */
+  this.hedString = parsedString.hedString
+  /**
+   * Whether this definition takes a placeholder value (e.g. "Definition/Name/#").
+   * @type {boolean}
+   */
+  this.takesPlaceholder =
+    utils.HED.getTagName(definitionTag.formattedTag) === placeholderCharacter
+}
+
+/**
+ * A dictionary mapping lowercase definition names to their definitions.
+ *
+ * @typedef {object<string, Definition>} Definitions
+ */
+
+/**
+ * Get the long, formatted form of a HED 3 special tag (e.g. "Definition").
+ *
+ * @param {string} shortTag The short form of the tag.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @return {string} The long, formatted form of the tag.
+ */
+const getFormattedSpecialTag = function (shortTag, hedSchemas) {
+  const [longTag] = convertHedStringToLong(hedSchemas, shortTag)
+  return longTag.toLowerCase()
+}
+
+/**
+ * Split the value of a special tag (e.g. "Def/Name/Value") into its name and value parts.
+ *
+ * @param {ParsedHedTag} tag The special tag.
+ * @param {string} formattedParentTag The long, formatted form of the special tag's parent.
+ * @return {[string, string|undefined]} The name and value (if any) of the special tag.
+ */
+const splitSpecialTagValue = function (tag, formattedParentTag) {
+  const [name, ...valueParts] = tag.canonicalTag
+    .slice(formattedParentTag.length + 1)
+    .split('/')
+  if (valueParts.length === 0) {
+    return [name, undefined]
+  }
+  return [name, valueParts.join('/')]
+}
+
+/**
+ * Determine whether a tag is a child of a special tag (e.g. "Definition").
+ *
+ * Special tags only exist in the base schema, so library schema tags never match.
+ *
+ * @param {ParsedHedTag} tag The tag to check.
+ * @param {string} formattedParentTag The long, formatted form of the special tag.
+ * @return {boolean} Whether the tag is a child of the special tag.
+ */
+const isSpecialTag = function (tag, formattedParentTag) {
+  return (
+    tag.prefix === '' && tag.formattedTag.startsWith(formattedParentTag + '/')
+  )
+}
+
+/**
+ * Get the parsed contents of a tag group nested inside a parsed HED string.
+ *
+ * @param {ParsedHedString} parsedString The parsed HED string.
+ * @param {ParsedHedTag} groupTag The tag group, as found in its parent group.
+ * @return {ParsedHedTag[]} The tags and groups inside the tag group.
+ */
+const getTagGroupContents = function (parsedString, groupTag) {
+  const groupIndex = parsedString.tagGroupStrings.indexOf(groupTag)
+  if (groupIndex === -1) {
+    return []
+  }
+  return parsedString.tagGroups[groupIndex]
+}
+
+/**
+ * Extract a definition from a top-level tag group, if it holds one.
+ *
+ * @param {ParsedHedTag[]} tagGroup The top-level tag group.
+ * @param {ParsedHedString} parsedString The parsed HED string containing the tag group.
+ * @param {string} formattedDefinitionTag The long, formatted form of the Definition tag.
+ * @return {Definition|null} The definition, or null if the group is not a definition.
+ */
+const getDefinitionFromTagGroup = function (
+  tagGroup,
+  parsedString,
+  formattedDefinitionTag,
+) {
+  const definitionTag = tagGroup.find((tag) => {
+    return isSpecialTag(tag, formattedDefinitionTag)
+  })
+  if (definitionTag === undefined) {
+    return null
+  }
+  const [name] = splitSpecialTagValue(definitionTag, formattedDefinitionTag)
+  const contentsGroup =
+    tagGroup.find((tag) => {
+      return hedStringIsAGroup(tag.originalTag)
+    }) || null
+  const contents =
+    contentsGroup === null
+      ? []
+      : getTagGroupContents(parsedString, contentsGroup)
+  return new Definition(
+    name,
+    definitionTag,
+    contentsGroup,
+    contents,
+    parsedString,
+  )
+}
 
 /**
  * Parse the dataset's definitions and evaluate labels in the dataset.
  *
+ * Strings containing only definitions are removed from the returned list of HED strings.
+ * Definitions whose names were already declared are reported and otherwise ignored.
+ *
  * @param {string[]} hedStrings The dataset's HED strings.
  * @param {Schemas} hedSchemas The HED schema container object.
- * @return {[Definitions, string[]]} The definitions and the evaluated HED strings.
+ * @param {Definitions} [definitions] The definitions parsed so far, to which the new definitions are added.
+ * @return {[Definitions, string[], Issue[]]} The definitions, the evaluated HED strings, and any issues found.
+ */
+const parseDefinitions = function (hedStrings, hedSchemas, definitions = {}) {
+  const issues = []
+  if (!hedSchemas.isHed3) {
+    return [definitions, hedStrings, issues]
+  }
+  const formattedDefinitionTag = getFormattedSpecialTag(
+    definitionShortTag,
+    hedSchemas,
+  )
+  const eventStrings = []
+  for (const hedString of hedStrings) {
+    const [parsedString] = parseHedString(hedString, hedSchemas)
+    let definitionOnly = parsedString.topLevelTags.length === 0
+    for (const tagGroup of parsedString.topLevelTagGroups) {
+      const definition = getDefinitionFromTagGroup(
+        tagGroup,
+        parsedString,
+        formattedDefinitionTag,
+      )
+      if (definition === null) {
+        definitionOnly = false
+        continue
+      }
+      const definitionKey = definition.name.toLowerCase()
+      if (definitionKey in definitions) {
+        issues.push(
+          generateIssue('duplicateDefinition', {
+            definition: definition.name,
+          }),
+        )
+      } else {
+        definitions[definitionKey] = definition
+      }
+    }
+    if (!definitionOnly || parsedString.topLevelTagGroups.length === 0) {
+      eventStrings.push(hedString)
+    }
+  }
+  return [definitions, eventStrings, issues]
+}
+
+/**
+ * Check that a Def or Def-expand tag refers to a defined definition with the correct placeholder arity.
+ *
+ * @param {ParsedHedTag} tag The Def or Def-expand tag.
+ * @param {string} formattedParentTag The long, formatted form of the tag's parent (Def or Def-expand).
+ * @param {Definitions} definitions The parsed dataset definitions.
+ * @param {object<string, boolean>} usedDefinitions The names of the definitions used so far.
+ * @return {Issue[]} Any issues found.
+ */
+const checkDefinitionReference = function (
+  tag,
+  formattedParentTag,
+  definitions,
+  usedDefinitions,
+) {
+  const [name, value] = splitSpecialTagValue(tag, formattedParentTag)
+  const definitionKey = name.toLowerCase()
+  if (!(definitionKey in definitions)) {
+    return [generateIssue('missingDefinition', { definition: name })]
+  }
+  usedDefinitions[definitionKey] = true
+  const definition = definitions[definitionKey]
+  if (definition.takesPlaceholder && value === undefined) {
+    return [
+      generateIssue('missingPlaceholderValue', {
+        tag: tag.originalTag,
+        definition: definition.name,
+      }),
+    ]
+  } else if (!definition.takesPlaceholder && value !== undefined) {
+    return [
+      generateIssue('extraPlaceholderValue', {
+        tag: tag.originalTag,
+        definition: definition.name,
+      }),
+    ]
+  }
+  return []
+}
+
+/**
+ * Check the Def and Def-expand tags in a dataset against its definitions.
+ *
+ * @param {ParsedHedString[]} parsedStrings The dataset's parsed HED strings.
+ * @param {Definitions} definitions The parsed dataset definitions.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {object<string, boolean>} usedDefinitions The names of the definitions used so far, to which the used definitions are added.
+ * @return {Issue[]} Any issues found.
+ */
+const checkDefinitionReferences = function (
+  parsedStrings,
+  definitions,
+  hedSchemas,
+  usedDefinitions,
+) {
+  let issues = []
+  const formattedDefTag = getFormattedSpecialTag(defShortTag, hedSchemas)
+  const formattedDefExpandTag = getFormattedSpecialTag(
+    defExpandShortTag,
+    hedSchemas,
+  )
+  for (const parsedString of parsedStrings) {
+    for (const tag of parsedString.tags) {
+      for (const formattedParentTag of [
+        formattedDefTag,
+        formattedDefExpandTag,
+      ]) {
+        if (isSpecialTag(tag, formattedParentTag)) {
+          issues = issues.concat(
+            checkDefinitionReference(
+              tag,
+              formattedParentTag,
+              definitions,
+              usedDefinitions,
+            ),
+          )
+        }
+      }
+    }
+  }
+  return issues
+}
+
+/**
+ * Check for definitions which are never used.
+ *
+ * @param {Definitions} definitions The parsed dataset definitions.
+ * @param {object<string, boolean>} usedDefinitions The names of the definitions used in the dataset.
+ * @return {Issue[]} Any issues found.
+ */
+const checkUnusedDefinitions = function (definitions, usedDefinitions) {
+  const issues = []
+  for (const definitionKey of Object.keys(definitions)) {
+    if (!usedDefinitions[definitionKey]) {
+      issues.push(
+        generateIssue('unusedDefinition', {
+          definition: definitions[definitionKey].name,
+        }),
+      )
+    }
+  }
+  return issues
+}
+
+/**
+ * Build an order-independent canonical form of a tag group.
+ *
+ * @param {ParsedHedTag[]} tagGroup The tag group.
+ * @param {ParsedHedString} parsedString The parsed HED string containing the tag group.
+ * @param {string} [placeholderValue] The value to substitute for any placeholder.
+ * @return {string} The canonical form of the tag group.
+ */
+const getCanonicalTagGroup = function (
+  tagGroup,
+  parsedString,
+  placeholderValue,
+) {
+  const members = tagGroup.map((tag) => {
+    if (hedStringIsAGroup(tag.originalTag)) {
+      return getCanonicalTagGroup(
+        getTagGroupContents(parsedString, tag),
+        parsedString,
+        placeholderValue,
+      )
+    } else if (placeholderValue !== undefined) {
+      return tag.formattedTag.replace(
+        placeholderCharacter,
+        placeholderValue.toLowerCase(),
+      )
+    } else {
+      return tag.formattedTag
+    }
+  })
+  members.sort()
+  return '(' + members.join(',') + ')'
+}
+
+/**
+ * Check that Def-expand groups match the contents of their definitions.
+ *
+ * References to missing definitions and placeholder mismatches are reported by
+ * {@link checkDefinitionReferences}, so they are skipped here.
+ *
+ * @param {ParsedHedString[]} parsedStrings The dataset's parsed HED strings.
+ * @param {Definitions} definitions The parsed dataset definitions.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @return {Issue[]} Any issues found.
+ */
+const checkDefinitionExpansions = function (
+  parsedStrings,
+  definitions,
+  hedSchemas,
+) {
+  const issues = []
+  const formattedDefExpandTag = getFormattedSpecialTag(
+    defExpandShortTag,
+    hedSchemas,
+  )
+  for (const parsedString of parsedStrings) {
+    for (const tagGroup of parsedString.tagGroups) {
+      const defExpandTag = tagGroup.find((tag) => {
+        return isSpecialTag(tag, formattedDefExpandTag)
+      })
+      if (defExpandTag === undefined) {
+        continue
+      }
+      const [name, value] = splitSpecialTagValue(
+        defExpandTag,
+        formattedDefExpandTag,
+      )
+      const definition = definitions[name.toLowerCase()]
+      if (
+        definition === undefined ||
+        definition.takesPlaceholder !== (value !== undefined)
+      ) {
+        continue
+      }
+      const expansionGroup = tagGroup.find((tag) => {
+        return hedStringIsAGroup(tag.originalTag)
+      })
+      const expansion =
+        expansionGroup === undefined
+          ? '()'
+          : getCanonicalTagGroup(
+              getTagGroupContents(parsedString, expansionGroup),
+              parsedString,
+            )
+      const expectedExpansion = getCanonicalTagGroup(
+        definition.contents,
+        definition.parsedString,
+        value,
+      )
+      if (expansion !== expectedExpansion) {
+        issues.push(
+          generateIssue('defExpandMismatch', {
+            tag: defExpandTag.originalTag,
+            definition: definition.name,
+          }),
+        )
+      }
+    }
+  }
+  return issues
+}
+
+/**
+ * Find the definition referenced by a temporal (Onset or Offset) tag group.
+ *
+ * The definition may be referenced by a Def tag or by a Def-expand group nested in the tag group.
+ *
+ * @param {ParsedHedTag[]} tagGroup The temporal tag group.
+ * @param {ParsedHedString} parsedString The parsed HED string containing the tag group.
+ * @param {string} formattedDefTag The long, formatted form of the Def tag.
+ * @param {string} formattedDefExpandTag The long, formatted form of the Def-expand tag.
+ * @return {[string|null, string|undefined, ParsedHedTag[]]} The definition's name (or null if none was found), its value (if any), and the tag group's other inner groups.
+ */
+const findTemporalGroupDefinition = function (
+  tagGroup,
+  parsedString,
+  formattedDefTag,
+  formattedDefExpandTag,
+) {
+  let definitionName = null
+  let definitionValue
+  const otherGroups = []
+  for (const tag of tagGroup) {
+    if (hedStringIsAGroup(tag.originalTag)) {
+      const defExpandTag = getTagGroupContents(parsedString, tag).find(
+        (groupTag) => {
+          return isSpecialTag(groupTag, formattedDefExpandTag)
+        },
+      )
+      if (defExpandTag !== undefined && definitionName === null) {
+        ;[definitionName, definitionValue] = splitSpecialTagValue(
+          defExpandTag,
+          formattedDefExpandTag,
+        )
+      } else {
+        otherGroups.push(tag)
+      }
+    } else if (isSpecialTag(tag, formattedDefTag) && definitionName === null) {
+      ;[definitionName, definitionValue] = splitSpecialTagValue(
+        tag,
+        formattedDefTag,
+      )
+    }
+  }
+  return [definitionName, definitionValue, otherGroups]
+}
+
+/**
+ * Check that Onset and Offset tag groups are properly paired across an ordered list of HED strings.
+ *
+ * @param {ParsedHedString[]} parsedStrings The dataset's parsed HED strings, in temporal order.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @return {Issue[]} Any issues found.
+ */
+const checkTemporalTags = function (
+  parsedStrings,
+  hedSchemas,
+  checkForWarnings,
+) {
+  const issues = []
+  const formattedOnsetTag = getFormattedSpecialTag(onsetShortTag, hedSchemas)
+  const formattedOffsetTag = getFormattedSpecialTag(offsetShortTag, hedSchemas)
+  const formattedDefTag = getFormattedSpecialTag(defShortTag, hedSchemas)
+  const formattedDefExpandTag = getFormattedSpecialTag(
+    defExpandShortTag,
+    hedSchemas,
+  )
+  const openOnsets = {}
+  for (const parsedString of parsedStrings) {
+    for (const tagGroup of parsedString.topLevelTagGroups) {
+      const temporalTag = tagGroup.find((tag) => {
+        return (
+          tag.formattedTag === formattedOnsetTag ||
+          tag.formattedTag === formattedOffsetTag
+        )
+      })
+      if (temporalTag === undefined) {
+        continue
+      }
+      const [name, value, otherGroups] = findTemporalGroupDefinition(
+        tagGroup,
+        parsedString,
+        formattedDefTag,
+        formattedDefExpandTag,
+      )
+      if (name === null) {
+        issues.push(
+          generateIssue('temporalTagMissingDefinition', {
+            tag: temporalTag.originalTag,
+          }),
+        )
+        continue
+      }
+      const definitionName = value === undefined ? name : name + '/' + value
+      const definitionKey = definitionName.toLowerCase()
+      if (temporalTag.formattedTag === formattedOnsetTag) {
+        if (definitionKey in openOnsets && checkForWarnings) {
+          issues.push(
+            generateIssue('duplicateOnset', { definition: definitionName }),
+          )
+        }
+        openOnsets[definitionKey] = definitionName
+        continue
+      }
+      if (definitionKey in openOnsets) {
+        delete openOnsets[definitionKey]
+      } else {
+        issues.push(
+          generateIssue('unmatchedOffset', { definition: definitionName }),
+        )
+      }
+      if (otherGroups.length > 0) {
+        issues.push(
+          generateIssue('offsetWithTagGroup', { definition: definitionName }),
+        )
+      }
+    }
+  }
+  if (checkForWarnings) {
+    for (const definitionKey of Object.keys(openOnsets)) {
+      issues.push(
+        generateIssue('unclosedOnset', {
+          definition: openOnsets[definitionKey],
+        }),
+      )
+    }
+  }
+  return issues
+}
+
+/**
+ * Perform the dataset-level checks on one temporally ordered part of a HED dataset (e.g. a single events file).
+ *
+ * Onset and Offset tags are only paired within the part. Unused definitions are not reported, since
+ * they may be used in other parts of the dataset.
+ *
+ * @param {Definitions} definitions The parsed dataset definitions.
+ * @param {string[]} hedStrings The part's HED strings, in temporal order.
+ * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
+ * @param {object<string, boolean>} usedDefinitions The names of the definitions used so far, to which the part's used definitions are added.
+ * @return {[boolean, Issue[]]} Whether the part is valid and any issues found.
  */
-const parseDefinitions = function(hedStrings, hedSchemas) {
-  // TODO: Implement
-  return [{}, hedStrings]
+const validateDatasetPart = function (
+  definitions,
+  hedStrings,
+  hedSchemas,
+  checkForWarnings = false,
+  usedDefinitions = {},
+) {
+  if (!hedSchemas.isHed3) {
+    return [true, []]
+  }
+  const parsedStrings = hedStrings.map((hedString) => {
+    const [parsedString] = parseHedString(hedString, hedSchemas)
+    return parsedString
+  })
+  const issues = [].concat(
+    checkDefinitionReferences(
+      parsedStrings,
+      definitions,
+      hedSchemas,
+      usedDefinitions,
+    ),
+    checkDefinitionExpansions(parsedStrings, definitions, hedSchemas),
+    checkTemporalTags(parsedStrings, hedSchemas, checkForWarnings),
+  )
+  return [issues.length === 0, issues]
 }
 
 /**
  * Perform dataset-level validation on a HED dataset.
  *
  * @param {Definitions} definitions The parsed dataset definitions.
- * @param {string[]} hedStrings The dataset's HED strings.
+ * @param {string[]} hedStrings The dataset's HED strings, in temporal order.
  * @param {Schemas} hedSchemas The HED schema container object.
+ * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
  * @return {[boolean, Issue[]]} Whether the HED dataset is valid and any issues found.
  */
-const validateDataset = function(definitions, hedStrings, hedSchemas) {
-  // TODO: Implement
-  return [true, []]
+const validateDataset = function (
+  definitions,
+  hedStrings,
+  hedSchemas,
+  checkForWarnings = false,
+) {
+  if (!hedSchemas.isHed3) {
+    return [true, []]
+  }
+  const usedDefinitions = {}
+  let [, issues] = validateDatasetPart(
+    definitions,
+    hedStrings,
+    hedSchemas,
+    checkForWarnings,
+    usedDefinitions,
+  )
+  if (checkForWarnings) {
+    issues = issues.concat(checkUnusedDefinitions(definitions, usedDefinitions))
+  }
+  return [issues.length === 0, issues]
 }
 
 /**
@@ -33,7 +634,7 @@ const validateDataset = function(definitions, hedStrings, hedSchemas) {
  * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
  * @return {[boolean, Issue[]]} Whether the HED strings are valid and any issues found.
  */
-const validateHedEvents = function(hedStrings, hedSchemas, checkForWarnings) {
+const validateHedEvents = function (hedStrings, hedSchemas, checkForWarnings) {
   let stringsValid = true
   let stringIssues = []
   for (const hedString of hedStrings) {
@@ -56,7 +657,7 @@ const validateHedEvents = function(hedStrings, hedSchemas, checkForWarnings) {
  * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
  * @return {[boolean, Issue[]]} Whether the HED dataset is valid and any issues found.
  */
-const validateHedDataset = function(
+const validateHedDataset = function (
   hedStrings,
   hedSchemas,
   checkForWarnings = false,
@@ -70,12 +671,30 @@ const validateHedDataset = function(
     return [false, stringIssues]
   }
 
-  const [definitions, newHedStrings] = parseDefinitions(hedStrings, hedSchemas)
-  return validateDataset(definitions, newHedStrings, hedSchemas)
+  const [definitions, newHedStrings, definitionIssues] = parseDefinitions(
+    hedStrings,
+    hedSchemas,
+  )
+  const [datasetValid, datasetIssues] = validateDataset(
+    definitions,
+    newHedStrings,
+    hedSchemas,
+    checkForWarnings,
+  )
+  const issues = definitionIssues.concat(datasetIssues)
+  return [datasetValid && definitionIssues.length === 0, issues]
 }
 
 module.exports = {
+  Definition: Definition,
+  getFormattedSpecialTag: getFormattedSpecialTag,
+  splitSpecialTagValue: splitSpecialTagValue,
+  isSpecialTag: isSpecialTag,
+  getTagGroupContents: getTagGroupContents,
+  findTemporalGroupDefinition: findTemporalGroupDefinition,
   parseDefinitions: parseDefinitions,
+  checkUnusedDefinitions: checkUnusedDefinitions,
+  validateDatasetPart: validateDatasetPart,
   validateDataset: validateDataset,
   validateHedEvents: validateHedEvents,
   validateHedDataset: validateHedDataset,
@@ -7,8 +7,10 @@ const {
 } = require('./stringParser')
 const { generateIssue } = require('../utils/issues')
 const { buildSchemaAttributesObject } = require('./schema')
-const { Schemas } = require('../utils/schema')
+const { getAllSchemas, hasSchemas, Schemas } = require('../utils/schema')
 const { convertHedStringToLong } = require('../converter/converter')
+const { getTagNodes } = require('../utils/schemaTags')
+const { getClosestNames } = require('../utils/suggestions')
 
 const openingGroupCharacter = '('
 const closingGroupCharacter = ')'
@@ -162,10 +164,15 @@ const camelCase = /([A-Z-]+\s*[a-z-]*)+/
  */
 const checkCapitalization = function (tag, hedSchemas, doSemanticValidation) {
   const issues = []
-  const tagNames = tag.originalTag.split('/')
+  const unprefixedTag =
+    tag.prefix === ''
+      ? tag.originalTag
+      : tag.originalTag.slice(tag.prefix.length + 1)
+  const tagNames = unprefixedTag.split('/')
   if (
     doSemanticValidation &&
-    utils.HED.tagTakesValue(tag.formattedTag, hedSchemas.baseSchema.attributes)
+    tag.schema &&
+    utils.HED.tagTakesValue(tag.formattedTag, tag.schema.attributes)
   ) {
     tagNames.pop()
   }
@@ -193,6 +200,7 @@ const checkForDuplicateTags = function (tagList) {
       }
       if (
         tagList[i].formattedTag === tagList[j].formattedTag &&
+        tagList[i].prefix === tagList[j].prefix &&
         !duplicateIndices.includes(i) &&
         !duplicateIndices.includes(j)
       ) {
@@ -224,21 +232,25 @@ const checkForDuplicateTags = function (tagList) {
  */
 const checkForMultipleUniqueTags = function (tagList, hedSchemas) {
   const issues = []
-  const uniqueTagPrefixes =
-    hedSchemas.baseSchema.attributes.tagAttributes[uniqueType]
-  for (const uniqueTagPrefix in uniqueTagPrefixes) {
-    let foundOne = false
-    for (const tag of tagList) {
-      if (tag.formattedTag.startsWith(uniqueTagPrefix)) {
-        if (!foundOne) {
-          foundOne = true
-        } else {
-          issues.push(
-            generateIssue('multipleUniqueTags', {
-              tag: uniqueTagPrefix,
-            }),
-          )
-          break
+  for (const schema of getAllSchemas(hedSchemas)) {
+    const uniqueTagPrefixes = schema.attributes.tagAttributes[uniqueType]
+    for (const uniqueTagPrefix in uniqueTagPrefixes) {
+      let foundOne = false
+      for (const tag of tagList) {
+        if (
+          tag.schema === schema &&
+          tag.formattedTag.startsWith(uniqueTagPrefix)
+        ) {
+          if (!foundOne) {
+            foundOne = true
+          } else {
+            issues.push(
+              generateIssue('multipleUniqueTags', {
+                tag: uniqueTagPrefix,
+              }),
+            )
+            break
+          }
         }
       }
     }
@@ -249,9 +261,9 @@ const checkForMultipleUniqueTags = function (tagList, hedSchemas) {
 /**
  * Check if a tag is missing a required child.
  */
-const checkIfTagRequiresChild = function (tag, hedSchemas) {
+const checkIfTagRequiresChild = function (tag) {
   const issues = []
-  const invalid = hedSchemas.baseSchema.attributes.tagHasAttribute(
+  const invalid = tag.schema.attributes.tagHasAttribute(
     tag.formattedTag,
     requireChildType,
   )
@@ -266,27 +278,72 @@ const checkIfTagRequiresChild = function (tag, hedSchemas) {
  */
 const checkForRequiredTags = function (topLevelTags, hedSchemas) {
   const issues = []
-  const requiredTagPrefixes =
-    hedSchemas.baseSchema.attributes.tagAttributes[requiredType]
-  for (const requiredTagPrefix in requiredTagPrefixes) {
-    let foundOne = false
-    for (const tag of topLevelTags) {
-      if (tag.formattedTag.startsWith(requiredTagPrefix)) {
-        foundOne = true
-        break
+  for (const schema of getAllSchemas(hedSchemas)) {
+    const requiredTagPrefixes = schema.attributes.tagAttributes[requiredType]
+    for (const requiredTagPrefix in requiredTagPrefixes) {
+      let foundOne = false
+      for (const tag of topLevelTags) {
+        if (
+          tag.schema === schema &&
+          tag.formattedTag.startsWith(requiredTagPrefix)
+        ) {
+          foundOne = true
+          break
+        }
+      }
+      if (!foundOne) {
+        issues.push(
+          generateIssue('requiredPrefixMissing', {
+            tagPrefix: requiredTagPrefix,
+          }),
+        )
       }
-    }
-    if (!foundOne) {
-      issues.push(
-        generateIssue('requiredPrefixMissing', {
-          tagPrefix: requiredTagPrefix,
-        }),
-      )
     }
   }
   return issues
 }
 
+/**
+ * Suggest units for a tag value with an invalid unit.
+ *
+ * The valid units closest to the typed unit are suggested, or the default unit if none are close.
+ * Unit symbols are compared case-sensitively, and unit names case-insensitively.
+ *
+ * @param {ParsedHedTag} tag A HED tag.
+ * @param {string} originalTagUnitValue The unformatted value of the tag, including its unit.
+ * @param {string[]} tagUnitClassUnits The units of the tag's unit classes.
+ * @return {string[]} The suggested units.
+ */
+const getUnitSuggestions = function (
+  tag,
+  originalTagUnitValue,
+  tagUnitClassUnits,
+) {
+  const attributes = tag.schema.attributes
+  let validUnits = []
+  let unitSymbols = []
+  for (const unit of tagUnitClassUnits) {
+    const derivativeUnits = utils.HED.getValidDerivativeUnits(unit, attributes)
+    validUnits = validUnits.concat(derivativeUnits)
+    if (utils.HED.isUnitSymbol(unit, attributes)) {
+      unitSymbols = unitSymbols.concat(derivativeUnits)
+    }
+  }
+  const typedUnit = utils.HED.getTagName(originalTagUnitValue, ' ')
+  const closestUnits =
+    typedUnit === originalTagUnitValue
+      ? []
+      : getClosestNames(typedUnit, validUnits, 3, unitSymbols)
+  if (closestUnits.length > 0) {
+    return closestUnits
+  }
+  const defaultUnit = utils.HED.getUnitClassDefaultUnit(
+    tag.formattedTag,
+    attributes,
+  )
+  return defaultUnit ? [defaultUnit] : []
+}
+
 /**
  * Check that the unit is valid for the tag's unit class.
  *
@@ -304,23 +361,20 @@ const checkIfTagUnitClassUnitsAreValid = function (
 ) {
   const issues = []
   if (
-    !utils.HED.tagExistsInSchema(
-      tag.formattedTag,
-      hedSchemas.baseSchema.attributes,
-    ) &&
-    utils.HED.isUnitClassTag(tag.formattedTag, hedSchemas.baseSchema.attributes)
+    !utils.HED.tagExistsInSchema(tag.formattedTag, tag.schema.attributes) &&
+    utils.HED.isUnitClassTag(tag.formattedTag, tag.schema.attributes)
   ) {
     const tagUnitClasses = utils.HED.getTagUnitClasses(
       tag.formattedTag,
-      hedSchemas.baseSchema.attributes,
+      tag.schema.attributes,
     )
     const originalTagUnitValue = utils.HED.getTagName(tag.originalTag)
     const formattedTagUnitValue = utils.HED.getTagName(tag.formattedTag)
     const tagUnitClassUnits = utils.HED.getTagUnitClassUnits(
       tag.formattedTag,
-      hedSchemas.baseSchema.attributes,
+      tag.schema.attributes,
     )
-    if (dateTimeUnitClass in hedSchemas.baseSchema.attributes.unitClasses) {
+    if (dateTimeUnitClass in tag.schema.attributes.unitClasses) {
       if (tagUnitClasses.includes(dateTimeUnitClass)) {
         if (utils.string.isDateTime(formattedTagUnitValue)) {
           return []
@@ -330,7 +384,7 @@ const checkIfTagUnitClassUnitsAreValid = function (
         }
       }
     }
-    if (clockTimeUnitClass in hedSchemas.baseSchema.attributes.unitClasses) {
+    if (clockTimeUnitClass in tag.schema.attributes.unitClasses) {
       if (tagUnitClasses.includes(clockTimeUnitClass)) {
         if (utils.string.isClockFaceTime(formattedTagUnitValue)) {
           return []
@@ -339,7 +393,7 @@ const checkIfTagUnitClassUnitsAreValid = function (
           return issues
         }
       }
-    } else if (timeUnitClass in hedSchemas.baseSchema.attributes.unitClasses) {
+    } else if (timeUnitClass in tag.schema.attributes.unitClasses) {
       if (
         tagUnitClasses.includes(timeUnitClass) &&
         tag.originalTag.includes(':')
@@ -355,12 +409,12 @@ const checkIfTagUnitClassUnitsAreValid = function (
     const [foundUnit, validUnit, value] = utils.HED.validateUnits(
       originalTagUnitValue,
       tagUnitClassUnits,
-      hedSchemas.baseSchema.attributes,
+      tag.schema.attributes,
     )
     const validValue = utils.HED.validateValue(
       value,
       allowPlaceholders,
-      hedSchemas.baseSchema.attributes.tagHasAttribute(
+      tag.schema.attributes.tagHasAttribute(
         utils.HED.replaceTagNameWithPound(tag.formattedTag),
         'isNumeric',
       ),
@@ -369,7 +423,7 @@ const checkIfTagUnitClassUnitsAreValid = function (
     if (!foundUnit && checkForWarnings) {
       const defaultUnit = utils.HED.getUnitClassDefaultUnit(
         tag.formattedTag,
-        hedSchemas.baseSchema.attributes,
+        tag.schema.attributes,
       )
       issues.push(
         generateIssue('unitClassDefaultUsed', {
@@ -382,6 +436,11 @@ const checkIfTagUnitClassUnitsAreValid = function (
         generateIssue('unitClassInvalidUnit', {
           tag: tag.originalTag,
           unitClassUnits: tagUnitClassUnits.sort().join(','),
+          suggestions: getUnitSuggestions(
+            tag,
+            originalTagUnitValue,
+            tagUnitClassUnits,
+          ),
         }),
       )
     } else if (!validValue) {
@@ -403,19 +462,13 @@ const checkIfTagUnitClassUnitsAreValid = function (
  */
 const checkValueTagSyntax = function (tag, hedSchemas, allowPlaceholders) {
   if (
-    utils.HED.tagTakesValue(
-      tag.formattedTag,
-      hedSchemas.baseSchema.attributes,
-    ) &&
-    !utils.HED.isUnitClassTag(
-      tag.formattedTag,
-      hedSchemas.baseSchema.attributes,
-    )
+    utils.HED.tagTakesValue(tag.formattedTag, tag.schema.attributes) &&
+    !utils.HED.isUnitClassTag(tag.formattedTag, tag.schema.attributes)
   ) {
     const isValidValue = utils.HED.validateValue(
       utils.HED.getTagName(tag.formattedTag),
       allowPlaceholders,
-      hedSchemas.baseSchema.attributes.tagHasAttribute(
+      tag.schema.attributes.tagHasAttribute(
         utils.HED.replaceTagNameWithPound(tag.formattedTag),
         'isNumeric',
       ),
@@ -432,6 +485,61 @@ const checkValueTagSyntax = function (tag, hedSchemas, allowPlaceholders) {
   }
 }
 
+/**
+ * Suggest schema tags for an invalid tag.
+ *
+ * The first level of the tag missing from the schema is compared with the names of the schema tags
+ * which could take its place. Each suggestion is the tag with that level replaced by the long form
+ * of a close schema tag. Suggestions matching the tag itself, regardless of case, are left out.
+ *
+ * @param {ParsedHedTag} tag A HED tag.
+ * @return {string[]} The suggested tags.
+ */
+const getTagSuggestions = function (tag) {
+  const tagLevels = tag.formattedTag.split('/')
+  let candidates = Array.from(getTagNodes(tag.schema).values()).filter(
+    (tagNode) => tagNode.parent === null,
+  )
+  let levelIndex = 0
+  for (; levelIndex < tagLevels.length; levelIndex++) {
+    const tagNode = candidates.find((candidate) => {
+      return candidate.shortName.toLowerCase() === tagLevels[levelIndex]
+    })
+    if (tagNode === undefined) {
+      break
+    }
+    candidates = tagNode.children
+  }
+  if (levelIndex === tagLevels.length) {
+    return []
+  }
+  const originalTag = tag.originalTag.trim().replace(/^\/|\/$/g, '')
+  // Later levels are extensions, which are identical in the original and canonical forms.
+  const trailingLevelCount = tagLevels.length - levelIndex - 1
+  const trailingLevels =
+    trailingLevelCount === 0
+      ? []
+      : originalTag.split('/').slice(-trailingLevelCount)
+  const prefixText = tag.prefix === '' ? '' : tag.prefix + ':'
+  const candidateSuggestions = new Map()
+  for (const candidate of candidates) {
+    const suggestion =
+      prefixText + [candidate.longName].concat(trailingLevels).join('/')
+    if (
+      candidate.shortName !== '#' &&
+      suggestion.toLowerCase() !== originalTag.toLowerCase()
+    ) {
+      candidateSuggestions.set(candidate.shortName, suggestion)
+    }
+  }
+  return getClosestNames(
+    tagLevels[levelIndex],
+    Array.from(candidateSuggestions.keys()),
+  ).map((name) => {
+    return candidateSuggestions.get(name)
+  })
+}
+
 /**
  * Check if an individual HED tag is in the schema or is an allowed extension.
  */
@@ -444,24 +552,21 @@ const checkIfTagIsValid = function (
 ) {
   const issues = []
   if (
-    utils.HED.tagExistsInSchema(
-      tag.formattedTag,
-      hedSchemas.baseSchema.attributes,
-    ) || // This tag itself exists in the HED schema.
-    utils.HED.tagTakesValue(tag.formattedTag, hedSchemas.baseSchema.attributes) // This tag is a valid value-taking tag in the HED schema.
+    utils.HED.tagExistsInSchema(tag.formattedTag, tag.schema.attributes) || // This tag itself exists in the HED schema.
+    utils.HED.tagTakesValue(tag.formattedTag, tag.schema.attributes) // This tag is a valid value-taking tag in the HED schema.
   ) {
     return []
   }
   // Whether this tag has an ancestor with the 'extensionAllowed' attribute.
   const isExtensionAllowedTag = utils.HED.isExtensionAllowedTag(
     tag.formattedTag,
-    hedSchemas.baseSchema.attributes,
+    tag.schema.attributes,
   )
   if (allowPlaceholders && tag.formattedTag.split('#').length === 2) {
     const valueTag = utils.HED.replaceTagNameWithPound(tag.formattedTag)
     if (
       valueTag.split('#').length !== 2 || // To avoid a redundant issue.
-      utils.HED.tagTakesValue(valueTag, hedSchemas.baseSchema.attributes)
+      utils.HED.tagTakesValue(valueTag, tag.schema.attributes)
     ) {
       return []
     } else {
@@ -477,7 +582,7 @@ const checkIfTagIsValid = function (
     !isExtensionAllowedTag &&
     utils.HED.tagTakesValue(
       previousTag.formattedTag,
-      hedSchemas.baseSchema.attributes,
+      previousTag.schema.attributes,
     )
   ) {
     // This tag isn't an allowed extension, but the previous tag takes a value.
@@ -491,7 +596,12 @@ const checkIfTagIsValid = function (
     return issues
   } else if (!isExtensionAllowedTag) {
     // This is not a valid tag.
-    issues.push(generateIssue('invalidTag', { tag: tag.originalTag }))
+    issues.push(
+      generateIssue('invalidTag', {
+        tag: tag.originalTag,
+        suggestions: getTagSuggestions(tag),
+      }),
+    )
     return issues
   } else {
     // This is an allowed extension.
@@ -621,20 +731,22 @@ const checkDefinitionSyntax = function (tagGroup, hedSchemas) {
 /**
  * Check for invalid top-level tags.
  *
+ * Tags without a schema (e.g. with an unknown prefix) are skipped.
+ *
  * @param {ParsedHedTag[]} topLevelTags The list of top-level tags.
- * @param {Schemas} hedSchemas The HED schema collection.
  * @return {Issue[]} Any issues found.
  */
-const checkForInvalidTopLevelTags = function (topLevelTags, hedSchemas) {
+const checkForInvalidTopLevelTags = function (topLevelTags) {
   const issues = []
   for (const topLevelTag of topLevelTags) {
     if (
+      topLevelTag.schema &&
       !hedStringIsAGroup(topLevelTag.formattedTag) &&
-      (hedSchemas.baseSchema.attributes.tagHasAttribute(
+      (topLevelTag.schema.attributes.tagHasAttribute(
         topLevelTag.formattedTag,
         tagGroupType,
       ) ||
-        hedSchemas.baseSchema.attributes.tagHasAttribute(
+        topLevelTag.schema.attributes.tagHasAttribute(
           utils.HED.getParentTag(topLevelTag.formattedTag),
           tagGroupType,
         ))
@@ -652,26 +764,25 @@ const checkForInvalidTopLevelTags = function (topLevelTags, hedSchemas) {
 /**
  * Check for invalid top-level tag group tags.
  *
+ * Tags without a schema (e.g. with an unknown prefix) are skipped.
+ *
  * @param {ParsedHedString} parsedString The parsed HED string to validate.
- * @param {Schemas} hedSchemas The HED schema collection.
  * @return {Issue[]} Any issues found.
  */
-const checkForInvalidTopLevelTagGroupTags = function (
-  parsedString,
-  hedSchemas,
-) {
+const checkForInvalidTopLevelTagGroupTags = function (parsedString) {
   let issues = []
   const topLevelTagGroupTagsFound = {}
   for (const tag of parsedString.tags) {
     if (
-      hedSchemas.baseSchema.attributes.tagHasAttribute(
+      tag.schema &&
+      (tag.schema.attributes.tagHasAttribute(
         tag.formattedTag,
         topLevelTagGroupType,
       ) ||
-      hedSchemas.baseSchema.attributes.tagHasAttribute(
-        utils.HED.getParentTag(tag.formattedTag),
-        topLevelTagGroupType,
-      )
+        tag.schema.attributes.tagHasAttribute(
+          utils.HED.getParentTag(tag.formattedTag),
+          topLevelTagGroupType,
+        ))
     ) {
       let tagFound = false
       parsedString.topLevelTagGroups.forEach((tagGroup, index) => {
@@ -727,7 +838,7 @@ const validateIndividualHedTag = function (
   allowPlaceholders,
 ) {
   let issues = []
-  if (doSemanticValidation) {
+  if (doSemanticValidation && tag.schema) {
     issues = issues.concat(
       checkIfTagIsValid(
         tag,
@@ -742,7 +853,7 @@ const validateIndividualHedTag = function (
         checkForWarnings,
         allowPlaceholders,
       ),
-      checkIfTagRequiresChild(tag, hedSchemas),
+      checkIfTagRequiresChild(tag),
       checkValueTagSyntax(tag, hedSchemas, allowPlaceholders),
     )
   }
@@ -837,6 +948,20 @@ const validateHedTagGroup = function (originalTagGroup, parsedTagGroup) {
   return []
 }
 
+/**
+ * Check that a parsed HED event string has no column references, which must be expanded before validation.
+ *
+ * @param {ParsedHedString} parsedString The parsed HED string.
+ * @return {Issue[]} Any issues found.
+ */
+const checkForColumnReferences = function (parsedString) {
+  return parsedString.columnReferences.map((columnReference) => {
+    return generateIssue('unexpandedColumnReference', {
+      column: columnReference.columnName,
+    })
+  })
+}
+
 /**
  * Validate the HED tag groups in a parsed HED string.
  */
@@ -861,11 +986,8 @@ const validateTopLevelTags = function (
 ) {
   let issues = []
   const topLevelTags = parsedString.topLevelTags
-  if (hedSchemas.isHed3) {
-    // This is false when doSemanticValidation is false (i.e. there is no loaded schema).
-    issues = issues.concat(
-      checkForInvalidTopLevelTags(topLevelTags, hedSchemas),
-    )
+  if (doSemanticValidation && hedSchemas.isHed3) {
+    issues = issues.concat(checkForInvalidTopLevelTags(topLevelTags))
   }
   if (doSemanticValidation && checkForWarnings) {
     issues = issues.concat(checkForRequiredTags(topLevelTags, hedSchemas))
@@ -887,7 +1009,7 @@ const validateTopLevelTagGroups = function (
   doSemanticValidation,
 ) {
   if (doSemanticValidation) {
-    return checkForInvalidTopLevelTagGroupTags(parsedString, hedSchemas)
+    return checkForInvalidTopLevelTagGroupTags(parsedString)
   } else {
     return []
   }
@@ -907,10 +1029,10 @@ const initiallyValidateHedString = function (
   doSemanticValidation,
 ) {
   if (doSemanticValidation) {
-    if (!hedSchemas.baseSchema.attributes) {
-      hedSchemas.baseSchema.attributes = buildSchemaAttributesObject(
-        hedSchemas.baseSchema.xmlData,
-      )
+    for (const schema of getAllSchemas(hedSchemas)) {
+      if (!schema.attributes) {
+        schema.attributes = buildSchemaAttributesObject(schema.xmlData)
+      }
     }
   }
   // Skip parsing if we're passed an already-parsed string.
@@ -959,10 +1081,13 @@ const initiallyValidateHedString = function (
 /**
  * Validate a HED string.
  *
+ * Column references (e.g. "{response_time}") are only valid in sidecar strings, which are validated
+ * with placeholders allowed.
+ *
  * @param {string|ParsedHedString} hedString The HED string to validate.
  * @param {Schemas} hedSchemas The HED schemas to validate against.
  * @param {boolean} checkForWarnings Whether to check for warnings or only errors.
- * @param {boolean} allowPlaceholders Whether to treat value-taking tags with '#' placeholders as valid.
+ * @param {boolean} allowPlaceholders Whether to treat value-taking tags with '#' placeholders and column references as valid.
  * @returns {[boolean, Issue[]]} Whether the HED string is valid and any issues found.
  */
 const validateHedString = function (
@@ -971,7 +1096,8 @@ const validateHedString = function (
   checkForWarnings = false,
   allowPlaceholders = false,
 ) {
-  let doSemanticValidation = hedSchemas instanceof Schemas
+  let doSemanticValidation =
+    hedSchemas instanceof Schemas && hasSchemas(hedSchemas)
   if (!doSemanticValidation) {
     hedSchemas = new Schemas(null)
   }
@@ -993,6 +1119,7 @@ const validateHedString = function (
       allowPlaceholders,
     ),
     validateHedTagGroups(parsedString),
+    allowPlaceholders ? [] : checkForColumnReferences(parsedString),
   )
   if (issues.length === 0) {
     return [true, []]
@@ -1014,7 +1141,8 @@ const validateHedEvent = function (
   hedSchemas,
   checkForWarnings = false,
 ) {
-  const doSemanticValidation = hedSchemas instanceof Schemas
+  const doSemanticValidation =
+    hedSchemas instanceof Schemas && hasSchemas(hedSchemas)
   if (!doSemanticValidation) {
     hedSchemas = new Schemas(null)
   }
@@ -1040,6 +1168,7 @@ const validateHedEvent = function (
     ),
     validateHedTagLevels(parsedString, hedSchemas, doSemanticValidation),
     validateHedTagGroups(parsedString),
+    checkForColumnReferences(parsedString),
   )
   if (issues.length === 0) {
     return [true, []]
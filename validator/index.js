@@ -1,10 +1,24 @@
+const completion = require('./completion')
 const dataset = require('./dataset')
 const event = require('./event')
 const schema = require('./schema')
+const schemaCompliance = require('./schemaCompliance')
+const schemaDiff = require('./schemaDiff')
+const schemaSerializer = require('./schemaSerializer')
+const { SchemaStore } = require('../utils/schemaStore')
 
 module.exports = {
   buildSchema: schema.buildSchema,
+  buildSchemas: schema.buildSchemas,
+  diffSchemas: schemaDiff.diffSchemas,
+  formatSchemaChangelog: schemaDiff.formatSchemaChangelog,
+  getTagCompletions: completion.getTagCompletions,
+  schemaFromJson: schemaSerializer.schemaFromJson,
+  SchemaStore: SchemaStore,
+  schemaToJson: schemaSerializer.schemaToJson,
+  schemaToXml: schemaSerializer.schemaToXml,
   validateHedDataset: dataset.validateHedDataset,
   validateHedEvent: event.validateHedEvent,
   validateHedString: event.validateHedString,
+  validateSchema: schemaCompliance.validateSchema,
 }
@@ -664,6 +664,19 @@ const SchemaAttributes = function (schemaDictionaries) {
   this.tagHasAttribute = tagHasAttribute
 }
 
+/**
+ * Determine whether schema XML data uses the HED 3 format, which declares attributes in schema attribute definitions.
+ *
+ * @param {object} rootElement The root element of the schema XML data.
+ * @return {boolean} Whether the schema uses the HED 3 format.
+ */
+const isV3SchemaFormat = function (rootElement) {
+  return (
+    rootElement.$.library !== undefined ||
+    semver.gte(rootElement.$.version, '8.0.0-alpha.3')
+  )
+}
+
 /**
  * Build a schema attributes object from schema XML data.
  *
@@ -674,7 +687,7 @@ const buildSchemaAttributesObject = function (xmlData) {
   const rootElement = xmlData.HED
   schemaUtils.setParent(rootElement, null)
   let schemaDictionaries
-  if (semver.gte(rootElement.$.version, '8.0.0-alpha.3')) {
+  if (isV3SchemaFormat(rootElement)) {
     schemaDictionaries = Object.create(V3SchemaDictionaries)
   } else {
     schemaDictionaries = Object.create(V2SchemaDictionaries)
@@ -685,27 +698,49 @@ const buildSchemaAttributesObject = function (xmlData) {
   return new SchemaAttributes(schemaDictionaries)
 }
 
+/**
+ * Build a schema object from schema XML data.
+ *
+ * @param {object} xmlData The schema XML data.
+ * @return {Schema} The schema object.
+ */
+const buildSchemaObject = function (xmlData) {
+  const schemaAttributes = buildSchemaAttributesObject(xmlData)
+  const mapping = buildMappingObject(xmlData)
+  return new schemaUtils.Schema(xmlData, schemaAttributes, mapping)
+}
+
 /**
  * Build a schema container object from a base schema version or path description.
  *
- * @param {{path: string?, version: string?}} schemaDef The description of which base schema to use.
+ * @param {{path: string?, version: string?, store: SchemaStore?}} schemaDef The description of which base schema to use.
  * @return {Promise<never>|Promise<Schemas>} The schema container object or an error.
  */
 const buildSchema = function (schemaDef = {}) {
   return schemaUtils.loadSchema(schemaDef).then((xmlData) => {
-    const schemaAttributes = buildSchemaAttributesObject(xmlData)
-    const mapping = buildMappingObject(xmlData)
-    const baseSchema = new schemaUtils.Schema(
-      xmlData,
-      schemaAttributes,
-      mapping,
-    )
+    const baseSchema = buildSchemaObject(xmlData)
     return new schemaUtils.Schemas(baseSchema)
   })
 }
 
+/**
+ * Build a schema container object from an optional base schema and any number of library schemas.
+ *
+ * Library schemas are described by a prefix (e.g. "sc") along with their version or path, and the tags in their
+ * namespace are written with that prefix (e.g. "sc:Some-tag").
+ *
+ * @param {{path: string?, library: string?, version: string?, prefix: string?, store: SchemaStore?}[]} schemaDefs The descriptions of which schemas to use. At most one may be unprefixed.
+ * @return {Promise<never>|Promise<Schemas>} The schema container object or an error.
+ */
+const buildSchemas = function (schemaDefs) {
+  return schemaUtils.buildSchemas(schemaDefs, buildSchemaObject)
+}
+
 module.exports = {
   buildSchema: buildSchema,
+  buildSchemas: buildSchemas,
+  buildSchemaObject: buildSchemaObject,
   buildSchemaAttributesObject: buildSchemaAttributesObject,
+  isV3SchemaFormat: isV3SchemaFormat,
   SchemaAttributes: SchemaAttributes,
 }
@@ -0,0 +1,283 @@
+const { generateIssue } = require('../utils/issues')
+const { Schema } = require('../utils/schema')
+const { isV3SchemaFormat } = require('./schema')
+
+const placeholderName = '#'
+const nodeNamePattern = /^[A-Za-z0-9_-]+$/
+const defaultUnitsAttribute = 'defaultUnits'
+const unitClassAttribute = 'unitClass'
+
+/**
+ * Get the name of a schema XML element.
+ *
+ * @param {object} element The schema XML element.
+ * @return {string} The element's name.
+ */
+const getElementName = function (element) {
+  return element.name[0]._
+}
+
+/**
+ * Get the attributes of a schema XML element.
+ *
+ * @param {object} element The schema XML element.
+ * @return {object<string, string[]>} The element's attribute values, keyed by attribute name. Boolean attributes have no values.
+ */
+const getElementAttributes = function (element) {
+  const attributes = {}
+  for (const attribute of element.attribute || []) {
+    const values = (attribute.value || []).map((value) => value._)
+    attributes[getElementName(attribute)] = values
+  }
+  return attributes
+}
+
+/**
+ * Get the definition elements in a section of the schema XML data.
+ *
+ * @param {object} rootElement The root element of the schema XML data.
+ * @param {string} sectionName The name of the section element (e.g. "unitClassDefinitions").
+ * @param {string} definitionName The name of the definition elements (e.g. "unitClassDefinition").
+ * @return {object[]} The definition elements.
+ */
+const getDefinitionElements = function (
+  rootElement,
+  sectionName,
+  definitionName,
+) {
+  if (!rootElement[sectionName]) {
+    return []
+  }
+  return rootElement[sectionName][0][definitionName] || []
+}
+
+/**
+ * Collect the tag nodes of a schema, along with their long-form paths.
+ *
+ * @param {object[]} nodeElements The node elements to collect.
+ * @param {string} parentPath The long-form path of the parent node, or the empty string at the top level.
+ * @param {{element: object, path: string, siblings: object[]}[]} nodes The list to add the collected nodes to.
+ */
+const collectNodes = function (nodeElements, parentPath, nodes) {
+  for (const element of nodeElements) {
+    const name = getElementName(element)
+    const path = parentPath === '' ? name : parentPath + '/' + name
+    nodes.push({ element: element, path: path, siblings: nodeElements })
+    collectNodes(element.node || [], path, nodes)
+  }
+}
+
+/**
+ * Check that tag node names only contain legal characters, and that placeholder nodes have no siblings.
+ *
+ * @param {{element: object, path: string, siblings: object[]}[]} nodes The tag nodes.
+ * @return {Issue[]} Any issues found.
+ */
+const checkNodeNames = function (nodes) {
+  const issues = []
+  for (const node of nodes) {
+    const name = getElementName(node.element)
+    if (name === placeholderName) {
+      if (node.siblings.length > 1) {
+        issues.push(
+          generateIssue('placeholderWithSiblings', { tag: node.path }),
+        )
+      }
+    } else if (!nodeNamePattern.test(name)) {
+      issues.push(
+        generateIssue('invalidSchemaNodeName', { tag: node.path, name: name }),
+      )
+    }
+  }
+  return issues
+}
+
+/**
+ * Check that no two tag nodes share a short name.
+ *
+ * @param {{element: object, path: string, siblings: object[]}[]} nodes The tag nodes.
+ * @return {Issue[]} Any issues found.
+ */
+const checkDuplicateNodes = function (nodes) {
+  const pathsByName = {}
+  for (const node of nodes) {
+    const name = getElementName(node.element)
+    if (name === placeholderName) {
+      continue
+    }
+    const lowercaseName = name.toLowerCase()
+    if (!(lowercaseName in pathsByName)) {
+      pathsByName[lowercaseName] = [name, []]
+    }
+    pathsByName[lowercaseName][1].push(node.path)
+  }
+  const issues = []
+  for (const lowercaseName of Object.keys(pathsByName)) {
+    const [name, paths] = pathsByName[lowercaseName]
+    if (paths.length > 1) {
+      issues.push(
+        generateIssue('duplicateSchemaNode', {
+          tag: name,
+          paths: paths.join('", "'),
+        }),
+      )
+    }
+  }
+  return issues
+}
+
+/**
+ * Check that every attribute used in the schema is declared in its schema attribute definitions.
+ *
+ * @param {{element: object, name: string}[]} elements The elements using attributes, with their names for issue messages.
+ * @param {Set<string>} declaredAttributes The declared attribute names.
+ * @return {Issue[]} Any issues found.
+ */
+const checkUndeclaredAttributes = function (elements, declaredAttributes) {
+  const issues = []
+  for (const { element, name } of elements) {
+    for (const attribute of Object.keys(getElementAttributes(element))) {
+      if (!declaredAttributes.has(attribute)) {
+        issues.push(
+          generateIssue('undeclaredSchemaAttribute', {
+            attribute: attribute,
+            element: name,
+          }),
+        )
+      }
+    }
+  }
+  return issues
+}
+
+/**
+ * Check that the unit classes of value-taking nodes exist.
+ *
+ * @param {{element: object, path: string, siblings: object[]}[]} nodes The tag nodes.
+ * @param {object<string, string[]>} unitClasses The units of each unit class, keyed by unit class name.
+ * @return {Issue[]} Any issues found.
+ */
+const checkNodeUnitClasses = function (nodes, unitClasses) {
+  const issues = []
+  for (const node of nodes) {
+    const attributes = getElementAttributes(node.element)
+    for (const value of attributes[unitClassAttribute] || []) {
+      for (const unitClass of value.split(',')) {
+        if (!(unitClass.trim() in unitClasses)) {
+          issues.push(
+            generateIssue('unknownSchemaUnitClass', {
+              tag: node.path,
+              unitClass: unitClass.trim(),
+            }),
+          )
+        }
+      }
+    }
+  }
+  return issues
+}
+
+/**
+ * Check that the default units of each unit class are among its units.
+ *
+ * @param {object[]} unitClassElements The unit class definition elements.
+ * @param {object<string, string[]>} unitClasses The units of each unit class, keyed by unit class name.
+ * @return {Issue[]} Any issues found.
+ */
+const checkDefaultUnits = function (unitClassElements, unitClasses) {
+  const issues = []
+  for (const unitClassElement of unitClassElements) {
+    const unitClass = getElementName(unitClassElement)
+    const attributes = getElementAttributes(unitClassElement)
+    for (const defaultUnit of attributes[defaultUnitsAttribute] || []) {
+      if (!unitClasses[unitClass].includes(defaultUnit)) {
+        issues.push(
+          generateIssue('invalidSchemaDefaultUnit', {
+            unitClass: unitClass,
+            unit: defaultUnit,
+          }),
+        )
+      }
+    }
+  }
+  return issues
+}
+
+/**
+ * Check a HED schema for problems in the schema itself.
+ *
+ * This checks for duplicate short names, node names with illegal characters, placeholder nodes
+ * with siblings, undeclared attributes, unknown unit classes, and default units missing from
+ * their unit class. Only HED 3 format schemas can be checked.
+ *
+ * @param {object|Schema} xmlOrSchema The schema XML data, or a loaded schema.
+ * @return {[boolean, Issue[]]} Whether the schema is valid and any issues found.
+ */
+const validateSchema = function (xmlOrSchema) {
+  const xmlData =
+    xmlOrSchema instanceof Schema ? xmlOrSchema.xmlData : xmlOrSchema
+  const rootElement = xmlData.HED
+  if (!isV3SchemaFormat(rootElement)) {
+    return [
+      false,
+      [
+        generateIssue('unsupportedSchemaFormat', {
+          version: rootElement.$.version,
+        }),
+      ],
+    ]
+  }
+  const nodes = []
+  collectNodes(rootElement.node || [], '', nodes)
+  const unitClassElements = getDefinitionElements(
+    rootElement,
+    'unitClassDefinitions',
+    'unitClassDefinition',
+  )
+  const unitModifierElements = getDefinitionElements(
+    rootElement,
+    'unitModifierDefinitions',
+    'unitModifierDefinition',
+  )
+  const declaredAttributes = new Set(
+    getDefinitionElements(
+      rootElement,
+      'schemaAttributeDefinitions',
+      'schemaAttributeDefinition',
+    ).map(getElementName),
+  )
+  const unitClasses = {}
+  const attributeElements = nodes.map((node) => {
+    return { element: node.element, name: node.path }
+  })
+  for (const unitClassElement of unitClassElements) {
+    const unitClass = getElementName(unitClassElement)
+    const unitElements = unitClassElement.unit || []
+    unitClasses[unitClass] = unitElements.map(getElementName)
+    attributeElements.push({ element: unitClassElement, name: unitClass })
+    for (const unitElement of unitElements) {
+      attributeElements.push({
+        element: unitElement,
+        name: unitClass + '/' + getElementName(unitElement),
+      })
+    }
+  }
+  for (const unitModifierElement of unitModifierElements) {
+    attributeElements.push({
+      element: unitModifierElement,
+      name: getElementName(unitModifierElement),
+    })
+  }
+  const issues = [].concat(
+    checkDuplicateNodes(nodes),
+    checkNodeNames(nodes),
+    checkUndeclaredAttributes(attributeElements, declaredAttributes),
+    checkNodeUnitClasses(nodes, unitClasses),
+    checkDefaultUnits(unitClassElements, unitClasses),
+  )
+  return [issues.length === 0, issues]
+}
+
+module.exports = {
+  validateSchema: validateSchema,
+}
@@ -0,0 +1,522 @@
+const { buildSchemaAttributesObject } = require('./schema')
+
+const placeholderName = '#'
+
+/**
+ * A change to the value of a schema attribute.
+ *
+ * @param {string} attribute The attribute name.
+ * @param {boolean|string|string[]|null} oldValue The value in the old schema, or null if the attribute was absent.
+ * @param {boolean|string|string[]|null} newValue The value in the new schema, or null if the attribute is absent.
+ * @constructor
+ */
+const AttributeChange = function (attribute, oldValue, newValue) {
+  /**
+   * The attribute name.
+   * @type {string}
+   */
+  this.attribute = attribute
+  /**
+   * The value in the old schema, or null if the attribute was absent.
+   * @type {boolean|string|string[]|null}
+   */
+  this.oldValue = oldValue
+  /**
+   * The value in the new schema, or null if the attribute is absent.
+   * @type {boolean|string|string[]|null}
+   */
+  this.newValue = newValue
+}
+
+/**
+ * A structured difference between two versions of a HED schema.
+ *
+ * @param {string} oldVersion The label of the old schema version.
+ * @param {string} newVersion The label of the new schema version.
+ * @constructor
+ */
+const SchemaDiff = function (oldVersion, newVersion) {
+  /**
+   * The label of the old schema version.
+   * @type {string}
+   */
+  this.oldVersion = oldVersion
+  /**
+   * The label of the new schema version.
+   * @type {string}
+   */
+  this.newVersion = newVersion
+  /**
+   * The long forms of the tags only in the new schema.
+   * @type {string[]}
+   */
+  this.addedTags = []
+  /**
+   * The long forms of the tags only in the old schema.
+   * @type {string[]}
+   */
+  this.removedTags = []
+  /**
+   * The tags whose short name is in both schemas under different long forms.
+   * @type {{shortTag: string, oldLongTag: string, newLongTag: string}[]}
+   */
+  this.movedTags = []
+  /**
+   * The attribute changes of the tags in both schemas, keyed by the tag's long form in the new schema.
+   * @type {{tag: string, changes: AttributeChange[]}[]}
+   */
+  this.changedTags = []
+  /**
+   * The unit class changes.
+   * @type {{added: string[], removed: string[], changed: {unitClass: string, addedUnits: string[], removedUnits: string[], changes: AttributeChange[]}[]}}
+   */
+  this.unitClasses = { added: [], removed: [], changed: [] }
+  /**
+   * The unit modifier changes.
+   * @type {{added: string[], removed: string[], changed: {unitModifier: string, changes: AttributeChange[]}[]}}
+   */
+  this.unitModifiers = { added: [], removed: [], changed: [] }
+}
+
+/**
+ * Get a schema's label for diffs and changelogs.
+ *
+ * @param {Schema} schema A HED schema.
+ * @return {string} The schema's library name (if any) and version.
+ */
+const getSchemaLabel = function (schema) {
+  if (schema.library) {
+    return schema.library + '_' + schema.version
+  }
+  return schema.version
+}
+
+/**
+ * Get the attributes object of a schema, building it first if necessary.
+ *
+ * @param {Schema} schema A HED schema.
+ * @return {SchemaAttributes} The schema's attributes.
+ */
+const getSchemaAttributes = function (schema) {
+  if (!schema.attributes) {
+    schema.attributes = buildSchemaAttributesObject(schema.xmlData)
+  }
+  return schema.attributes
+}
+
+/**
+ * Get the long forms of a schema's tags, keyed by their lowercase forms.
+ *
+ * Value-taking placeholder nodes are included, with their long forms ending in "/#".
+ *
+ * @param {Schema} schema A HED schema.
+ * @return {object<string, string>} The long forms of the tags.
+ */
+const getLongTags = function (schema) {
+  const longTags = {}
+  for (const shortTag of Object.keys(schema.mapping.mappingData)) {
+    const tagEntries = [].concat(schema.mapping.mappingData[shortTag])
+    for (const tagEntry of tagEntries) {
+      longTags[tagEntry.longFormattedTag] = tagEntry.longTag
+    }
+  }
+  const attributes = getSchemaAttributes(schema)
+  const formattedTags = new Set(Object.keys(attributes.tagUnitClasses || {}))
+  for (const attribute of Object.keys(attributes.tagAttributes)) {
+    for (const formattedTag of Object.keys(
+      attributes.tagAttributes[attribute],
+    )) {
+      formattedTags.add(formattedTag)
+    }
+  }
+  for (const formattedTag of formattedTags) {
+    const parentTag = formattedTag.slice(0, -(placeholderName.length + 1))
+    if (formattedTag.endsWith('/' + placeholderName) && parentTag in longTags) {
+      longTags[formattedTag] = longTags[parentTag] + '/' + placeholderName
+    }
+  }
+  return longTags
+}
+
+/**
+ * Get the resolved attributes of a tag.
+ *
+ * @param {SchemaAttributes} attributes The schema attributes.
+ * @param {string} formattedTag The lowercase long form of the tag.
+ * @return {object<string, boolean|string|string[]>} The tag's attribute values, keyed by attribute name.
+ */
+const getTagAttributes = function (attributes, formattedTag) {
+  const tagAttributes = {}
+  for (const attribute of Object.keys(attributes.tagAttributes)) {
+    if (formattedTag in attributes.tagAttributes[attribute]) {
+      tagAttributes[attribute] =
+        attributes.tagAttributes[attribute][formattedTag]
+    }
+  }
+  if (attributes.tagUnitClasses && formattedTag in attributes.tagUnitClasses) {
+    tagAttributes.unitClass = attributes.tagUnitClasses[formattedTag]
+  }
+  return tagAttributes
+}
+
+/**
+ * Compare two sets of attribute values.
+ *
+ * @param {object<string, boolean|string|string[]>} oldAttributes The old attribute values.
+ * @param {object<string, boolean|string|string[]>} newAttributes The new attribute values.
+ * @return {AttributeChange[]} The changed attributes, sorted by name.
+ */
+const diffAttributes = function (oldAttributes, newAttributes) {
+  const attributeNames = new Set(
+    Object.keys(oldAttributes).concat(Object.keys(newAttributes)),
+  )
+  const changes = []
+  for (const attribute of Array.from(attributeNames).sort()) {
+    const oldValue =
+      attribute in oldAttributes ? oldAttributes[attribute] : null
+    const newValue =
+      attribute in newAttributes ? newAttributes[attribute] : null
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push(new AttributeChange(attribute, oldValue, newValue))
+    }
+  }
+  return changes
+}
+
+/**
+ * Get the short form of a long-form tag.
+ *
+ * @param {string} longTag The long-form tag.
+ * @return {string} The last level of the tag, or the last two for placeholder nodes.
+ */
+const getShortTag = function (longTag) {
+  const levels = longTag.split('/')
+  if (levels[levels.length - 1] === placeholderName && levels.length > 1) {
+    return levels.slice(-2).join('/')
+  }
+  return levels[levels.length - 1]
+}
+
+/**
+ * Compare the tags of two schemas.
+ *
+ * @param {Schema} oldSchema The old schema.
+ * @param {Schema} newSchema The new schema.
+ * @param {SchemaDiff} diff The diff to fill in.
+ */
+const diffTags = function (oldSchema, newSchema, diff) {
+  const oldLongTags = getLongTags(oldSchema)
+  const newLongTags = getLongTags(newSchema)
+  const oldAttributes = getSchemaAttributes(oldSchema)
+  const newAttributes = getSchemaAttributes(newSchema)
+  // Map lowercase short forms to the lowercase long forms only in one of the schemas.
+  const removedByShortTag = {}
+  const addedByShortTag = {}
+  const comparedTags = []
+  for (const formattedTag of Object.keys(oldLongTags)) {
+    if (formattedTag in newLongTags) {
+      comparedTags.push([formattedTag, formattedTag])
+    } else {
+      const shortTag = getShortTag(formattedTag)
+      removedByShortTag[shortTag] = (removedByShortTag[shortTag] || []).concat(
+        formattedTag,
+      )
+    }
+  }
+  for (const formattedTag of Object.keys(newLongTags)) {
+    if (!(formattedTag in oldLongTags)) {
+      const shortTag = getShortTag(formattedTag)
+      addedByShortTag[shortTag] = (addedByShortTag[shortTag] || []).concat(
+        formattedTag,
+      )
+    }
+  }
+  for (const shortTag of Object.keys(removedByShortTag)) {
+    const removedTags = removedByShortTag[shortTag]
+    const addedTags = addedByShortTag[shortTag] || []
+    if (removedTags.length === 1 && addedTags.length === 1) {
+      const newLongTag = newLongTags[addedTags[0]]
+      diff.movedTags.push({
+        shortTag: getShortTag(newLongTag),
+        oldLongTag: oldLongTags[removedTags[0]],
+        newLongTag: newLongTag,
+      })
+      comparedTags.push([removedTags[0], addedTags[0]])
+      delete addedByShortTag[shortTag]
+    } else {
+      for (const formattedTag of removedTags) {
+        diff.removedTags.push(oldLongTags[formattedTag])
+      }
+    }
+  }
+  for (const shortTag of Object.keys(addedByShortTag)) {
+    for (const formattedTag of addedByShortTag[shortTag]) {
+      diff.addedTags.push(newLongTags[formattedTag])
+    }
+  }
+  for (const [oldTag, newTag] of comparedTags) {
+    const changes = diffAttributes(
+      getTagAttributes(oldAttributes, oldTag),
+      getTagAttributes(newAttributes, newTag),
+    )
+    if (changes.length > 0) {
+      diff.changedTags.push({ tag: newLongTags[newTag], changes: changes })
+    }
+  }
+  diff.addedTags.sort()
+  diff.removedTags.sort()
+  diff.movedTags.sort((a, b) => a.newLongTag.localeCompare(b.newLongTag))
+  diff.changedTags.sort((a, b) => a.tag.localeCompare(b.tag))
+}
+
+/**
+ * Compare the unit classes of two schemas.
+ *
+ * @param {SchemaAttributes} oldAttributes The old schema's attributes.
+ * @param {SchemaAttributes} newAttributes The new schema's attributes.
+ * @param {SchemaDiff} diff The diff to fill in.
+ */
+const diffUnitClasses = function (oldAttributes, newAttributes, diff) {
+  const oldUnitClasses = oldAttributes.unitClasses || {}
+  const newUnitClasses = newAttributes.unitClasses || {}
+  for (const unitClass of Object.keys(oldUnitClasses).sort()) {
+    if (!(unitClass in newUnitClasses)) {
+      diff.unitClasses.removed.push(unitClass)
+      continue
+    }
+    const oldUnits = oldUnitClasses[unitClass]
+    const newUnits = newUnitClasses[unitClass]
+    const changes = diffAttributes(
+      oldAttributes.unitClassAttributes[unitClass] || {},
+      newAttributes.unitClassAttributes[unitClass] || {},
+    )
+    const unitClassChange = {
+      unitClass: unitClass,
+      addedUnits: newUnits.filter((unit) => !oldUnits.includes(unit)).sort(),
+      removedUnits: oldUnits.filter((unit) => !newUnits.includes(unit)).sort(),
+      changes: changes,
+    }
+    if (
+      unitClassChange.addedUnits.length > 0 ||
+      unitClassChange.removedUnits.length > 0 ||
+      changes.length > 0
+    ) {
+      diff.unitClasses.changed.push(unitClassChange)
+    }
+  }
+  for (const unitClass of Object.keys(newUnitClasses).sort()) {
+    if (!(unitClass in oldUnitClasses)) {
+      diff.unitClasses.added.push(unitClass)
+    }
+  }
+}
+
+/**
+ * Get the attributes of each of a schema's unit modifiers.
+ *
+ * @param {SchemaAttributes} attributes The schema's attributes.
+ * @return {object<string, object<string, boolean|string|string[]>>} The attribute values of each unit modifier.
+ */
+const getUnitModifierAttributes = function (attributes) {
+  const unitModifiers = {}
+  const unitModifierAttributes = attributes.unitModifiers || {}
+  for (const attribute of Object.keys(unitModifierAttributes)) {
+    for (const unitModifier of Object.keys(unitModifierAttributes[attribute])) {
+      unitModifiers[unitModifier] = unitModifiers[unitModifier] || {}
+      unitModifiers[unitModifier][attribute] =
+        unitModifierAttributes[attribute][unitModifier]
+    }
+  }
+  return unitModifiers
+}
+
+/**
+ * Compare the unit modifiers of two schemas.
+ *
+ * @param {SchemaAttributes} oldAttributes The old schema's attributes.
+ * @param {SchemaAttributes} newAttributes The new schema's attributes.
+ * @param {SchemaDiff} diff The diff to fill in.
+ */
+const diffUnitModifiers = function (oldAttributes, newAttributes, diff) {
+  const oldUnitModifiers = getUnitModifierAttributes(oldAttributes)
+  const newUnitModifiers = getUnitModifierAttributes(newAttributes)
+  for (const unitModifier of Object.keys(oldUnitModifiers).sort()) {
+    if (!(unitModifier in newUnitModifiers)) {
+      diff.unitModifiers.removed.push(unitModifier)
+      continue
+    }
+    const changes = diffAttributes(
+      oldUnitModifiers[unitModifier],
+      newUnitModifiers[unitModifier],
+    )
+    if (changes.length > 0) {
+      diff.unitModifiers.changed.push({
+        unitModifier: unitModifier,
+        changes: changes,
+      })
+    }
+  }
+  for (const unitModifier of Object.keys(newUnitModifiers).sort()) {
+    if (!(unitModifier in oldUnitModifiers)) {
+      diff.unitModifiers.added.push(unitModifier)
+    }
+  }
+}
+
+/**
+ * Compare two versions of a HED schema.
+ *
+ * Tags are matched by their long forms. A tag whose short name is found under a different long
+ * form in the new schema is reported as moved instead of removed and added. Tag attributes are
+ * compared as resolved by the validator, so inherited attributes (e.g. extensionAllowed) are included.
+ *
+ * @param {Schema} oldSchema The old schema.
+ * @param {Schema} newSchema The new schema.
+ * @return {SchemaDiff} The differences between the schemas.
+ */
+const diffSchemas = function (oldSchema, newSchema) {
+  const diff = new SchemaDiff(
+    getSchemaLabel(oldSchema),
+    getSchemaLabel(newSchema),
+  )
+  const oldAttributes = getSchemaAttributes(oldSchema)
+  const newAttributes = getSchemaAttributes(newSchema)
+  diffTags(oldSchema, newSchema, diff)
+  diffUnitClasses(oldAttributes, newAttributes, diff)
+  diffUnitModifiers(oldAttributes, newAttributes, diff)
+  return diff
+}
+
+/**
+ * Format an attribute value for a changelog.
+ *
+ * @param {boolean|string|string[]} value The attribute value.
+ * @return {string} The formatted value.
+ */
+const formatAttributeValue = function (value) {
+  if (value === true) {
+    return 'true'
+  }
+  return [].concat(value).join(', ')
+}
+
+/**
+ * Format a list of attribute changes for a changelog.
+ *
+ * @param {AttributeChange[]} changes The attribute changes.
+ * @return {string} The formatted changes.
+ */
+const formatAttributeChanges = function (changes) {
+  return changes
+    .map((change) => {
+      if (change.oldValue === null) {
+        return (
+          'added ' +
+          change.attribute +
+          ' "' +
+          formatAttributeValue(change.newValue) +
+          '"'
+        )
+      } else if (change.newValue === null) {
+        return 'removed ' + change.attribute
+      }
+      return (
+        'changed ' +
+        change.attribute +
+        ' from "' +
+        formatAttributeValue(change.oldValue) +
+        '" to "' +
+        formatAttributeValue(change.newValue) +
+        '"'
+      )
+    })
+    .join('; ')
+}
+
+/**
+ * Format a schema diff as a human-readable changelog.
+ *
+ * @param {SchemaDiff} diff The schema diff.
+ * @return {string} The changelog, with one section per kind of change.
+ */
+const formatSchemaChangelog = function (diff) {
+  const sections = []
+  const addSection = function (title, lines) {
+    if (lines.length > 0) {
+      sections.push(
+        [title + ':'].concat(lines.map((line) => '  - ' + line)).join('\n'),
+      )
+    }
+  }
+  addSection('Added tags', diff.addedTags)
+  addSection('Removed tags', diff.removedTags)
+  addSection(
+    'Moved tags',
+    diff.movedTags.map((movedTag) => {
+      return (
+        movedTag.shortTag +
+        ': ' +
+        movedTag.oldLongTag +
+        ' -> ' +
+        movedTag.newLongTag
+      )
+    }),
+  )
+  addSection(
+    'Changed tag attributes',
+    diff.changedTags.map((changedTag) => {
+      return changedTag.tag + ': ' + formatAttributeChanges(changedTag.changes)
+    }),
+  )
+  addSection(
+    'Unit classes',
+    [].concat(
+      diff.unitClasses.added.map((unitClass) => 'added ' + unitClass),
+      diff.unitClasses.removed.map((unitClass) => 'removed ' + unitClass),
+      diff.unitClasses.changed.map((unitClassChange) => {
+        const changes = []
+        if (unitClassChange.addedUnits.length > 0) {
+          changes.push('added units ' + unitClassChange.addedUnits.join(', '))
+        }
+        if (unitClassChange.removedUnits.length > 0) {
+          changes.push(
+            'removed units ' + unitClassChange.removedUnits.join(', '),
+          )
+        }
+        if (unitClassChange.changes.length > 0) {
+          changes.push(formatAttributeChanges(unitClassChange.changes))
+        }
+        return unitClassChange.unitClass + ': ' + changes.join('; ')
+      }),
+    ),
+  )
+  addSection(
+    'Unit modifiers',
+    [].concat(
+      diff.unitModifiers.added.map((unitModifier) => 'added ' + unitModifier),
+      diff.unitModifiers.removed.map(
+        (unitModifier) => 'removed ' + unitModifier,
+      ),
+      diff.unitModifiers.changed.map((unitModifierChange) => {
+        return (
+          unitModifierChange.unitModifier +
+          ': ' +
+          formatAttributeChanges(unitModifierChange.changes)
+        )
+      }),
+    ),
+  )
+  const heading =
+    'Changes from HED ' + diff.oldVersion + ' to ' + diff.newVersion
+  if (sections.length === 0) {
+    return heading + ':\n\nNo changes.\n'
+  }
+  return heading + ':\n\n' + sections.join('\n\n') + '\n'
+}
+
+module.exports = {
+  AttributeChange: AttributeChange,
+  diffSchemas: diffSchemas,
+  formatSchemaChangelog: formatSchemaChangelog,
+  SchemaDiff: SchemaDiff,
+}
@@ -0,0 +1,314 @@
+const { getChildText, jsonToXmlData } = require('../utils/schemaJson')
+const { buildSchemaObject, isV3SchemaFormat } = require('./schema')
+
+const xmlIndent = '   '
+const xmlDeclaration = '<?xml version="1.0" ?>'
+
+/**
+ * Convert the attribute elements of a schema XML element to a JSON attributes object.
+ *
+ * @param {object} element The schema XML element.
+ * @return {object<string, boolean|string[]>} The element's attributes.
+ */
+const attributesToJson = function (element) {
+  const attributes = {}
+  for (const attribute of element.attribute || []) {
+    const values = (attribute.value || []).map((value) => value._)
+    attributes[getChildText(attribute, 'name')] =
+      values.length === 0 ? true : values
+  }
+  return attributes
+}
+
+/**
+ * Convert a named schema XML element to its JSON form.
+ *
+ * @param {object} element The schema XML element.
+ * @return {{name: string, description: string, attributes: object<string, boolean|string[]>}} The element's JSON form.
+ */
+const namedElementToJson = function (element) {
+  return {
+    name: getChildText(element, 'name'),
+    description: getChildText(element, 'description'),
+    attributes: attributesToJson(element),
+  }
+}
+
+/**
+ * Get the definition elements in a section of the schema XML data.
+ *
+ * @param {object} rootElement The root element of the schema XML data.
+ * @param {string} sectionName The name of the section element (e.g. "unitClassDefinitions").
+ * @param {string} definitionName The name of the definition elements (e.g. "unitClassDefinition").
+ * @return {object[]} The definition elements.
+ */
+const getDefinitionElements = function (
+  rootElement,
+  sectionName,
+  definitionName,
+) {
+  if (!rootElement[sectionName]) {
+    return []
+  }
+  return rootElement[sectionName][0][definitionName] || []
+}
+
+/**
+ * Add the JSON forms of a list of tag node elements and their descendants to a list.
+ *
+ * @param {object[]} nodeElements The tag node elements.
+ * @param {string} parentPath The full path of the parent tag, or the empty string at the top level.
+ * @param {object[]} tags The list to add the tags to.
+ */
+const nodesToJson = function (nodeElements, parentPath, tags) {
+  for (const element of nodeElements) {
+    const name = getChildText(element, 'name')
+    const path = parentPath === '' ? name : parentPath + '/' + name
+    tags.push({
+      path: path,
+      description: getChildText(element, 'description'),
+      attributes: attributesToJson(element),
+    })
+    nodesToJson(element.node || [], path, tags)
+  }
+}
+
+/**
+ * Convert a HED 3 schema to the JSON schema format described in utils/schemaJson.js.
+ *
+ * @param {Schema} schema A HED schema.
+ * @return {object} The JSON form of the schema.
+ * @throws {Error} If the schema is not in the HED 3 format.
+ */
+const schemaToJson = function (schema) {
+  const rootElement = schema.xmlData.HED
+  if (!isV3SchemaFormat(rootElement)) {
+    throw new Error(
+      'Only HED 3 format schemas can be serialized, but got version "' +
+        rootElement.$.version +
+        '".',
+    )
+  }
+  const json = { version: rootElement.$.version }
+  if (rootElement.$.library !== undefined) {
+    json.library = rootElement.$.library
+  }
+  if (rootElement.prologue) {
+    json.prologue = getChildText(rootElement, 'prologue')
+  }
+  json.tags = []
+  nodesToJson(rootElement.node || [], '', json.tags)
+  json.unitClasses = getDefinitionElements(
+    rootElement,
+    'unitClassDefinitions',
+    'unitClassDefinition',
+  ).map((element) => {
+    const unitClass = namedElementToJson(element)
+    unitClass.units = (element.unit || []).map(namedElementToJson)
+    return unitClass
+  })
+  json.unitModifiers = getDefinitionElements(
+    rootElement,
+    'unitModifierDefinitions',
+    'unitModifierDefinition',
+  ).map(namedElementToJson)
+  json.schemaAttributes = getDefinitionElements(
+    rootElement,
+    'schemaAttributeDefinitions',
+    'schemaAttributeDefinition',
+  ).map((element) => {
+    return {
+      name: getChildText(element, 'name'),
+      description: getChildText(element, 'description'),
+      properties: (element.property || []).map((property) => {
+        return getChildText(property, 'name')
+      }),
+    }
+  })
+  if (rootElement.epilogue) {
+    json.epilogue = getChildText(rootElement, 'epilogue')
+  }
+  return json
+}
+
+/**
+ * Build a schema object from the JSON schema format.
+ *
+ * The result is the same as building the schema from the equivalent XML file, but does not require parsing XML.
+ *
+ * @param {object} json The JSON form of the schema.
+ * @return {Schema} The schema object.
+ * @throws {Error} If a tag is listed before its parent.
+ */
+const schemaFromJson = function (json) {
+  return buildSchemaObject(jsonToXmlData(json))
+}
+
+/**
+ * Escape text for inclusion in XML.
+ *
+ * @param {string} text The text to escape.
+ * @return {string} The escaped text.
+ */
+const escapeXml = function (text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * Write a simple XML element holding only text.
+ *
+ * @param {string} name The element name.
+ * @param {string} text The element text.
+ * @param {number} depth The nesting depth of the element.
+ * @param {string[]} lines The list of output lines to add to.
+ */
+const writeTextElement = function (name, text, depth, lines) {
+  lines.push(
+    xmlIndent.repeat(depth) +
+      '<' +
+      name +
+      '>' +
+      escapeXml(text) +
+      '</' +
+      name +
+      '>',
+  )
+}
+
+/**
+ * Write the name, description and attribute elements of a named schema element.
+ *
+ * @param {{name: string, description: string?, attributes: object<string, boolean|string[]>?}} json The element's JSON form.
+ * @param {number} depth The nesting depth of the element's children.
+ * @param {string[]} lines The list of output lines to add to.
+ */
+const writeNamedElementContents = function (json, depth, lines) {
+  const indent = xmlIndent.repeat(depth)
+  writeTextElement('name', json.name, depth, lines)
+  if (json.description) {
+    writeTextElement('description', json.description, depth, lines)
+  }
+  const attributes = json.attributes || {}
+  for (const name of Object.keys(attributes)) {
+    lines.push(indent + '<attribute>')
+    writeTextElement('name', name, depth + 1, lines)
+    if (attributes[name] !== true) {
+      for (const value of [].concat(attributes[name])) {
+        writeTextElement('value', value, depth + 1, lines)
+      }
+    }
+    lines.push(indent + '</attribute>')
+  }
+}
+
+/**
+ * Write a definition section of a schema XML file.
+ *
+ * @param {string} sectionName The name of the section element (e.g. "unitClassDefinitions").
+ * @param {string} definitionName The name of the definition elements (e.g. "unitClassDefinition").
+ * @param {object[]} definitions The JSON forms of the definitions.
+ * @param {function(object, string[])} writeChildren A function writing any further child elements of a definition.
+ * @param {string[]} lines The list of output lines to add to.
+ */
+const writeDefinitionSection = function (
+  sectionName,
+  definitionName,
+  definitions,
+  writeChildren,
+  lines,
+) {
+  if (definitions.length === 0) {
+    return
+  }
+  lines.push(xmlIndent + '<' + sectionName + '>')
+  for (const definition of definitions) {
+    lines.push(xmlIndent.repeat(2) + '<' + definitionName + '>')
+    writeNamedElementContents(definition, 3, lines)
+    writeChildren(definition, lines)
+    lines.push(xmlIndent.repeat(2) + '</' + definitionName + '>')
+  }
+  lines.push(xmlIndent + '</' + sectionName + '>')
+}
+
+/**
+ * Write a HED 3 schema in the HED XML layout.
+ *
+ * @param {Schema|object} schemaOrJson A HED schema, or its JSON form.
+ * @return {string} The schema XML file contents.
+ * @throws {Error} If the schema is not in the HED 3 format, or a tag is listed before its parent.
+ */
+const schemaToXml = function (schemaOrJson) {
+  const json = schemaOrJson.xmlData ? schemaToJson(schemaOrJson) : schemaOrJson
+  const xmlData = jsonToXmlData(json)
+  const lines = [xmlDeclaration]
+  let rootTag = '<HED'
+  if (json.library !== undefined) {
+    rootTag += ' library="' + escapeXml(json.library) + '"'
+  }
+  lines.push(rootTag + ' version="' + escapeXml(json.version) + '">')
+  if (json.prologue !== undefined) {
+    writeTextElement('prologue', json.prologue, 1, lines)
+  }
+  const writeNodes = function (nodeElements, depth) {
+    const indent = xmlIndent.repeat(depth)
+    for (const node of nodeElements) {
+      lines.push(indent + '<node>')
+      writeNamedElementContents(
+        {
+          name: getChildText(node, 'name'),
+          description: getChildText(node, 'description'),
+          attributes: attributesToJson(node),
+        },
+        depth + 1,
+        lines,
+      )
+      writeNodes(node.node || [], depth + 1)
+      lines.push(indent + '</node>')
+    }
+  }
+  writeNodes(xmlData.HED.node || [], 1)
+  writeDefinitionSection(
+    'unitClassDefinitions',
+    'unitClassDefinition',
+    json.unitClasses || [],
+    (unitClass, lines) => {
+      for (const unit of unitClass.units || []) {
+        lines.push(xmlIndent.repeat(3) + '<unit>')
+        writeNamedElementContents(unit, 4, lines)
+        lines.push(xmlIndent.repeat(3) + '</unit>')
+      }
+    },
+    lines,
+  )
+  writeDefinitionSection(
+    'unitModifierDefinitions',
+    'unitModifierDefinition',
+    json.unitModifiers || [],
+    () => {},
+    lines,
+  )
+  writeDefinitionSection(
+    'schemaAttributeDefinitions',
+    'schemaAttributeDefinition',
+    json.schemaAttributes || [],
+    (schemaAttribute, lines) => {
+      for (const property of schemaAttribute.properties || []) {
+        lines.push(xmlIndent.repeat(3) + '<property>')
+        writeTextElement('name', property, 4, lines)
+        lines.push(xmlIndent.repeat(3) + '</property>')
+      }
+    },
+    lines,
+  )
+  if (json.epilogue !== undefined) {
+    writeTextElement('epilogue', json.epilogue, 1, lines)
+  }
+  lines.push('</HED>')
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  schemaFromJson: schemaFromJson,
+  schemaToJson: schemaToJson,
+  schemaToXml: schemaToXml,
+}
@@ -1,8 +1,15 @@
 const utils = require('../utils')
 const { convertPartialHedStringToLong } = require('../converter/converter')
+const {
+  getSchemaForPrefix,
+  hasSchemas,
+  splitTagPrefix,
+} = require('../utils/schema')
 
 const openingGroupCharacter = '('
 const closingGroupCharacter = ')'
+const openingColumnReferenceCharacter = '{'
+const closingColumnReferenceCharacter = '}'
 
 /**
  * A parsed HED tag.
@@ -38,7 +45,7 @@ const ParsedHedTag = function (
    */
   this.formattedTag = ''
   let canonicalTag, conversionIssues
-  if (hedSchemas.baseSchema) {
+  if (hasSchemas(hedSchemas)) {
     ;[canonicalTag, conversionIssues] = convertPartialHedStringToLong(
       hedSchemas,
       originalTag,
@@ -59,6 +66,47 @@ const ParsedHedTag = function (
    * @type {Array}
    */
   this.conversionIssues = conversionIssues
+  const [prefix] = hedSchemas.isHed3 ? splitTagPrefix(originalTag) : ['']
+  /**
+   * The namespace prefix of the HED tag, or the empty string for base schema tags.
+   * @type {string}
+   */
+  this.prefix = prefix
+  /**
+   * The schema the HED tag belongs to, or undefined if its prefix is unknown.
+   * @type {Schema|null|undefined}
+   */
+  this.schema = getSchemaForPrefix(hedSchemas, prefix)
+}
+
+/**
+ * A parsed column reference (e.g. "{response_time}") in a sidecar HED string.
+ *
+ * @param {string} columnName The name of the referenced column.
+ * @param {string} hedString The original HED string.
+ * @param {int[]} originalBounds The bounds of the column reference in the original HED string.
+ * @constructor
+ */
+const ParsedHedColumnReference = function (
+  columnName,
+  hedString,
+  originalBounds,
+) {
+  /**
+   * The name of the referenced column.
+   * @type {string}
+   */
+  this.columnName = columnName
+  /**
+   * The original HED string.
+   * @type {string}
+   */
+  this.hedString = hedString
+  /**
+   * The bounds of the column reference in the original HED string, including the braces.
+   * @type {int[]}
+   */
+  this.originalBounds = originalBounds
 }
 
 /**
@@ -98,6 +146,11 @@ const ParsedHedString = function (hedString) {
    * @type ParsedHedTag[][]
    */
   this.topLevelTagGroups = []
+  /**
+   * The column references in the string.
+   * @type ParsedHedColumnReference[]
+   */
+  this.columnReferences = []
 }
 
 /**
@@ -125,21 +178,48 @@ const removeGroupParentheses = function (tagGroup) {
 /**
  * Split a full HED string into tags.
  *
+ * For HED 3 schemas, top-level column references (e.g. "{response_time}") are returned separately from the tags.
+ * Otherwise, braces are invalid characters.
+ *
  * @param {string} hedString The full HED string.
  * @param {Schemas} hedSchemas The collection of HED schemas.
- * @returns {[ParsedHedTag[], Array]} An array of HED tags (top-level relative to the passed string) and any issues found.
+ * @returns {[ParsedHedTag[], Array, ParsedHedColumnReference[]]} An array of HED tags (top-level relative to the passed string), any issues found, and any column references.
  */
 const splitHedString = function (hedString, hedSchemas) {
   const delimiter = ','
   const doubleQuoteCharacter = '"'
-  const invalidCharacters = ['{', '}', '[', ']', '~']
+  const invalidCharacters = ['[', ']', '~']
+  if (!hedSchemas.isHed3) {
+    invalidCharacters.push(
+      openingColumnReferenceCharacter,
+      closingColumnReferenceCharacter,
+    )
+  }
+  const columnReferenceTerminators = [
+    delimiter,
+    openingGroupCharacter,
+    closingGroupCharacter,
+    openingColumnReferenceCharacter,
+  ]
 
   const hedTags = []
+  const columnReferences = []
   let issues = []
   let groupDepth = 0
   let currentTag = ''
   let startingIndex = 0
   let resetStartingIndex = false
+  let referenceStartingIndex = -1
+  let referenceIsValid = true
+  let referenceEnded = false
+  const pushColumnReferenceIssue = function (index) {
+    issues.push(
+      utils.issues.generateIssue('invalidColumnReference', {
+        index: index,
+        string: hedString,
+      }),
+    )
+  }
   // Loop a character at a time.
   for (let i = 0; i < hedString.length; i++) {
     if (resetStartingIndex) {
@@ -147,6 +227,32 @@ const splitHedString = function (hedString, hedSchemas) {
       resetStartingIndex = false
     }
     const character = hedString.charAt(i)
+    if (referenceStartingIndex !== -1) {
+      // Inside a column reference.
+      if (character === closingColumnReferenceCharacter) {
+        const columnName = hedString.slice(referenceStartingIndex + 1, i).trim()
+        if (referenceIsValid && columnName === '') {
+          pushColumnReferenceIssue(referenceStartingIndex)
+        } else if (referenceIsValid) {
+          columnReferences.push(
+            new ParsedHedColumnReference(columnName, hedString, [
+              referenceStartingIndex,
+              i + 1,
+            ]),
+          )
+        }
+        referenceStartingIndex = -1
+        referenceEnded = true
+        continue
+      } else if (!columnReferenceTerminators.includes(character)) {
+        continue
+      }
+      // Found an unclosed column reference.
+      if (referenceIsValid) {
+        pushColumnReferenceIssue(referenceStartingIndex)
+      }
+      referenceStartingIndex = -1
+    }
     if (character === doubleQuoteCharacter) {
       // Skip double quotes
       continue
@@ -170,7 +276,23 @@ const splitHedString = function (hedString, hedSchemas) {
       }
       resetStartingIndex = true
       currentTag = ''
-    } else if (invalidCharacters.includes(character)) {
+      referenceEnded = false
+    } else if (
+      groupDepth === 0 &&
+      !invalidCharacters.includes(character) &&
+      character === openingColumnReferenceCharacter
+    ) {
+      // Found the start of a column reference, which must be a whole tag.
+      referenceIsValid =
+        !referenceEnded && utils.string.stringIsEmpty(currentTag)
+      if (!referenceIsValid) {
+        pushColumnReferenceIssue(i)
+      }
+      referenceStartingIndex = i
+    } else if (
+      invalidCharacters.includes(character) ||
+      (groupDepth === 0 && character === closingColumnReferenceCharacter)
+    ) {
       // Found an invalid character, so push an issue.
       issues.push(
         utils.issues.generateIssue('invalidCharacter', {
@@ -192,6 +314,11 @@ const splitHedString = function (hedString, hedSchemas) {
       resetStartingIndex = true
       currentTag = ''
     } else {
+      if (referenceEnded && !utils.string.stringIsEmpty(character)) {
+        // Found text after a column reference in the same tag.
+        pushColumnReferenceIssue(i)
+        referenceEnded = false
+      }
       currentTag += character
       if (utils.string.stringIsEmpty(currentTag)) {
         resetStartingIndex = true
@@ -199,6 +326,9 @@ const splitHedString = function (hedString, hedSchemas) {
       }
     }
   }
+  if (referenceStartingIndex !== -1 && referenceIsValid) {
+    pushColumnReferenceIssue(referenceStartingIndex)
+  }
   if (!utils.string.stringIsEmpty(currentTag)) {
     // Push last HED tag.
     const parsedHedTag = new ParsedHedTag(
@@ -210,7 +340,7 @@ const splitHedString = function (hedString, hedSchemas) {
     hedTags.push(parsedHedTag)
     issues = issues.concat(parsedHedTag.conversionIssues)
   }
-  return [hedTags, issues]
+  return [hedTags, issues, columnReferences]
 }
 
 /**
@@ -233,10 +363,9 @@ const findTagGroups = function (
     if (hedStringIsAGroup(tagOrGroup.originalTag)) {
       const tagGroupString = removeGroupParentheses(tagOrGroup.originalTag)
       // Split the group tag and recurse.
-      const [nestedGroupTagList, nestedGroupIssues] = splitHedString(
-        tagGroupString,
-        hedSchemas,
-      )
+      const [nestedGroupTagList, nestedGroupIssues, nestedColumnReferences] =
+        splitHedString(tagGroupString, hedSchemas)
+      parsedString.columnReferences.push(...nestedColumnReferences)
       const nestedIssues = findTagGroups(
         nestedGroupTagList,
         hedSchemas,
@@ -295,7 +424,7 @@ const formatHedTagsInList = function (hedTagList) {
 }
 
 /**
- * Format an individual HED tag by removing newlines, double quotes, and slashes.
+ * Format an individual HED tag by removing newlines, double quotes, slashes, and its namespace prefix.
  *
  * @param {ParsedHedTag} hedTag The HED tag to format.
  */
@@ -314,6 +443,9 @@ const formatHedTag = function (hedTag) {
   if (hedTagString.endsWith('/')) {
     hedTagString = hedTagString.slice(0, -1)
   }
+  if (hedTag.prefix !== '') {
+    hedTagString = hedTagString.slice(hedTag.prefix.length + 1)
+  }
   hedTag.formattedTag = hedTagString.toLowerCase()
 }
 
@@ -326,7 +458,11 @@ const formatHedTag = function (hedTag) {
  */
 const parseHedString = function (hedString, hedSchemas) {
   const parsedString = new ParsedHedString(hedString)
-  const [hedTagList, splitIssues] = splitHedString(hedString, hedSchemas)
+  const [hedTagList, splitIssues, columnReferences] = splitHedString(
+    hedString,
+    hedSchemas,
+  )
+  parsedString.columnReferences = columnReferences
   parsedString.topLevelTags = findTopLevelTags(
     hedTagList,
     hedSchemas,
@@ -348,6 +484,7 @@ const parseHedString = function (hedString, hedSchemas) {
 module.exports = {
   ParsedHedTag: ParsedHedTag,
   ParsedHedString: ParsedHedString,
+  ParsedHedColumnReference: ParsedHedColumnReference,
   hedStringIsAGroup: hedStringIsAGroup,
   removeGroupParentheses: removeGroupParentheses,
   splitHedString: splitHedString,